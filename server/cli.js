@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Maintenance commands for server/data
+ *
+ *   node server/cli.js import-json   Copies the JSON result files and tasks into storage.sqlite
+ *   node server/cli.js migrate       Upgrades stored parsing and audience results to the current schema,
+ *                                    after copying server/data to server/data/backups/migration_<time>
+ */
+
+import path from 'path';
+import { getDataPath, importJsonRecords } from './lib/storage.js';
+import { createSqliteStore } from './lib/sqliteStore.js';
+import { migrateDataDir } from './lib/migrations.js';
+
+const commands = {
+  'import-json': () => {
+    const target = createSqliteStore(path.join(getDataPath(), 'storage.sqlite'));
+    try {
+      const counts = importJsonRecords(target);
+      console.log(`Imported ${counts.parsing} parsing sessions, ${counts.audience} audiences, ${counts.broadcast} broadcasts and ${counts.tasks} tasks`);
+      console.log('Set STORAGE_DRIVER=sqlite to use the database');
+    } finally {
+      target.close();
+    }
+  },
+
+  migrate: () => {
+    const { backupPath, migrated } = migrateDataDir();
+    if (!backupPath) {
+      console.log('All records are at the current schema version, nothing to migrate');
+      return;
+    }
+    console.log(`Migrated ${migrated.parsing} parsing sessions and ${migrated.audience} audiences`);
+    console.log(`Previous data is in ${backupPath}`);
+  }
+};
+
+const [command] = process.argv.slice(2);
+
+if (!commands[command]) {
+  console.error(`Usage: node server/cli.js <${Object.keys(commands).join('|')}>`);
+  process.exit(1);
+}
+
+try {
+  await commands[command]();
+} catch (error) {
+  console.error(`❌ ${command} failed: ${error.message}`);
+  process.exit(1);
+}
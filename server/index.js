@@ -9,6 +9,15 @@ import { tasksRouter } from './routes/tasks.js';
 import { telegramRouter } from './routes/telegram.js';
 import { settingsRouter } from './routes/settings.js';
 import { userRouter } from './routes/user.js';
+import { mediaRouter } from './routes/media.js';
+import { retentionRouter } from './routes/retention.js';
+import { taskManager } from './lib/taskManager.js';
+import { ensureSavedSearchSchedules } from './lib/savedSearches.js';
+import { startRetentionJob } from './lib/retention.js';
+import { migrateDataDir } from './lib/migrations.js';
+import { splitLegacyTasks } from './lib/storage.js';
+import { trackBroadcastReply } from './lib/broadcastReplies.js';
+import { onIncomingPrivateMessage } from './services/telegramClient.js';
 
 // Load environment variables from .env and .env.local
 // .env.local takes precedence for local development
@@ -52,6 +61,8 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
+// Broadcasts carry their attachments inline as base64
+app.use('/api/telegram/broadcast', bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.json({ limit: '2mb' }));
 
 // Health check endpoint
@@ -64,6 +75,8 @@ app.use('/api/tasks', tasksRouter);
 app.use('/api/telegram', telegramRouter);
 app.use('/api/settings', settingsRouter);
 app.use('/api/user', userRouter);
+app.use('/api/media', mediaRouter);
+app.use('/api/retention', retentionRouter);
 
 // Root endpoint
 app.get('/', (_req, res) => {
@@ -75,7 +88,8 @@ app.get('/', (_req, res) => {
       tasks: '/api/tasks',
       telegram: '/api/telegram',
       settings: '/api/settings',
-      user: '/api/user'
+      user: '/api/user',
+      media: '/api/media'
     }
   });
 });
@@ -111,12 +125,50 @@ const modulePath = fileURLToPath(import.meta.url);
 const scriptPath = process.argv[1] ? path.resolve(process.argv[1]) : null;
 if (scriptPath && modulePath === scriptPath) {
   console.log(`[server] Starting server on port ${PORT}...`);
+
+  // Readers refuse results stored with an older schema, so upgrade them (after a backup) before serving requests
+  try {
+    const { backupPath, migrated } = migrateDataDir();
+    if (backupPath) {
+      console.log(`[server] Migrated ${migrated.parsing} parsing session(s) and ${migrated.audience} audience(s) to the current schema, backup in ${backupPath}`);
+    }
+  } catch (err) {
+    console.error(`[server] Schema migration failed, run npm run storage:migrate: ${err.message}`);
+  }
+
   const server = app.listen(PORT, () => {
     console.log(`[server] Server listening on http://localhost:${PORT}`);
     console.log(`[server] Health check: http://localhost:${PORT}/api/health`);
     console.log(`[server] Ready to accept connections`);
   });
 
+  // A queue saved as one tasks.json by older versions becomes a file per task before it is loaded
+  splitLegacyTasks(taskManager.tasksFile);
+
+  // Tasks left running by a previous process are marked interrupted (workers are attached by the routers)
+  const interruptedTasks = taskManager.recover();
+  if (interruptedTasks.length > 0) {
+    console.log(`[server] Marked ${interruptedTasks.length} task(s) as interrupted after restart`);
+  }
+
+  // Progress ticks are written with a delay, so write them before the process goes away
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      taskManager.flush();
+      process.exit(0);
+    });
+  }
+
+  // Scheduled broadcasts and saved search runs are persisted as tasks; ones that came due while the server was down fire right away
+  ensureSavedSearchSchedules();
+  taskManager.startScheduler();
+
+  // Settled tasks, cached avatars and (when configured) old results are removed per RETENTION_* limits
+  startRetentionJob();
+
+  // Private messages from people we DMed in a broadcast are stored as replies to it
+  onIncomingPrivateMessage(trackBroadcastReply);
+
   server.on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
       console.error(`[server] ERROR: Port ${PORT} is already in use`);
@@ -0,0 +1,111 @@
+import { parseTemplate } from './messageTemplate.js';
+
+// Telegram allows up to 10 media in an album, a broadcast carries at most one album's worth
+export const ATTACHMENT_TYPES = ['photo', 'video', 'document', 'voice'];
+export const MAX_ATTACHMENTS = 10;
+
+const DEFAULT_FILES = {
+  photo: { fileName: 'photo.jpg', mimeType: 'image/jpeg' },
+  video: { fileName: 'video.mp4', mimeType: 'video/mp4' },
+  document: { fileName: 'document', mimeType: 'application/octet-stream' },
+  voice: { fileName: 'voice.ogg', mimeType: 'audio/ogg' }
+};
+
+// Photos and videos share an album, documents only group with documents, voice notes go alone
+const ALBUM_KINDS = { photo: 'media', video: 'media', document: 'document' };
+
+const DATA_URL = /^data:([^;,]+)?(?:;[^,]*)?,/;
+
+/**
+ * Validates the attachments of a broadcast. The legacy `imageBase64` becomes a single photo.
+ * @param {Array} input - [{ type, data, fileName?, mimeType?, caption? }], `data` is base64 or a data URL;
+ *   media library files come as { type, mediaId, size, ... } with the details of the library entry
+ * @param {Object} options - { imageBase64, requireData = true }; previews only need types and captions
+ * @returns {Array} [{ type, data, mediaId, fileName, mimeType, caption }]
+ * @throws {Error} When the list or an attachment is invalid
+ */
+export function normalizeAttachments(input, { imageBase64 = null, requireData = true } = {}) {
+  const list = input === undefined || input === null ? [] : input;
+  if (!Array.isArray(list)) {
+    throw new Error('attachments must be an array');
+  }
+  const items = imageBase64 && list.length === 0 ? [{ type: 'photo', data: imageBase64 }] : list;
+  if (items.length > MAX_ATTACHMENTS) {
+    throw new Error(`No more than ${MAX_ATTACHMENTS} attachments are allowed`);
+  }
+
+  return items.map((attachment, index) => {
+    const type = attachment?.type;
+    if (!ATTACHMENT_TYPES.includes(type)) {
+      throw new Error(`attachments[${index}].type must be one of: ${ATTACHMENT_TYPES.join(', ')}`);
+    }
+
+    const raw = typeof attachment.data === 'string' ? attachment.data : '';
+    const dataUrl = raw.match(DATA_URL);
+    const data = dataUrl ? raw.slice(dataUrl[0].length) : raw;
+    const mediaId = typeof attachment.mediaId === 'string' && attachment.mediaId ? attachment.mediaId : null;
+    if (requireData && !data && !mediaId) {
+      throw new Error(`attachments[${index}].data or mediaId required`);
+    }
+
+    const caption = attachment.caption === undefined || attachment.caption === null ? '' : attachment.caption;
+    if (typeof caption !== 'string') {
+      throw new Error(`attachments[${index}].caption must be a string`);
+    }
+    try {
+      parseTemplate(caption);
+    } catch (error) {
+      throw new Error(`attachments[${index}]: Invalid caption template: ${error.message}`);
+    }
+
+    return {
+      type,
+      data: mediaId ? '' : data,
+      mediaId,
+      ...(mediaId && Number.isFinite(attachment.size) ? { size: attachment.size } : {}),
+      fileName: typeof attachment.fileName === 'string' && attachment.fileName.trim()
+        ? attachment.fileName.trim()
+        : DEFAULT_FILES[type].fileName,
+      mimeType: attachment.mimeType || dataUrl?.[1] || DEFAULT_FILES[type].mimeType,
+      caption
+    };
+  });
+}
+
+/**
+ * Attachment details kept in history and task listings, without the file contents
+ * @param {Array} attachments - Normalized attachments
+ * @returns {Array} [{ type, mediaId, fileName, mimeType, caption, size }]
+ */
+export function describeAttachments(attachments) {
+  return (attachments || []).map(({ type, data, mediaId = null, size, fileName, mimeType, caption }) => ({
+    type,
+    mediaId,
+    fileName,
+    mimeType,
+    caption,
+    size: data ? Buffer.byteLength(data, 'base64') : size ?? 0
+  }));
+}
+
+/**
+ * Splits attachments into the messages Telegram can deliver them in: consecutive photos and
+ * videos form one album, consecutive documents another, every voice note is its own message.
+ * @param {Array} attachments - Attachments in the order they should arrive
+ * @returns {Array<Array>} Groups, each sent as one message or album
+ */
+export function groupAttachments(attachments) {
+  const groups = [];
+  let lastKind = null;
+  for (const attachment of attachments) {
+    const kind = ALBUM_KINDS[attachment.type] || null;
+    const current = groups[groups.length - 1];
+    if (kind && kind === lastKind && current.length < MAX_ATTACHMENTS) {
+      current.push(attachment);
+    } else {
+      groups.push([attachment]);
+    }
+    lastKind = kind;
+  }
+  return groups;
+}
@@ -1,12 +1,25 @@
-import fs from 'fs';
-import { getDataPath, readJson, writeJson } from './storage.js';
+import { readJson, writeJson, removeJson, saveRecord, getRecord, listRecords, deleteRecord, listDeliveries } from './storage.js';
 
-const FILE_PREFIX = 'broadcast_results_';
+const REPLIES_FILE_PREFIX = 'broadcast_replies_';
 const FILE_SUFFIX = '.json';
 const audienceNameCache = new Map();
 
-function sanitizeHistoryFileName(historyId) {
-  return `${FILE_PREFIX}${historyId}${FILE_SUFFIX}`;
+// Recipient key -> account -> latest successful DM { historyId, entry, sentTime }, so replies are matched
+// without reading every stored broadcast. Built from storage on the first lookup, then kept up to date
+// by saveBroadcastHistory; deleteBroadcastHistory drops it
+let deliveryIndex = null;
+
+// Replies live in their own file so a broadcast still running can receive them before its record is saved
+function repliesFileName(historyId) {
+  return `${REPLIES_FILE_PREFIX}${historyId}${FILE_SUFFIX}`;
+}
+
+function getDeliveryKey(recipient) {
+  return String(recipient?.id ?? recipient?.username ?? '');
+}
+
+function formatRate(part, whole) {
+  return whole > 0 ? `${((part / whole) * 100).toFixed(2)}%` : '0%';
 }
 
 export function buildMessagePreview(message = '', maxLength = 120) {
@@ -35,7 +48,7 @@ function resolveAudienceName(audienceId) {
     return audienceNameCache.get(audienceId);
   }
 
-  const audienceData = readJson(`audience_results_${audienceId}.json`, null);
+  const audienceData = getRecord('audience', audienceId);
   const derived = deriveAudienceName(audienceData) || audienceId;
   audienceNameCache.set(audienceId, derived);
   return derived;
@@ -47,7 +60,8 @@ export function generateBroadcastHistoryId(userId) {
 }
 
 export function computeBroadcastStatus(summary = {}) {
-  const total = Number(summary.total ?? 0);
+  // Suppressed and capped recipients were skipped on purpose and do not count against the result
+  const total = Number(summary.total ?? 0) - Number(summary.suppressed ?? 0) - Number(summary.capped ?? 0);
   const success = Number(summary.success ?? 0);
   const failed = Number(summary.failed ?? 0);
 
@@ -105,6 +119,35 @@ export function deriveAudienceName(audienceData) {
   return null;
 }
 
+/**
+ * Per-variant results of an A/B broadcast, counted from its deliveryLog
+ * @param {Array} variants - [{ id, message, weight }] stored on the history record
+ * @param {Array} deliveryLog - Delivery entries tagged with `variant`
+ * @returns {Array} [{ id, weight, messagePreview, total, success, failed, suppressed, capped, replied, successRate, replyRate }]
+ */
+export function summarizeVariants(variants = [], deliveryLog = []) {
+  return variants.map((variant) => {
+    const entries = deliveryLog.filter((entry) => entry.variant === variant.id);
+    const count = (status) => entries.filter((entry) => entry.status === status).length;
+    const success = count('success');
+    const failed = count('failed');
+    const replied = entries.filter((entry) => entry.repliedAt).length;
+    return {
+      id: variant.id,
+      weight: variant.weight,
+      messagePreview: buildMessagePreview(variant.message),
+      total: entries.length,
+      success,
+      failed,
+      suppressed: count('suppressed'),
+      capped: count('capped'),
+      replied,
+      successRate: formatRate(success, success + failed),
+      replyRate: formatRate(replied, success)
+    };
+  });
+}
+
 export function normalizeBroadcastHistory(raw, { hydrateAudience = true } = {}) {
   if (!raw) {
     return null;
@@ -114,6 +157,10 @@ export function normalizeBroadcastHistory(raw, { hydrateAudience = true } = {})
     total: Number(raw.summary?.total ?? 0),
     success: Number(raw.summary?.success ?? 0),
     failed: Number(raw.summary?.failed ?? 0),
+    suppressed: Number(raw.summary?.suppressed ?? 0),
+    capped: Number(raw.summary?.capped ?? 0),
+    resolved: Number(raw.summary?.resolved ?? 0),
+    notSent: Number(raw.summary?.notSent ?? 0),
     successRate: raw.summary?.successRate ?? (Number(raw.summary?.total ?? 0) > 0
       ? `${((Number(raw.summary?.success ?? 0) / Number(raw.summary?.total ?? 0)) * 100).toFixed(2)}%`
       : '0%')
@@ -133,9 +180,36 @@ export function normalizeBroadcastHistory(raw, { hydrateAudience = true } = {})
     deliveryLog: Array.isArray(raw.deliveryLog) ? raw.deliveryLog : [],
     mode: raw.mode || 'dm',
     audienceId: raw.audienceId || null,
-    audienceName: raw.audienceName || null
+    audienceName: raw.audienceName || null,
+    retryOf: raw.retryOf || null,
+    retries: Array.isArray(raw.retries) ? raw.retries : [],
+    variants: Array.isArray(raw.variants) ? raw.variants : [],
+    attachments: Array.isArray(raw.attachments) ? raw.attachments : [],
+    templateId: raw.templateId || null,
+    templateVersion: raw.templateVersion || null,
+    templateTitle: raw.templateTitle || null,
+    dryRun: raw.dryRun === true,
+    forwardFrom: raw.forwardFrom || null,
+    replies: raw.id || raw.historyId ? listBroadcastReplies(raw.id || raw.historyId) : []
   };
 
+  // Mark deliveries that got an answer; the reply rate is measured against delivered messages
+  const firstReplies = new Map();
+  for (const reply of normalized.replies) {
+    const key = getDeliveryKey(reply.recipient);
+    const first = firstReplies.get(key);
+    firstReplies.set(key, { repliedAt: first && first.repliedAt < reply.receivedAt ? first.repliedAt : reply.receivedAt, count: (first?.count || 0) + 1 });
+  }
+  if (firstReplies.size > 0) {
+    normalized.deliveryLog = normalized.deliveryLog.map((entry) => {
+      const reply = entry.status === 'success' ? firstReplies.get(getDeliveryKey(entry.recipient)) : null;
+      return reply ? { ...entry, repliedAt: reply.repliedAt, replyCount: reply.count } : entry;
+    });
+  }
+  summary.replied = normalized.deliveryLog.filter((entry) => entry.repliedAt).length;
+  summary.replyRate = formatRate(summary.replied, summary.success);
+  normalized.variantStats = summarizeVariants(normalized.variants, normalized.deliveryLog);
+
   if (hydrateAudience && !normalized.audienceName && normalized.audienceId) {
     normalized.audienceName = resolveAudienceName(normalized.audienceId);
   }
@@ -190,31 +264,14 @@ export function listBroadcastHistory(userId, filters = {}) {
     return [];
   }
 
-  const dataDir = getDataPath();
-  let files = [];
-
-  try {
-    files = fs.readdirSync(dataDir);
-  } catch {
-    return [];
-  }
-
   const entries = [];
 
-  for (const file of files) {
-    if (!file.startsWith(FILE_PREFIX) || !file.endsWith(FILE_SUFFIX)) {
-      continue;
-    }
-
-    const history = normalizeBroadcastHistory(readJson(file, null));
+  for (const raw of listRecords('broadcast', { userId, withItems: true })) {
+    const history = normalizeBroadcastHistory(raw);
     if (!history) {
       continue;
     }
 
-    if (history.userId !== userId) {
-      continue;
-    }
-
     if (!matchesFilters(history, filters)) {
       continue;
     }
@@ -223,13 +280,26 @@ export function listBroadcastHistory(userId, filters = {}) {
       id: history.id,
       createdAt: history.createdAt,
       status: history.status,
+      dryRun: history.dryRun,
+      forwardFrom: history.forwardFrom,
       mode: history.mode,
       audienceId: history.audienceId,
       audienceName: history.audienceName,
       total: history.summary.total,
       success: history.summary.success,
       failed: history.summary.failed,
-      messagePreview: history.messagePreview
+      suppressed: history.summary.suppressed,
+      capped: history.summary.capped,
+      resolved: history.summary.resolved,
+      messagePreview: history.messagePreview,
+      retryOf: history.retryOf,
+      retries: history.retries.map((retry) => retry.historyId),
+      replied: history.summary.replied,
+      replyRate: history.summary.replyRate,
+      variants: history.variantStats,
+      template: history.templateId
+        ? { id: history.templateId, version: history.templateVersion, title: history.templateTitle }
+        : null
     });
   }
 
@@ -247,7 +317,7 @@ export function getBroadcastHistoryById(historyId) {
     return null;
   }
 
-  const history = normalizeBroadcastHistory(readJson(sanitizeHistoryFileName(historyId), null));
+  const history = normalizeBroadcastHistory(getRecord('broadcast', historyId));
   if (!history) {
     return null;
   }
@@ -264,5 +334,209 @@ export function saveBroadcastHistory(history) {
     throw new Error('Broadcast history record must include an id');
   }
 
-  writeJson(sanitizeHistoryFileName(history.id), history);
+  saveRecord('broadcast', history);
+  indexDeliveries(history);
+}
+
+/**
+ * Deletes a broadcast record together with its replies
+ * @returns {boolean} False when there was no such record
+ */
+export function deleteBroadcastHistory(historyId) {
+  // Older deliveries the index dropped in favour of this broadcast's come back on the next rebuild
+  deliveryIndex = null;
+  removeJson(repliesFileName(historyId));
+  return deleteRecord('broadcast', historyId);
+}
+
+/**
+ * Failed deliveries of a broadcast that are worth sending again
+ * @param {Object} history - Normalized broadcast history
+ * @param {Array<string>} excludeErrors - Error classes to skip, e.g. ['USER_PRIVACY_RESTRICTED']
+ * @returns {Array} deliveryLog entries
+ */
+export function getRetryableDeliveries(history, excludeErrors = []) {
+  const excluded = excludeErrors.map((value) => String(value).trim().toUpperCase()).filter(Boolean);
+  return (history?.deliveryLog || []).filter((entry) => {
+    if (entry.status !== 'failed') return false;
+    const error = String(entry.error || '').toUpperCase();
+    return !excluded.some((errorClass) => error.includes(errorClass));
+  });
+}
+
+/**
+ * Records on the original broadcast that a retry was started for it
+ * @param {string} historyId - Original broadcast history ID
+ * @param {Object} retry - { historyId, taskId, createdAt, recipients }
+ */
+export function linkBroadcastRetry(historyId, retry) {
+  const raw = getRecord('broadcast', historyId);
+  if (!raw) {
+    throw new Error(`Broadcast history ${historyId} not found`);
+  }
+
+  raw.retries = [...(Array.isArray(raw.retries) ? raw.retries : []), retry];
+  saveRecord('broadcast', raw);
+}
+
+/**
+ * Counts successful DMs per recipient across all stored broadcasts of one Telegram account
+ * since a given moment. Records saved before the account was tracked are matched by app user.
+ * @param {Object} options - { accountId, userId, since (Date) }
+ * @returns {{ byId: Map<string, number>, byUsername: Map<string, number> }}
+ */
+export function collectRecentDeliveries({ accountId, userId, since }) {
+  const byId = new Map();
+  const byUsername = new Map();
+
+  for (const delivery of listDeliveries({ mode: 'dm', status: 'success', since })) {
+    const sameAccount = delivery.accountId
+      ? String(delivery.accountId) === String(accountId)
+      : String(delivery.userId) === String(userId);
+    if (!sameAccount) {
+      continue;
+    }
+
+    const id = delivery.entry.recipient?.id;
+    const username = delivery.entry.recipient?.username;
+    if (id !== undefined && id !== null) {
+      byId.set(String(id), (byId.get(String(id)) || 0) + 1);
+    }
+    if (username) {
+      const key = String(username).replace(/^@/, '').toLowerCase();
+      byUsername.set(key, (byUsername.get(key) || 0) + 1);
+    }
+  }
+
+  return { byId, byUsername };
+}
+
+/**
+ * Number of recent DMs a recipient already got, by ID or username
+ * @param {Object} deliveries - Result of collectRecentDeliveries()
+ * @param {Object} recipient - Recipient with `id` and/or `username`
+ */
+export function countRecentDeliveries(deliveries, recipient) {
+  const byId = recipient?.id !== undefined && recipient?.id !== null
+    ? deliveries.byId.get(String(recipient.id)) || 0
+    : 0;
+  const byUsername = recipient?.username
+    ? deliveries.byUsername.get(String(recipient.username).replace(/^@/, '').toLowerCase()) || 0
+    : 0;
+  return Math.max(byId, byUsername);
+}
+
+export function listBroadcastReplies(historyId) {
+  const data = readJson(repliesFileName(historyId), null);
+  return Array.isArray(data?.replies) ? data.replies : [];
+}
+
+/**
+ * Stores a reply to a broadcast DM; the same Telegram message is only stored once
+ * @param {string} historyId - Broadcast the reply is attributed to
+ * @param {Object} reply - { recipient: { id, username, name }, messageId, text, receivedAt, variant }
+ * @returns {boolean} Whether the reply was new
+ */
+export function addBroadcastReply(historyId, reply) {
+  const replies = listBroadcastReplies(historyId);
+  if (replies.some((existing) => existing.messageId === reply.messageId
+    && getDeliveryKey(existing.recipient) === getDeliveryKey(reply.recipient))) {
+    return false;
+  }
+
+  replies.push(reply);
+  writeJson(repliesFileName(historyId), { historyId, replies });
+  return true;
+}
+
+function normalizeUsername(username) {
+  return String(username || '').replace(/^@/, '').toLowerCase();
+}
+
+function getRecipientIndexKeys(recipient) {
+  const keys = [];
+  const id = String(recipient?.id ?? '');
+  if (id) keys.push(`id:${id}`);
+  // Recipients added by username carry it as their id until resolved
+  const username = normalizeUsername(recipient?.username) || (id.startsWith('@') ? normalizeUsername(id) : '');
+  if (username) keys.push(`username:${username}`);
+  return keys;
+}
+
+function addToDeliveryIndex(historyId, accountId, entry) {
+  if (entry?.status !== 'success') return;
+  const sentTime = Date.parse(entry.timestamp);
+  if (Number.isNaN(sentTime)) return;
+
+  const account = String(accountId ?? '');
+  for (const key of getRecipientIndexKeys(entry.recipient)) {
+    if (!deliveryIndex.has(key)) deliveryIndex.set(key, new Map());
+    const byAccount = deliveryIndex.get(key);
+    const current = byAccount.get(account);
+    if (!current || sentTime >= current.sentTime) {
+      byAccount.set(account, { historyId, entry, sentTime });
+    }
+  }
+}
+
+function getDeliveryIndex(since) {
+  if (!deliveryIndex) {
+    deliveryIndex = new Map();
+    for (const { historyId, accountId, entry } of listDeliveries({ mode: 'dm', status: 'success', since })) {
+      addToDeliveryIndex(historyId, accountId, entry);
+    }
+  }
+  return deliveryIndex;
+}
+
+function indexDeliveries(history) {
+  if (!deliveryIndex || (history.mode || 'dm') !== 'dm') return;
+  for (const entry of Array.isArray(history.deliveryLog) ? history.deliveryLog : []) {
+    addToDeliveryIndex(history.id, history.accountId, { ...entry, timestamp: entry.timestamp || history.createdAt });
+  }
+}
+
+/**
+ * Finds the broadcast DM a private message answers: the latest successful delivery of the
+ * account to that person within the reply window
+ * @param {Object} options - { accountId, senderId, username, receivedAt (ISO), since (Date), pending }
+ *   `pending` lists broadcasts still running as [{ historyId, deliveryLog }]
+ * @returns {{ historyId: string, entry: Object }|null}
+ */
+export function findDeliveryForReply({ accountId, senderId, username, receivedAt, since, pending = [] }) {
+  const pendingIds = new Set(pending.map((source) => source.historyId));
+  const senderKeys = getRecipientIndexKeys({ id: senderId, username });
+  const receivedTime = Date.parse(receivedAt);
+  let best = null;
+
+  const consider = (historyId, entry, sentTime) => {
+    if (Number.isNaN(sentTime) || sentTime > receivedTime || sentTime < since.getTime()) return;
+    if (!best || sentTime > best.sentTime) {
+      best = { historyId, entry, sentTime };
+    }
+  };
+
+  // Stored broadcasts; records saved before the account was tracked count for any account
+  const index = getDeliveryIndex(since);
+  for (const key of senderKeys) {
+    const byAccount = index.get(key);
+    if (!byAccount) continue;
+    for (const account of new Set([String(accountId ?? ''), ''])) {
+      const delivery = byAccount.get(account);
+      if (delivery && !pendingIds.has(delivery.historyId)) {
+        consider(delivery.historyId, delivery.entry, delivery.sentTime);
+      }
+    }
+  }
+
+  for (const { historyId, deliveryLog } of pending) {
+    for (const entry of Array.isArray(deliveryLog) ? deliveryLog : []) {
+      if (entry.status !== 'success') continue;
+      if (getRecipientIndexKeys(entry.recipient).some((key) => senderKeys.includes(key))) {
+        consider(historyId, entry, Date.parse(entry.timestamp));
+      }
+    }
+  }
+
+  return best ? { historyId: best.historyId, entry: best.entry } : null;
 }
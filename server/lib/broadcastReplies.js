@@ -0,0 +1,49 @@
+import { logger } from './logger.js';
+import { taskManager } from './taskManager.js';
+import { addBroadcastReply, buildMessagePreview, findDeliveryForReply } from './broadcastHistory.js';
+
+// Messages arriving later than this after the DM are not counted as replies to the broadcast
+const DEFAULT_REPLY_WINDOW_DAYS = 14;
+const REPLY_PREVIEW_LENGTH = 200;
+
+// Broadcasts still sending: their history is saved when they finish, deliveries so far are in the cursor
+function listPendingBroadcasts() {
+  return taskManager.list()
+    .filter((task) => task.type === 'broadcast' && !taskManager.isFinished(task) && task.payload?.mode === 'dm')
+    .filter((task) => task.payload.historyId && Array.isArray(task.cursor?.deliveryLog))
+    .map((task) => ({ historyId: task.payload.historyId, deliveryLog: task.cursor.deliveryLog }));
+}
+
+/**
+ * Attributes an incoming private message to the broadcast that last DMed its sender
+ * @param {Object} message - { accountId, senderId, username, name, text, messageId, receivedAt }
+ * @returns {Object|null} { historyId, reply } when the message is a new reply to a broadcast
+ */
+export function trackBroadcastReply(message) {
+  const receivedAt = message.receivedAt || new Date().toISOString();
+  const windowDays = Number(process.env.BROADCAST_REPLY_WINDOW_DAYS) || DEFAULT_REPLY_WINDOW_DAYS;
+  const match = findDeliveryForReply({
+    accountId: message.accountId,
+    senderId: message.senderId,
+    username: message.username,
+    receivedAt,
+    since: new Date(Date.parse(receivedAt) - windowDays * 24 * 60 * 60 * 1000),
+    pending: listPendingBroadcasts()
+  });
+  if (!match) return null;
+
+  const reply = {
+    recipient: match.entry.recipient,
+    messageId: message.messageId ?? null,
+    text: buildMessagePreview(message.text, REPLY_PREVIEW_LENGTH),
+    receivedAt,
+    variant: match.entry.variant || null
+  };
+  if (!addBroadcastReply(match.historyId, reply)) return null;
+
+  logger.info('Broadcast reply recorded', {
+    historyId: match.historyId,
+    recipient: reply.recipient?.id || reply.recipient?.username
+  });
+  return { historyId: match.historyId, reply };
+}
@@ -0,0 +1,59 @@
+import { createHash } from 'crypto';
+import { parseTemplate } from './messageTemplate.js';
+
+// A/B variants are labelled A, B, C... in the order they were submitted
+const VARIANT_IDS = ['A', 'B', 'C', 'D', 'E'];
+export const MAX_VARIANTS = VARIANT_IDS.length;
+
+/**
+ * Validates the message variants of an A/B broadcast
+ * @param {Array} input - [{ message, weight? }] or plain message strings; weight defaults to 1
+ * @returns {Array|null} [{ id, message, weight }], null when no variants were given
+ * @throws {Error} When the list or a variant is invalid
+ */
+export function normalizeVariants(input) {
+  if (input === undefined || input === null) {
+    return null;
+  }
+  if (!Array.isArray(input) || input.length < 2 || input.length > MAX_VARIANTS) {
+    throw new Error(`variants must be an array of 2 to ${MAX_VARIANTS} messages`);
+  }
+
+  return input.map((variant, index) => {
+    const message = typeof variant === 'string' ? variant : variant?.message;
+    if (typeof message !== 'string' || !message.trim()) {
+      throw new Error(`variants[${index}].message required`);
+    }
+    const weight = variant?.weight === undefined ? 1 : Number(variant.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`variants[${index}].weight must be a positive number`);
+    }
+    try {
+      parseTemplate(message);
+    } catch (error) {
+      throw new Error(`variants[${index}]: Invalid message template: ${error.message}`);
+    }
+    return { id: VARIANT_IDS[index], message, weight };
+  });
+}
+
+/**
+ * Picks the variant for a recipient. The choice depends only on the seed and the recipient,
+ * so a paused and resumed broadcast keeps every recipient on the same variant.
+ * @param {Array} variants - Normalized variants
+ * @param {string} seed - Per-broadcast seed, e.g. the history ID
+ * @param {string} recipientKey - Stable recipient key
+ * @returns {Object} Variant
+ */
+export function assignVariant(variants, seed, recipientKey) {
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = createHash('sha256').update(`${seed}:${recipientKey}`).digest();
+  const point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += variant.weight;
+    if (point < cumulative) return variant;
+  }
+  return variants[variants.length - 1];
+}
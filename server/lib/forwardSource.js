@@ -0,0 +1,52 @@
+// 'forward' keeps the "Forwarded from" header, 'copy' sends the post as our own message
+export const FORWARD_MODES = ['forward', 'copy'];
+
+const POST_LINK = /^(?:https?:\/\/)?(?:t\.me|telegram\.me)\/(?:s\/)?(c\/\d+|[A-Za-z]\w{3,31})\/(\d+)\/?(?:\?.*)?$/i;
+const CHANNEL_LINK = /^(?:https?:\/\/)?(?:t\.me|telegram\.me)\/(?:s\/)?([A-Za-z]\w{3,31})\/?$/i;
+const USERNAME = /^@?([A-Za-z]\w{3,31})$/;
+const CHANNEL_ID = /^-?\d+$/;
+
+function toSource(peer, messageId, mode) {
+  // Private channels are addressed by their marked ID, -100 followed by the ID from the link
+  const link = peer.startsWith('-100')
+    ? `https://t.me/c/${peer.slice(4)}/${messageId}`
+    : CHANNEL_ID.test(peer) ? null : `https://t.me/${peer}/${messageId}`;
+  return { peer, messageId, mode, link };
+}
+
+/**
+ * Validates the channel post a broadcast sends instead of its own message
+ * @param {string|Object} input - A t.me post link, or { peer, messageId } where `peer` is a
+ *   username, a t.me channel or post link, or a channel ID
+ * @param {string} mode - One of FORWARD_MODES
+ * @returns {{ peer: string, messageId: number, mode: string, link: string|null }}
+ * @throws {Error} When the reference cannot be parsed
+ */
+export function normalizeForwardSource(input, mode = 'forward') {
+  if (!FORWARD_MODES.includes(mode)) {
+    throw new Error(`forwardMode must be one of: ${FORWARD_MODES.join(', ')}`);
+  }
+
+  const reference = typeof input === 'string' ? { peer: input } : input;
+  const rawPeer = String(reference?.peer ?? '').trim();
+  const postLink = rawPeer.match(POST_LINK);
+  const messageId = reference?.messageId !== undefined && reference?.messageId !== null && reference?.messageId !== ''
+    ? Number(reference.messageId)
+    : Number(postLink?.[2]);
+  if (!Number.isInteger(messageId) || messageId < 1) {
+    throw new Error('forwardFrom needs a t.me post link or a messageId');
+  }
+
+  if (postLink) {
+    const [, channel] = postLink;
+    return toSource(channel.startsWith('c/') ? `-100${channel.slice(2)}` : channel, messageId, mode);
+  }
+  const username = rawPeer.match(CHANNEL_LINK)?.[1] || rawPeer.match(USERNAME)?.[1];
+  if (username) {
+    return toSource(username, messageId, mode);
+  }
+  if (CHANNEL_ID.test(rawPeer)) {
+    return toSource(rawPeer, messageId, mode);
+  }
+  throw new Error('forwardFrom.peer must be a channel username, t.me link or channel ID');
+}
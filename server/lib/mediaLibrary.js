@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import sharp from 'sharp';
+import { getDataPath, readJson, writeJson } from './storage.js';
+import { logger } from './logger.js';
+
+// Files live in server/data/media, the per-user index next to the other data files
+export const MAX_MEDIA_SIZE = 50 * 1024 * 1024;
+const MEDIA_DIR = 'media';
+const THUMBNAIL_SIZE = 320;
+
+function libraryFileName(userId) {
+  return `media_${userId}.json`;
+}
+
+function getMediaDir() {
+  const dir = path.join(getDataPath(), MEDIA_DIR);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+function saveAssets(userId, assets) {
+  writeJson(libraryFileName(userId), { userId: String(userId), assets });
+}
+
+/**
+ * Attachment type a file is sent as by default
+ * @param {string} mimeType - File MIME type
+ * @returns {string} 'photo', 'video', 'voice' or 'document'
+ */
+export function detectMediaType(mimeType) {
+  if (mimeType === 'image/jpeg' || mimeType === 'image/png') return 'photo';
+  if (String(mimeType).startsWith('video/')) return 'video';
+  // Telegram plays only OGG/Opus as a voice note, other audio goes as a file
+  if (mimeType === 'audio/ogg') return 'voice';
+  return 'document';
+}
+
+export function listMediaAssets(userId) {
+  const data = readJson(libraryFileName(userId), null);
+  return Array.isArray(data?.assets) ? data.assets : [];
+}
+
+export function getMediaAsset(userId, mediaId) {
+  return listMediaAssets(userId).find((asset) => asset.id === mediaId) || null;
+}
+
+/**
+ * Path of an asset's file or its thumbnail
+ * @param {Object} asset - Library entry
+ * @param {Object} options - { thumbnail }
+ * @returns {string|null} Null when the asset has no thumbnail
+ */
+export function getMediaFilePath(asset, { thumbnail = false } = {}) {
+  if (thumbnail) {
+    return asset.thumbnail ? path.join(getMediaDir(), `${asset.id}_thumb.jpg`) : null;
+  }
+  return path.join(getMediaDir(), `${asset.id}${asset.extension || ''}`);
+}
+
+/**
+ * Stores an uploaded file in the library; photos get a JPEG thumbnail
+ * @param {string} userId - Owner
+ * @param {Object} file - { buffer, fileName, mimeType }
+ * @returns {Promise<Object>} Library entry
+ */
+export async function addMediaAsset(userId, { buffer, fileName, mimeType }) {
+  const id = `media_${Date.now()}_${randomBytes(4).toString('hex')}`;
+  const type = detectMediaType(mimeType);
+  const asset = {
+    id,
+    type,
+    fileName: path.basename(String(fileName || 'file')),
+    mimeType: mimeType || 'application/octet-stream',
+    extension: path.extname(String(fileName || '')).toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10),
+    size: buffer.length,
+    thumbnail: false,
+    createdAt: new Date().toISOString()
+  };
+
+  fs.writeFileSync(getMediaFilePath(asset), buffer);
+  if (type === 'photo') {
+    try {
+      const image = sharp(buffer).rotate();
+      const { width, height } = await image.metadata();
+      await image
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toFile(path.join(getMediaDir(), `${id}_thumb.jpg`));
+      Object.assign(asset, { width, height, thumbnail: true });
+    } catch (e) {
+      logger.warn('Failed to create media thumbnail', { mediaId: id, error: String(e?.message || e) });
+    }
+  }
+
+  saveAssets(userId, [...listMediaAssets(userId), asset]);
+  logger.info('Media asset added', { userId, mediaId: id, type, size: asset.size });
+  return asset;
+}
+
+/**
+ * Reads the contents of a library file for sending
+ * @throws {Error} When the asset does not exist or its file is gone
+ */
+export function readMediaFile(userId, mediaId) {
+  const asset = getMediaAsset(userId, mediaId);
+  const filePath = asset ? getMediaFilePath(asset) : null;
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new Error(`Media ${mediaId} not found`);
+  }
+  return fs.readFileSync(filePath);
+}
+
+/**
+ * Removes an asset with its files
+ * @returns {boolean} False when the user has no such asset
+ */
+export function deleteMediaAsset(userId, mediaId) {
+  const assets = listMediaAssets(userId);
+  const asset = assets.find((entry) => entry.id === mediaId);
+  if (!asset) return false;
+
+  for (const filePath of [getMediaFilePath(asset), getMediaFilePath(asset, { thumbnail: true })]) {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+  saveAssets(userId, assets.filter((entry) => entry.id !== mediaId));
+  logger.info('Media asset deleted', { userId, mediaId });
+  return true;
+}
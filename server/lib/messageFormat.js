@@ -0,0 +1,109 @@
+/**
+ * Broadcast message formatting. Markdown is converted to the HTML subset Telegram understands
+ * (GramJS's own markdown parser knows neither links nor spoilers), HTML is sent as written
+ * and plain text goes out without any entities.
+ */
+
+export const PARSE_MODES = ['markdown', 'html', 'plain'];
+export const DEFAULT_PARSE_MODE = 'markdown';
+
+const MARKDOWN_RULES = [
+  [/\*\*([\s\S]+?)\*\*/g, '<b>$1</b>'],
+  [/__([\s\S]+?)__/g, '<i>$1</i>'],
+  [/~~([\s\S]+?)~~/g, '<s>$1</s>'],
+  [/\|\|([\s\S]+?)\|\|/g, '<spoiler>$1</spoiler>']
+];
+
+// Characters that start markdown formatting; a backslash in front of one sends it as written
+const MARKDOWN_SPECIAL = /[\\*_~|`[\]]/g;
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escapes recipient field values for markdown messages, so a name like `__init__` stays text
+ */
+export function escapeMarkdown(value) {
+  return String(value ?? '').replace(MARKDOWN_SPECIAL, '\\$&');
+}
+
+/**
+ * Converts broadcast markdown to Telegram HTML:
+ * **bold**, __italic__, ~~strike~~, ||spoiler||, `code`, ```pre```, [text](https://link);
+ * a backslash sends the next special character as written
+ * @param {string} text - Markdown text
+ * @returns {string} HTML
+ */
+export function markdownToHtml(text) {
+  // Escaped characters, code and links are cut out first so none of them get formatted
+  const escaped = [];
+  const kept = [];
+  const keep = (html) => `\u0000${kept.push(html) - 1}\u0000`;
+
+  let html = escapeHtml(text)
+    .replace(/\\([\\*_~|`[\]])/g, (_, char) => `\u0001${escaped.push(char) - 1}\u0001`)
+    .replace(/```(?:[\w+-]*\n)?([\s\S]+?)```/g, (_, code) => keep(`<pre>${code}</pre>`))
+    .replace(/`([^`\n]+)`/g, (_, code) => keep(`<code>${code}</code>`))
+    .replace(/\[([^\]\n]+)\]\(((?:https?:\/\/|tg:\/\/|mailto:)[^)\s]+)\)/g, (_, label, url) => keep(`<a href="${url}">${label}</a>`));
+
+  for (const [pattern, replacement] of MARKDOWN_RULES) {
+    html = html.replace(pattern, replacement);
+  }
+  return html
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => kept[Number(index)])
+    .replace(/\u0001(\d+)\u0001/g, (_, index) => escaped[Number(index)]);
+}
+
+/**
+ * Length of the text a recipient sees, which is what Telegram limits captions by
+ * @param {string} message - Formatted message
+ * @param {string|false} parseMode - GramJS parse mode the message is sent with
+ * @returns {number} UTF-16 length without HTML markup
+ */
+export function getVisibleLength(message, parseMode) {
+  const text = String(message ?? '');
+  if (parseMode !== 'html') return text.length;
+  // Tags are not shown and every entity is a single character
+  return text.replace(/<[^>]*>/g, '').replace(/&(?:#\d+|#x[\da-f]+|[a-z]+);/gi, '&').length;
+}
+
+/**
+ * Prepares rendered text for GramJS sendMessage
+ * @param {string} text - Message text after template rendering
+ * @param {string} parseMode - 'markdown', 'html' or 'plain'
+ * @returns {{ message: string, parseMode: string|false }}
+ */
+export function formatMessage(text, parseMode = DEFAULT_PARSE_MODE) {
+  if (parseMode === 'plain') {
+    return { message: text, parseMode: false };
+  }
+  return { message: parseMode === 'html' ? text : markdownToHtml(text), parseMode: 'html' };
+}
+
+/**
+ * Validates the formatting options of a broadcast request
+ * @param {Object} input - { parseMode, linkPreview, silent }
+ * @returns {{ formatting?: Object, error?: string }}
+ */
+export function parseFormattingOptions({ parseMode, linkPreview, silent } = {}) {
+  if (parseMode !== undefined && parseMode !== null && !PARSE_MODES.includes(parseMode)) {
+    return { error: `parseMode must be one of: ${PARSE_MODES.join(', ')}` };
+  }
+  for (const [name, value] of [['linkPreview', linkPreview], ['silent', silent]]) {
+    if (value !== undefined && value !== null && typeof value !== 'boolean') {
+      return { error: `${name} must be a boolean` };
+    }
+  }
+  return {
+    formatting: {
+      parseMode: parseMode || DEFAULT_PARSE_MODE,
+      linkPreview: linkPreview ?? true,
+      silent: silent ?? false
+    }
+  };
+}
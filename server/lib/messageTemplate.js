@@ -0,0 +1,232 @@
+/**
+ * Broadcast message templates.
+ *
+ *   {firstName}                 recipient field, empty when missing
+ *   {firstName|"friend"}        fallback literal when the field is empty
+ *   {firstName|username|"you"}  fallbacks are tried left to right
+ *   {sourceChannel.title}       nested fields
+ *   {Hi|Hello|Hey}              spintax: one option picked per message
+ *   {#if bio}...{#else}...{/if} conditional block, `{#if !bio}` negates
+ *
+ * Braces that are neither a known variable nor spintax (e.g. "{foo}") are sent as is;
+ * `\{`, `\}` and `\|` produce literal characters.
+ */
+
+// Fields a template can reference; anything else in braces is spintax or plain text
+export const TEMPLATE_VARIABLES = ['name', 'firstName', 'lastName', 'fullName', 'username', 'bio', 'id', 'title', 'sourceChannel'];
+
+const VARIABLE_PATH = /^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const QUOTED_LITERAL = /^"([^"]*)"$|^'([^']*)'$/;
+const ESCAPABLE = '{}|\\';
+const MAX_NESTING = 16;
+
+function isKnownVariable(path) {
+  return VARIABLE_PATH.test(path) && TEMPLATE_VARIABLES.includes(path.split('.')[0]);
+}
+
+function parseSequence(state, start, inExpression) {
+  const { source } = state;
+  const nodes = [];
+  let text = '';
+  let index = start;
+
+  const flushText = () => {
+    if (text) nodes.push({ type: 'text', value: text });
+    text = '';
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '\\' && ESCAPABLE.includes(source[index + 1] || '')) {
+      text += source[index + 1];
+      index += 2;
+      continue;
+    }
+    if (inExpression && (char === '|' || char === '}')) break;
+    if (char === '{') {
+      if (source.startsWith('{/if}', index) || source.startsWith('{#else}', index)) break;
+      const parsed = parseBrace(state, index);
+      if (parsed) {
+        flushText();
+        nodes.push(parsed.node);
+        index = parsed.end;
+        continue;
+      }
+    }
+    text += char;
+    index++;
+  }
+
+  flushText();
+  return { nodes, index };
+}
+
+function parseCondition(state, start) {
+  const { source } = state;
+  const close = source.indexOf('}', start);
+  if (close === -1) {
+    throw new Error(`Unclosed {#if at position ${start}`);
+  }
+  const match = source.slice(start + '{#if'.length, close).trim().match(/^(!?)\s*(\S+)$/);
+  if (!match || !isKnownVariable(match[2])) {
+    throw new Error(`Invalid condition "${source.slice(start, close + 1)}" at position ${start}`);
+  }
+
+  const body = parseSequence(state, close + 1, false);
+  let otherwise = [];
+  let index = body.index;
+  if (source.startsWith('{#else}', index)) {
+    const elseBody = parseSequence(state, index + '{#else}'.length, false);
+    otherwise = elseBody.nodes;
+    index = elseBody.index;
+  }
+  if (!source.startsWith('{/if}', index)) {
+    throw new Error(`Missing {/if} for the block at position ${start}`);
+  }
+
+  return {
+    node: { type: 'if', negate: match[1] === '!', path: match[2], then: body.nodes, otherwise },
+    end: index + '{/if}'.length
+  };
+}
+
+function parseFallback({ raw, nodes }) {
+  const trimmed = raw.trim();
+  const quoted = trimmed.match(QUOTED_LITERAL);
+  if (quoted) return [{ type: 'text', value: quoted[1] ?? quoted[2] }];
+  if (isKnownVariable(trimmed)) return [{ type: 'variable', path: trimmed, fallbacks: [] }];
+  return nodes;
+}
+
+// Returns null when the brace is not template syntax, so the caller keeps it as text.
+// Results are cached by position: unclosed braces would otherwise be re-parsed exponentially.
+function parseBrace(state, start) {
+  const { source, cache } = state;
+  if (cache.has(start)) return cache.get(start);
+  if (state.depth >= MAX_NESTING) {
+    throw new Error(`Braces nested deeper than ${MAX_NESTING} levels at position ${start}`);
+  }
+
+  state.depth++;
+  const parsed = /^\{#if[\s!]/.test(source.slice(start, start + 5))
+    ? parseCondition(state, start)
+    : parseExpression(state, start);
+  state.depth--;
+  cache.set(start, parsed);
+  return parsed;
+}
+
+function parseExpression(state, start) {
+  const { source } = state;
+  const alternatives = [];
+  let index = start + 1;
+  for (;;) {
+    const part = parseSequence(state, index, true);
+    alternatives.push({ raw: source.slice(index, part.index), nodes: part.nodes });
+    if (source[part.index] === '|') {
+      index = part.index + 1;
+      continue;
+    }
+    if (source[part.index] !== '}') return null;
+    index = part.index + 1;
+    break;
+  }
+
+  const path = alternatives[0].raw.trim();
+  if (isKnownVariable(path)) {
+    return { node: { type: 'variable', path, fallbacks: alternatives.slice(1).map(parseFallback) }, end: index };
+  }
+  if (alternatives.length > 1) {
+    return { node: { type: 'spin', options: alternatives.map((alternative) => alternative.nodes) }, end: index };
+  }
+  return null;
+}
+
+/**
+ * Parses a template into a syntax tree
+ * @param {string} source - Template text
+ * @returns {Array} Nodes
+ * @throws {Error} On unbalanced {#if}/{#else}/{/if} blocks or invalid conditions
+ */
+export function parseTemplate(source) {
+  const text = String(source ?? '');
+  const { nodes, index } = parseSequence({ source: text, cache: new Map(), depth: 0 }, 0, false);
+  if (index < text.length) {
+    const tag = text.startsWith('{/if}', index) ? '{/if}' : '{#else}';
+    throw new Error(`Unexpected ${tag} at position ${index}`);
+  }
+  return nodes;
+}
+
+function lookup(context, path) {
+  const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), context);
+  if (value == null || typeof value === 'object') return '';
+  return String(value).trim();
+}
+
+function renderNodes(nodes, context, options) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      // Recipient data is escaped, fallback literals are the author's own markup
+      const value = lookup(context, node.path);
+      let rendered = value ? options.escape(value) : '';
+      for (const fallback of node.fallbacks) {
+        if (rendered) break;
+        rendered = renderNodes(fallback, context, options);
+      }
+      output += rendered;
+    } else if (node.type === 'if') {
+      const matches = Boolean(lookup(context, node.path)) !== node.negate;
+      output += renderNodes(matches ? node.then : node.otherwise, context, options);
+    } else if (node.type === 'spin') {
+      const option = node.options[Math.min(Math.floor(options.random() * node.options.length), node.options.length - 1)];
+      output += renderNodes(option, context, options);
+    }
+  }
+  return output;
+}
+
+/**
+ * Parses a template once for rendering it per recipient
+ * @param {string} source - Template text
+ * @returns {(context: Object, options?: { random?: () => number, escape?: (value: string) => string }) => string}
+ *   `escape` is applied to recipient field values, e.g. HTML escaping for HTML messages
+ * @throws {Error} When the template is invalid
+ */
+export function compileTemplate(source) {
+  const nodes = parseTemplate(source);
+  return (context, { random = Math.random, escape = (value) => value } = {}) =>
+    renderNodes(nodes, context || {}, { random, escape });
+}
+
+export function renderTemplate(source, context, options) {
+  return compileTemplate(source)(context, options);
+}
+
+/**
+ * Variables available to a template for one broadcast recipient
+ * @param {Object} recipient - Audience user (dm mode) or channel (chat mode)
+ * @param {string} mode - 'dm' or 'chat'
+ * @returns {Object}
+ */
+export function buildTemplateContext(recipient, mode) {
+  if (mode === 'chat') {
+    const channel = { id: recipient.id, title: recipient.title || '', username: recipient.username || '' };
+    return { ...channel, name: channel.title || channel.username || String(recipient.id ?? ''), sourceChannel: channel };
+  }
+
+  return {
+    id: recipient.id,
+    firstName: recipient.firstName || '',
+    lastName: recipient.lastName || '',
+    fullName: recipient.fullName || '',
+    username: recipient.username || '',
+    bio: recipient.bio || '',
+    sourceChannel: recipient.sourceChannel || {},
+    // Legacy {name} token: always resolves to something
+    name: recipient.fullName || recipient.firstName || recipient.username || recipient.id || 'User'
+  };
+}
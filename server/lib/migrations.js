@@ -0,0 +1,236 @@
+import fs from 'fs';
+import path from 'path';
+import { getDataPath, listRecords, getRecord, saveRecord } from './storage.js';
+import { logger } from './logger.js';
+
+// Records written before versions were stamped
+const LEGACY_VERSION = '1.0';
+const BACKUPS_DIR = 'backups';
+
+/**
+ * Schema version new records are written with; readers only accept these
+ */
+export const SCHEMA_VERSIONS = {
+  parsing: '2.0',
+  audience: '3.0'
+};
+
+const DEFAULT_CHANNEL_TYPES = { megagroup: true, discussionGroup: true, broadcast: true };
+
+// Channel of a 1.0 parsing session -> the enriched shape searchChannels returns; fields the channel
+// already has are kept, the rest get the values of a channel nothing is known about
+function upgradeChannel(channel) {
+  const source = channel || {};
+  const username = source.username || null;
+  const membersCount = Number(source.membersCount) || 0;
+
+  return {
+    id: source.id || '',
+    title: source.title || 'Без названия',
+    username,
+    address: source.address || (username ? `@${username}` : `tg://resolve?domain=${source.id || ''}`),
+    membersCount,
+    description: source.description || '',
+    type: source.type || 'Channel',
+    peer: source.peer || null,
+    metadata: source.metadata || {
+      isVerified: false,
+      isRestricted: false,
+      isScam: false,
+      isFake: false,
+      isGigagroup: false,
+      hasUsername: !!username,
+      isPublic: !!username,
+      privacy: username ? 'public' : 'private'
+    },
+    category: source.category || source.type || 'Channel',
+    inviteLink: source.inviteLink || null,
+    channelMetadata: source.channelMetadata || {
+      linkedChatId: null,
+      canViewParticipants: false,
+      canSetUsername: false,
+      canSetStickers: false,
+      hiddenPrehistory: false,
+      participantsCount: membersCount,
+      adminsCount: 0,
+      kickedCount: 0,
+      bannedCount: 0,
+      onlineCount: 0,
+      readInboxMaxId: 0,
+      readOutboxMaxId: 0,
+      unreadCount: 0
+    },
+    resolvedLink: source.resolvedLink || (username ? `https://t.me/${username}` : null),
+    fullDescription: source.description || '',
+    searchableText: `${source.title || ''} ${source.description || ''}`.toLowerCase(),
+    date: source.date || null,
+    hasForwards: source.hasForwards || false,
+    hasScheduled: source.hasScheduled || false,
+    canDeleteHistory: source.canDeleteHistory || false,
+    antiSpamEnabled: source.antiSpamEnabled || false,
+    joinToSend: source.joinToSend || false,
+    requestJoinRequired: source.requestJoinRequired || false
+  };
+}
+
+// Member of a pre-3.0 audience -> the shape the audience worker saves; without a peer the broadcast
+// resolves the user at send time
+function upgradeAudienceUser(user) {
+  const source = user || {};
+  return {
+    id: source.id !== undefined && source.id !== null ? String(source.id) : '',
+    username: source.username || null,
+    firstName: source.firstName || null,
+    lastName: source.lastName || null,
+    fullName: source.fullName || `${source.firstName || ''} ${source.lastName || ''}`.trim(),
+    phone: source.phone || null,
+    bio: source.bio || null,
+    sourceChannel: source.sourceChannel || null,
+    peer: source.peer || null
+  };
+}
+
+/**
+ * Kind -> version -> step to the next version. Each step takes a record at `from` and returns it at `to`;
+ * migrateRecord chains them, so a new schema only needs a step from the previous current version
+ */
+export const MIGRATIONS = {
+  parsing: {
+    '1.0': {
+      to: '2.0',
+      up: (record) => ({
+        ...record,
+        channels: (record.channels || []).map(upgradeChannel),
+        keywords: record.keywords || (record.query ? [record.query] : []),
+        searchFilters: record.searchFilters || {
+          minMembers: record.minMembers || 0,
+          maxMembers: record.maxMembers || null,
+          limit: 100,
+          channelTypes: DEFAULT_CHANNEL_TYPES
+        },
+        count: record.count ?? (record.channels || []).length,
+        enriched: true
+      })
+    }
+  },
+  audience: {
+    // Single chat analyses -> the session-aware layout
+    '1.0': {
+      to: '2.0',
+      up: (record) => ({
+        ...record,
+        sessionId: record.sessionId || null,
+        count: record.count ?? (record.users || []).length
+      })
+    },
+    // Members get peer metadata for broadcasts
+    '2.0': {
+      to: '3.0',
+      up: (record) => ({ ...record, users: (record.users || []).map(upgradeAudienceUser) })
+    }
+  }
+};
+
+export function getRecordVersion(record) {
+  return record?.version ? String(record.version) : LEGACY_VERSION;
+}
+
+/**
+ * @returns {boolean} True when the record is behind SCHEMA_VERSIONS; kinds without a schema never are
+ */
+export function needsMigration(kind, record) {
+  return Boolean(SCHEMA_VERSIONS[kind]) && getRecordVersion(record) !== SCHEMA_VERSIONS[kind];
+}
+
+/**
+ * Upgrades a record to the current schema of its kind
+ * @param {string} kind - 'parsing' or 'audience'
+ * @param {Object} record - Stored record
+ * @returns {Object} Copy at SCHEMA_VERSIONS[kind], or the record itself when it already is
+ * @throws {Error} When no chain of steps leads from the record's version to the current one
+ */
+export function migrateRecord(kind, record) {
+  const target = SCHEMA_VERSIONS[kind];
+  if (!target) {
+    throw new Error(`Records of kind ${kind} have no schema version`);
+  }
+
+  let current = record;
+  let version = getRecordVersion(record);
+  const seen = new Set();
+  while (version !== target) {
+    const step = MIGRATIONS[kind][version];
+    if (!step || seen.has(version)) {
+      throw new Error(`No migration for ${kind} record ${record?.id} from version ${version} to ${target}`);
+    }
+    seen.add(version);
+    current = { ...step.up(current), version: step.to };
+    version = step.to;
+  }
+  return current;
+}
+
+/**
+ * Guards readers against records the migration has not upgraded yet
+ * @returns {Object} The record, unchanged
+ * @throws {Error} When the record is at another version than SCHEMA_VERSIONS[kind]
+ */
+export function assertCurrentVersion(kind, record) {
+  if (record && needsMigration(kind, record)) {
+    throw new Error(`${kind} record ${record.id} has schema version ${getRecordVersion(record)}, expected ${SCHEMA_VERSIONS[kind]}; run npm run storage:migrate`);
+  }
+  return record;
+}
+
+/**
+ * Records behind their current schema, read from summaries so the rows are not loaded
+ * @returns {Object} kind -> [{ id, version }]
+ */
+export function listOutdatedRecords() {
+  const outdated = {};
+  for (const kind of Object.keys(SCHEMA_VERSIONS)) {
+    outdated[kind] = listRecords(kind)
+      .filter((record) => record.id && needsMigration(kind, record))
+      .map((record) => ({ id: String(record.id), version: getRecordVersion(record) }));
+  }
+  return outdated;
+}
+
+// Copies everything in server/data except earlier backups to backups/migration_<time>
+function backupDataDir(now) {
+  const dataPath = getDataPath();
+  const backupPath = path.join(dataPath, BACKUPS_DIR, `migration_${now}`);
+  fs.mkdirSync(backupPath, { recursive: true });
+  for (const entry of fs.readdirSync(dataPath)) {
+    if (entry === BACKUPS_DIR) continue;
+    fs.cpSync(path.join(dataPath, entry), path.join(backupPath, entry), { recursive: true });
+  }
+  return backupPath;
+}
+
+/**
+ * Upgrades every stored record to SCHEMA_VERSIONS, in place
+ * @param {Object} options - { backup: copy server/data to backups/ first (default true), now }
+ * @returns {Object} { backupPath (null when nothing was copied), migrated: kind -> count }
+ */
+export function migrateDataDir({ backup = true, now = Date.now() } = {}) {
+  const outdated = listOutdatedRecords();
+  const migrated = Object.fromEntries(Object.keys(outdated).map((kind) => [kind, 0]));
+  const total = Object.values(outdated).reduce((sum, items) => sum + items.length, 0);
+  if (total === 0) {
+    return { backupPath: null, migrated };
+  }
+
+  const backupPath = backup ? backupDataDir(now) : null;
+  for (const [kind, items] of Object.entries(outdated)) {
+    for (const { id } of items) {
+      const record = getRecord(kind, id);
+      if (!record) continue;
+      saveRecord(kind, migrateRecord(kind, record));
+      migrated[kind] += 1;
+    }
+  }
+
+  logger.info('Stored records migrated to the current schema', { migrated, backupPath });
+  return { backupPath, migrated };
+}
@@ -0,0 +1,201 @@
+import fs from 'fs';
+import path from 'path';
+import { getDataPath, listRecords, deleteRecord, removeJson, readJson } from './storage.js';
+import { deleteBroadcastHistory } from './broadcastHistory.js';
+import { listLatestSavedSearchResults } from './savedSearches.js';
+import { taskManager } from './taskManager.js';
+import { logger } from './logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_HOURS = 24;
+const AVATARS_DIR = 'avatars';
+
+// Data type -> env variables and defaults; 0 keeps everything. Results are only removed when an
+// admin opts in, settled tasks and cached avatars are cheap to lose
+export const RETENTION_TYPES = {
+  tasks: { env: 'TASKS', maxAgeDays: 30, maxCount: 500 },
+  parsing: { env: 'PARSING', maxAgeDays: 0, maxCount: 0 },
+  audience: { env: 'AUDIENCE', maxAgeDays: 0, maxCount: 0 },
+  broadcast: { env: 'BROADCAST', maxAgeDays: 0, maxCount: 0 },
+  avatars: { env: 'AVATARS', maxAgeDays: 30, maxCount: 0 }
+};
+
+function readLimit(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 0 ? limit : fallback;
+}
+
+/**
+ * Retention limits from RETENTION_<TYPE>_DAYS and RETENTION_<TYPE>_MAX_PER_USER
+ * @param {Object} env - Environment to read, process.env by default
+ * @returns {Object} type -> { maxAgeDays, maxCount }
+ */
+export function getRetentionPolicy(env = process.env) {
+  const policy = {};
+  for (const [type, { env: name, maxAgeDays, maxCount }] of Object.entries(RETENTION_TYPES)) {
+    policy[type] = {
+      maxAgeDays: readLimit(env[`RETENTION_${name}_DAYS`], maxAgeDays),
+      maxCount: readLimit(env[`RETENTION_${name}_MAX_PER_USER`], maxCount)
+    };
+  }
+  return policy;
+}
+
+function toTime(value) {
+  if (typeof value === 'number') return value;
+  return Date.parse(value || '') || 0;
+}
+
+/**
+ * Items over the age limit, or beyond the newest `maxCount` of their user
+ * @param {Array} items - [{ id, userId, time }]
+ * @returns {Array} [{ id, userId, createdAt, reason: 'age'|'count' }]
+ */
+function selectExpired(items, { maxAgeDays, maxCount }, now) {
+  const byUser = new Map();
+  for (const item of items) {
+    const key = String(item.userId ?? '');
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(item);
+  }
+
+  const expired = [];
+  for (const userItems of byUser.values()) {
+    userItems.sort((a, b) => b.time - a.time);
+    userItems.forEach((item, index) => {
+      const reason = maxAgeDays > 0 && now - item.time > maxAgeDays * DAY_MS
+        ? 'age'
+        : maxCount > 0 && index >= maxCount ? 'count' : null;
+      if (reason) {
+        expired.push({ id: item.id, userId: item.userId ?? null, createdAt: new Date(item.time).toISOString(), reason });
+      }
+    });
+  }
+  return expired;
+}
+
+// Records that tasks which may still run read, and the latest run of each saved search (the next run compares against it)
+function collectRecordsInUse(manager) {
+  const inUse = { parsing: new Set(listLatestSavedSearchResults()), audience: new Set(), broadcast: new Set() };
+  for (const task of manager.list()) {
+    if (manager.isSettled(task)) continue;
+    const payload = task.payload || {};
+    if (payload.sessionId) inUse.parsing.add(String(payload.sessionId));
+    if (payload.audienceId) inUse.audience.add(String(payload.audienceId));
+    if (payload.historyId) inUse.broadcast.add(String(payload.historyId));
+    if (payload.retryOf) inUse.broadcast.add(String(payload.retryOf));
+  }
+  return inUse;
+}
+
+function listAvatars() {
+  const avatarsPath = path.join(getDataPath(), AVATARS_DIR);
+  if (!fs.existsSync(avatarsPath)) return [];
+  return fs.readdirSync(avatarsPath)
+    .filter((file) => file.endsWith('.jpg'))
+    .map((file) => {
+      const id = file.slice(0, -'.jpg'.length);
+      let meta = null;
+      try {
+        meta = readJson(`${AVATARS_DIR}/${id}.meta.json`, null);
+      } catch {
+        // Corrupted metadata, the file time is good enough
+      }
+      const time = toTime(meta?.downloadedAt) || fs.statSync(path.join(avatarsPath, file)).mtimeMs;
+      return { id, userId: id, time };
+    });
+}
+
+/**
+ * What the retention policy would remove right now
+ * @param {Object} options - { userId: limit the report to one user, policy, manager, now }
+ * @returns {Object} { generatedAt, policy, purge: type -> [{ id, userId, createdAt, reason }], counts }
+ */
+export function planCleanup({ userId, policy = getRetentionPolicy(), manager = taskManager, now = Date.now() } = {}) {
+  const ownedBy = (item) => userId === undefined || String(item.userId) === String(userId);
+  const purge = { tasks: [] };
+
+  const inUse = collectRecordsInUse(manager);
+  for (const kind of ['parsing', 'audience', 'broadcast']) {
+    const records = listRecords(kind, userId === undefined ? {} : { userId })
+      .filter((record) => record.id)
+      .map((record) => ({ id: String(record.id), userId: record.userId, time: toTime(record.createdAt || record.timestamp) }));
+    purge[kind] = selectExpired(records, policy[kind], now).filter((item) => !inUse[kind].has(item.id));
+  }
+
+  // A broadcast is retried with the attachments and manual recipients of its original task, so the
+  // task stays as long as the history record that survives this cleanup points at it
+  const purgedHistories = new Set(purge.broadcast.map((item) => item.id));
+  const historyTasks = new Set(listRecords('broadcast')
+    .filter((record) => record.taskId && !purgedHistories.has(String(record.id)))
+    .map((record) => String(record.taskId)));
+  const settledTasks = manager.list()
+    .filter((task) => manager.isSettled(task) && !historyTasks.has(task.id))
+    .map((task) => ({ id: task.id, userId: task.userId, time: toTime(task.updatedAt || task.createdAt) }));
+  purge.tasks = selectExpired(settledTasks, policy.tasks, now).filter(ownedBy);
+
+  purge.avatars = selectExpired(listAvatars(), policy.avatars, now).filter(ownedBy);
+
+  const counts = Object.fromEntries(Object.entries(purge).map(([type, items]) => [type, items.length]));
+  return { generatedAt: new Date(now).toISOString(), policy, purge, counts };
+}
+
+const removers = {
+  tasks: (id, manager) => manager.remove(id),
+  parsing: (id) => deleteRecord('parsing', id),
+  audience: (id) => deleteRecord('audience', id),
+  broadcast: (id) => deleteBroadcastHistory(id),
+  avatars: (id) => {
+    fs.rmSync(path.join(getDataPath(), AVATARS_DIR, `${id}.jpg`), { force: true });
+    removeJson(`${AVATARS_DIR}/${id}.meta.json`);
+    return true;
+  }
+};
+
+/**
+ * Removes everything the retention policy selects
+ * @param {Object} options - planCleanup options plus `dryRun` to only report
+ * @returns {Object} The plan, with `dryRun` and `deleted` counts per type
+ */
+export function runCleanup({ dryRun = false, ...options } = {}) {
+  const manager = options.manager || taskManager;
+  const report = planCleanup(options);
+  const deleted = {};
+  for (const [type, items] of Object.entries(report.purge)) {
+    deleted[type] = 0;
+    if (dryRun) continue;
+    for (const item of items) {
+      try {
+        if (removers[type](item.id, manager)) deleted[type] += 1;
+      } catch (error) {
+        logger.warn('Retention cleanup could not remove item', { type, id: item.id, error: String(error?.message || error) });
+      }
+    }
+  }
+
+  if (!dryRun && Object.values(deleted).some((count) => count > 0)) {
+    logger.info('Retention cleanup removed old data', { deleted });
+  }
+  return { ...report, dryRun, deleted };
+}
+
+let cleanupTimer = null;
+
+/**
+ * Runs the cleanup now and then every RETENTION_INTERVAL_HOURS (default 24, 0 turns it off)
+ */
+export function startRetentionJob(intervalHours = readLimit(process.env.RETENTION_INTERVAL_HOURS, DEFAULT_INTERVAL_HOURS)) {
+  if (cleanupTimer || intervalHours === 0) return;
+  const cleanup = () => {
+    try {
+      runCleanup();
+    } catch (error) {
+      logger.error('Retention cleanup failed', { error: String(error?.message || error) });
+    }
+  };
+  cleanup();
+  cleanupTimer = setInterval(cleanup, intervalHours * 60 * 60 * 1000);
+  // Do not keep the process alive just for the cleanup
+  cleanupTimer.unref?.();
+}
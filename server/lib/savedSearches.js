@@ -0,0 +1,229 @@
+import { v4 as uuidv4 } from 'uuid';
+import { readJson, writeJson } from './storage.js';
+import { logger } from './logger.js';
+import { taskManager } from './taskManager.js';
+import { getNextCronRun, isValidTimeZone } from './schedule.js';
+
+const SAVED_SEARCHES_FILE = 'saved_searches.json';
+export const SAVED_SEARCH_TASK = 'saved_search';
+const MAX_RUNS_KEPT = 50;
+
+const DEFAULT_CHANNEL_TYPES = {
+  megagroup: true,
+  discussion: true,
+  broadcast: true,
+  basic: true,
+  other: false
+};
+
+function readSavedSearches() {
+  return readJson(SAVED_SEARCHES_FILE, {});
+}
+
+function writeSavedSearches(map) {
+  writeJson(SAVED_SEARCHES_FILE, map);
+}
+
+/**
+ * Validates and normalizes user input for a saved search definition
+ * @param {Object} input - Request body fields
+ * @param {Object} existing - Current definition when editing
+ * @returns {Object} Normalized fields
+ * @throws {Error} When a field is invalid
+ */
+function normalizeDefinition(input, existing = {}) {
+  const keywords = input.keywords !== undefined ? input.keywords : existing.keywords;
+  const normalizedKeywords = (Array.isArray(keywords) ? keywords : [keywords])
+    .map((k) => String(k || '').trim())
+    .filter(Boolean);
+  if (normalizedKeywords.length === 0) {
+    throw new Error('keywords required');
+  }
+
+  const cron = String(input.cron !== undefined ? input.cron : existing.cron || '').trim();
+  const timezone = input.timezone || existing.timezone || 'UTC';
+  if (!isValidTimeZone(timezone)) {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+  // Throws with a descriptive message on invalid expressions
+  getNextCronRun(cron, new Date(), timezone);
+
+  const filters = { ...(existing.searchFilters || {}), ...(input.searchFilters || {}) };
+  const minMembers = Number(filters.minMembers) || 0;
+  const maxMembers = filters.maxMembers ? Number(filters.maxMembers) || null : null;
+
+  return {
+    name: String(input.name ?? existing.name ?? normalizedKeywords.join(', ')).trim() || normalizedKeywords.join(', '),
+    keywords: normalizedKeywords,
+    searchFilters: {
+      minMembers,
+      maxMembers,
+      limit: Math.min(Number(filters.limit) || 100, 200),
+      channelTypes: { ...DEFAULT_CHANNEL_TYPES, ...(input.channelTypes || filters.channelTypes || {}) }
+    },
+    cron,
+    timezone,
+    enabled: input.enabled !== undefined ? !!input.enabled : existing.enabled ?? true
+  };
+}
+
+export function listSavedSearches(userId) {
+  return Object.values(readSavedSearches())
+    .filter((s) => String(s.userId) === String(userId))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Results of the latest run of every saved search, the next run compares against them
+export function listLatestSavedSearchResults() {
+  return Object.values(readSavedSearches()).map((s) => s.lastResultsId).filter(Boolean);
+}
+
+export function getSavedSearch(id) {
+  return readSavedSearches()[id] || null;
+}
+
+/**
+ * Queues the next cron run of a definition as a scheduled task, replacing a pending one
+ * @param {Object} search - Saved search definition (mutated with nextRunAt/nextTaskId)
+ * @param {Date} after - Compute the next run after this moment
+ */
+function scheduleNextRun(search, after = new Date()) {
+  const pending = search.nextTaskId ? taskManager.get(search.nextTaskId) : null;
+  if (pending?.status === 'scheduled') {
+    taskManager.cancel(pending.id);
+  }
+
+  if (!search.enabled) {
+    search.nextRunAt = null;
+    search.nextTaskId = null;
+    return;
+  }
+
+  const runAt = getNextCronRun(search.cron, after, search.timezone);
+  const task = taskManager.schedule(SAVED_SEARCH_TASK, { userId: search.userId, savedSearchId: search.id }, runAt);
+  search.nextRunAt = runAt.toISOString();
+  search.nextTaskId = task.id;
+}
+
+export function createSavedSearch(userId, input) {
+  const now = Date.now();
+  const search = {
+    id: `search_${now}_${uuidv4().slice(0, 8)}`,
+    userId: String(userId),
+    ...normalizeDefinition(input),
+    createdAt: now,
+    updatedAt: now,
+    lastRunAt: null,
+    lastResultsId: null,
+    nextRunAt: null,
+    nextTaskId: null,
+    runs: []
+  };
+  scheduleNextRun(search);
+
+  const map = readSavedSearches();
+  map[search.id] = search;
+  writeSavedSearches(map);
+  logger.info('Saved search created', { id: search.id, userId, cron: search.cron, nextRunAt: search.nextRunAt });
+  return search;
+}
+
+export function updateSavedSearch(id, input) {
+  const map = readSavedSearches();
+  const existing = map[id];
+  if (!existing) return null;
+
+  const search = { ...existing, ...normalizeDefinition(input, existing), updatedAt: Date.now() };
+  scheduleNextRun(search);
+  map[id] = search;
+  writeSavedSearches(map);
+  logger.info('Saved search updated', { id, cron: search.cron, enabled: search.enabled, nextRunAt: search.nextRunAt });
+  return search;
+}
+
+export function deleteSavedSearch(id) {
+  const map = readSavedSearches();
+  const search = map[id];
+  if (!search) return false;
+
+  scheduleNextRun({ ...search, enabled: false });
+  delete map[id];
+  writeSavedSearches(map);
+  logger.info('Saved search deleted', { id });
+  return true;
+}
+
+/**
+ * Starts a run right away, outside of the cron schedule
+ * @returns {Object} Queued task
+ */
+export function runSavedSearchNow(search) {
+  return taskManager.enqueue(SAVED_SEARCH_TASK, { userId: search.userId, savedSearchId: search.id });
+}
+
+/**
+ * Called by the worker when a run starts: books the following cron run so the schedule
+ * keeps going even if this run fails.
+ */
+export function advanceSavedSearchSchedule(id, taskId) {
+  const map = readSavedSearches();
+  const search = map[id];
+  if (!search) return null;
+
+  // Manual runs leave the pending cron run in place
+  if (search.nextTaskId === taskId) {
+    search.nextTaskId = null;
+    scheduleNextRun(search);
+    writeSavedSearches(map);
+  }
+  return search;
+}
+
+/**
+ * Records a finished run on its definition
+ * @param {string} id - Saved search ID
+ * @param {Object} run - { taskId, resultsId, ranAt, count, newCount }
+ */
+export function recordSavedSearchRun(id, run) {
+  const map = readSavedSearches();
+  const search = map[id];
+  if (!search) return null;
+
+  search.lastRunAt = run.ranAt;
+  search.lastResultsId = run.resultsId;
+  search.runs = [run, ...(search.runs || [])].slice(0, MAX_RUNS_KEPT);
+  writeSavedSearches(map);
+  return search;
+}
+
+/**
+ * Channels present in `channels` but not in the previous run's results
+ * @param {Array} channels - Channels found by this run
+ * @param {Object|null} previousResults - parsing_results data of the previous run
+ * @returns {Array<string>} IDs of new channels
+ */
+export function findNewChannelIds(channels, previousResults) {
+  const previousIds = new Set((previousResults?.channels || []).map((c) => String(c.id)));
+  return channels.map((c) => String(c.id)).filter((id) => !previousIds.has(id));
+}
+
+/**
+ * Makes sure every enabled definition has a pending scheduled run. Call once on startup:
+ * runs are stored as scheduled tasks, so this only repairs definitions whose task went missing.
+ */
+export function ensureSavedSearchSchedules() {
+  const map = readSavedSearches();
+  let repaired = 0;
+  for (const search of Object.values(map)) {
+    if (!search.enabled) continue;
+    const pending = search.nextTaskId ? taskManager.get(search.nextTaskId) : null;
+    if (pending && !['completed', 'failed', 'cancelled'].includes(pending.status)) continue;
+    scheduleNextRun(search);
+    repaired++;
+  }
+  if (repaired > 0) {
+    writeSavedSearches(map);
+    logger.info('Rescheduled saved searches', { count: repaired });
+  }
+  return repaired;
+}
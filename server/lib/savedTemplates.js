@@ -0,0 +1,148 @@
+import { v4 as uuidv4 } from 'uuid';
+import { readJson, writeJson } from './storage.js';
+import { logger } from './logger.js';
+import { parseTemplate } from './messageTemplate.js';
+import { PARSE_MODES, DEFAULT_PARSE_MODE } from './messageFormat.js';
+import { getMediaAsset } from './mediaLibrary.js';
+
+const SAVED_TEMPLATES_FILE = 'message_templates.json';
+// Broadcast history points at a template version, older versions are kept for it
+const MAX_VERSIONS_KEPT = 50;
+const CONTENT_FIELDS = ['title', 'body', 'parseMode', 'mediaIds'];
+
+function readSavedTemplates() {
+  return readJson(SAVED_TEMPLATES_FILE, {});
+}
+
+function writeSavedTemplates(map) {
+  writeJson(SAVED_TEMPLATES_FILE, map);
+}
+
+function normalizeList(value, name) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new Error(`${name} must be an array`);
+  }
+  return [...new Set(value.map((item) => String(item ?? '').trim()).filter(Boolean))];
+}
+
+/**
+ * Validates and normalizes user input for a message template
+ * @param {string} userId - Owner, media IDs must be in their library
+ * @param {Object} input - Request body fields
+ * @param {Object} existing - Current template when editing
+ * @returns {Object} Normalized fields
+ * @throws {Error} When a field is invalid
+ */
+function normalizeTemplate(userId, input, existing = {}) {
+  const body = input.body !== undefined ? input.body : existing.body;
+  if (typeof body !== 'string' || !body.trim()) {
+    throw new Error('body required');
+  }
+  try {
+    parseTemplate(body);
+  } catch (error) {
+    throw new Error(`Invalid message template: ${error.message}`);
+  }
+
+  const parseMode = input.parseMode ?? existing.parseMode ?? DEFAULT_PARSE_MODE;
+  if (!PARSE_MODES.includes(parseMode)) {
+    throw new Error(`parseMode must be one of: ${PARSE_MODES.join(', ')}`);
+  }
+
+  const mediaIds = input.mediaIds !== undefined ? normalizeList(input.mediaIds, 'mediaIds') : existing.mediaIds || [];
+  const missing = mediaIds.find((mediaId) => !getMediaAsset(userId, mediaId));
+  if (missing) {
+    throw new Error(`Media ${missing} not found`);
+  }
+
+  // Untitled templates are named after the first line of the text
+  const title = String(input.title ?? existing.title ?? '').trim() || body.trim().split('\n')[0].slice(0, 60);
+  return {
+    title,
+    body,
+    parseMode,
+    mediaIds,
+    tags: input.tags !== undefined ? normalizeList(input.tags, 'tags') : existing.tags || []
+  };
+}
+
+function toVersion(template) {
+  const { version, title, body, parseMode, mediaIds, updatedAt } = template;
+  return { version, title, body, parseMode, mediaIds, savedAt: updatedAt };
+}
+
+/**
+ * Templates of a user, most recently edited first
+ * @param {string} userId - Owner
+ * @param {Object} filters - { tag }
+ */
+export function listSavedTemplates(userId, { tag } = {}) {
+  return Object.values(readSavedTemplates())
+    .filter((template) => String(template.userId) === String(userId))
+    .filter((template) => !tag || template.tags.includes(tag))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function getSavedTemplate(id) {
+  return readSavedTemplates()[id] || null;
+}
+
+/**
+ * Content of a template as it was at a given version
+ * @returns {Object|null} { version, title, body, parseMode, mediaIds, savedAt }
+ */
+export function getSavedTemplateVersion(template, version) {
+  return (template.versions || []).find((entry) => entry.version === Number(version)) || null;
+}
+
+export function createSavedTemplate(userId, input) {
+  const now = Date.now();
+  const template = {
+    id: `template_${now}_${uuidv4().slice(0, 8)}`,
+    userId: String(userId),
+    ...normalizeTemplate(userId, input),
+    version: 1,
+    createdAt: now,
+    updatedAt: now
+  };
+  template.versions = [toVersion(template)];
+
+  const map = readSavedTemplates();
+  map[template.id] = template;
+  writeSavedTemplates(map);
+  logger.info('Message template created', { id: template.id, userId });
+  return template;
+}
+
+/**
+ * Saves changes; editing the text, parse mode or media makes a new version, tags do not
+ */
+export function updateSavedTemplate(id, input) {
+  const map = readSavedTemplates();
+  const existing = map[id];
+  if (!existing) return null;
+
+  const fields = normalizeTemplate(existing.userId, input, existing);
+  const changed = CONTENT_FIELDS.some((field) => JSON.stringify(fields[field]) !== JSON.stringify(existing[field]));
+  const template = { ...existing, ...fields, updatedAt: Date.now() };
+  if (changed) {
+    template.version = existing.version + 1;
+    template.versions = [...(existing.versions || []), toVersion(template)].slice(-MAX_VERSIONS_KEPT);
+  }
+
+  map[id] = template;
+  writeSavedTemplates(map);
+  logger.info('Message template updated', { id, version: template.version });
+  return template;
+}
+
+export function deleteSavedTemplate(id) {
+  const map = readSavedTemplates();
+  if (!map[id]) return false;
+
+  delete map[id];
+  writeSavedTemplates(map);
+  logger.info('Message template deleted', { id });
+  return true;
+}
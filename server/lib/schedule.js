@@ -0,0 +1,193 @@
+// Wall-clock date/time without an explicit offset, e.g. "2025-03-01T10:00" or "2025-03-01 10:00:30"
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Offset of `timeZone` from UTC at the given instant, in milliseconds
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(timestamp));
+  const value = (type) => Number(parts.find((p) => p.type === type)?.value);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Wall-clock fields of `timestamp` in `timeZone`, packed into a UTC timestamp for Date.UTC-style arithmetic
+function toWallClock(timestamp, timeZone) {
+  return timestamp + getTimeZoneOffset(timestamp, timeZone);
+}
+
+// Inverse of toWallClock: the instant at which clocks in `timeZone` show `wallClock`
+function fromWallClock(wallClock, timeZone) {
+  // Offset at the guessed instant, then once more in case a DST switch lies in between
+  const timestamp = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  return wallClock - getTimeZoneOffset(timestamp, timeZone);
+}
+
+/**
+ * Resolves the moment a scheduled task should fire.
+ * Values with an offset ("Z", "+03:00") are absolute; plain wall-clock values are read in `timeZone`.
+ * @param {string} scheduledAt - ISO date/time
+ * @param {string} timeZone - IANA time zone, e.g. "Europe/Moscow" (default UTC)
+ * @returns {Date}
+ * @throws {Error} When the date or time zone is invalid
+ */
+export function resolveScheduledAt(scheduledAt, timeZone = 'UTC') {
+  if (typeof scheduledAt !== 'string' || !scheduledAt.trim()) {
+    throw new Error('scheduledAt must be an ISO date string');
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown timezone: ${timeZone}`);
+  }
+
+  const match = scheduledAt.trim().match(LOCAL_DATE_TIME);
+  if (!match) {
+    const date = new Date(scheduledAt);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error('scheduledAt must be an ISO date string');
+    }
+    return date;
+  }
+
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  const wallClock = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  return new Date(fromWallClock(wallClock, timeZone));
+}
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+// Longest search window for the next run; covers Feb 29 and day-of-month/day-of-week combos
+const CRON_MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+function parseCronField(part, { name, min, max }) {
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const match = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${item}`);
+    }
+    const [, range, stepRaw] = match;
+    const step = stepRaw ? Number(stepRaw) : 1;
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (to === undefined) to = stepRaw ? max : from;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${item}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses a standard 5-field cron expression ("minute hour day-of-month month day-of-week")
+ * with `*`, lists, ranges and steps, plus the @hourly/@daily/@weekly/@monthly aliases.
+ * @param {string} expression - Cron expression
+ * @returns {Object} Sets of allowed values per field
+ * @throws {Error} When the expression is invalid
+ */
+export function parseCron(expression) {
+  const normalized = CRON_ALIASES[String(expression || '').trim()] || String(expression || '').trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const schedule = {};
+  CRON_FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseCronField(parts[index], field);
+  });
+  // 7 is an alias for Sunday
+  if (schedule.dayOfWeek.delete(7)) schedule.dayOfWeek.add(0);
+  // Like cron, a restricted day-of-month and day-of-week match when either one does
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+  return schedule;
+}
+
+function matchesCronDay(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+  if (schedule.anyDayOfMonth && schedule.anyDayOfWeek) return true;
+  if (schedule.anyDayOfMonth) return dayOfWeek;
+  if (schedule.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Next moment strictly after `after` that matches the cron expression in `timeZone`
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Reference moment
+ * @param {string} timeZone - IANA time zone the expression is read in (default UTC)
+ * @returns {Date}
+ */
+export function getNextCronRun(expression, after = new Date(), timeZone = 'UTC') {
+  const schedule = parseCron(expression);
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown timezone: ${timeZone}`);
+  }
+
+  // Walk wall-clock time in the target zone, skipping whole months/days/hours that cannot match
+  const start = new Date(toWallClock(after.getTime(), timeZone));
+  const cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate(), start.getUTCHours(), start.getUTCMinutes() + 1));
+  const limit = cursor.getTime() + CRON_MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  while (cursor.getTime() < limit) {
+    if (!schedule.month.has(cursor.getUTCMonth() + 1)) {
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1, 1);
+      cursor.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesCronDay(schedule, cursor)) {
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+      cursor.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(cursor.getUTCHours())) {
+      cursor.setUTCHours(cursor.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minute.has(cursor.getUTCMinutes())) {
+      cursor.setUTCMinutes(cursor.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    const runAt = fromWallClock(cursor.getTime(), timeZone);
+    // Wall-clock times skipped by a DST jump resolve to the past; move on to the next match
+    if (runAt > after.getTime()) {
+      return new Date(runAt);
+    }
+    cursor.setUTCMinutes(cursor.getUTCMinutes() + 1, 0, 0);
+  }
+
+  throw new Error(`Cron expression never matches: ${expression}`);
+}
@@ -0,0 +1,282 @@
+import { createRequire } from 'module';
+import { logger } from './logger.js';
+
+const require = createRequire(import.meta.url);
+
+// One table per record kind with the columns list and detail queries filter on; the rows of a
+// record (channels, audience members, delivery log entries) get a table of their own so lists
+// never load them. The full JSON of every row is kept in `data`.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS parsing_sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    created_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS parsing_sessions_user ON parsing_sessions (user_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS channels (
+    session_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    channel_id TEXT,
+    username TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (session_id, position)
+  );
+
+  CREATE TABLE IF NOT EXISTS audiences (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    created_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS audiences_user ON audiences (user_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS audience_members (
+    audience_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    member_id TEXT,
+    username TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (audience_id, position)
+  );
+
+  CREATE TABLE IF NOT EXISTS broadcasts (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    created_at INTEGER NOT NULL,
+    account_id TEXT,
+    mode TEXT NOT NULL,
+    status TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS broadcasts_user ON broadcasts (user_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS delivery_log (
+    broadcast_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    recipient_id TEXT,
+    recipient_username TEXT,
+    status TEXT,
+    timestamp INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (broadcast_id, position)
+  );
+  CREATE INDEX IF NOT EXISTS delivery_log_status ON delivery_log (status, timestamp);
+
+  CREATE TABLE IF NOT EXISTS tasks (
+    store TEXT NOT NULL,
+    id TEXT NOT NULL,
+    type TEXT,
+    user_id TEXT,
+    status TEXT,
+    updated_at INTEGER,
+    data TEXT NOT NULL,
+    PRIMARY KEY (store, id)
+  );
+`;
+
+function toText(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+function toTime(value) {
+  return Date.parse(value || '') || 0;
+}
+
+// Same serialization as writeJson: GramJS IDs may be BigInt
+function toJson(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? String(item) : item));
+}
+
+// Kind -> tables and the indexed columns of a record and of each of its rows
+const KINDS = {
+  parsing: {
+    table: 'parsing_sessions',
+    items: 'channels',
+    itemsTable: 'channels',
+    key: 'session_id',
+    columns: () => ({}),
+    itemColumns: (channel) => ({ channel_id: toText(channel?.id), username: toText(channel?.username) })
+  },
+  audience: {
+    table: 'audiences',
+    items: 'users',
+    itemsTable: 'audience_members',
+    key: 'audience_id',
+    columns: () => ({}),
+    itemColumns: (user) => ({ member_id: toText(user?.id), username: toText(user?.username) })
+  },
+  broadcast: {
+    table: 'broadcasts',
+    items: 'deliveryLog',
+    itemsTable: 'delivery_log',
+    key: 'broadcast_id',
+    columns: (record) => ({ account_id: toText(record.accountId), mode: record.mode || 'dm', status: toText(record.status) }),
+    itemColumns: (entry, record) => ({
+      recipient_id: toText(entry?.recipient?.id),
+      recipient_username: toText(entry?.recipient?.username),
+      status: toText(entry?.status),
+      timestamp: toTime(entry?.timestamp || record.createdAt || record.timestamp)
+    })
+  }
+};
+
+function getKind(kind) {
+  const config = KINDS[kind];
+  if (!config) {
+    throw new Error(`Unknown record kind: ${kind}`);
+  }
+  return config;
+}
+
+function insertSql(table, columns, verb = 'INSERT') {
+  return `${verb} INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((column) => `@${column}`).join(', ')})`;
+}
+
+/**
+ * SQLite driver for result records and task queues, same interface as `jsonStore` in storage.js
+ * @param {string} filePath - Database file, created with its tables when missing
+ * @returns {Object} Store
+ */
+export function createSqliteStore(filePath) {
+  // Loaded only when the driver is selected, the JSON driver works without the native module
+  const Database = require('better-sqlite3');
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  logger.info('SQLite storage opened', { file: filePath });
+
+  const statements = new Map();
+  const prepare = (sql) => {
+    if (!statements.has(sql)) {
+      statements.set(sql, db.prepare(sql));
+    }
+    return statements.get(sql);
+  };
+
+  function readItems(config, id) {
+    return prepare(`SELECT data FROM ${config.itemsTable} WHERE ${config.key} = ? ORDER BY position`)
+      .all(id)
+      .map((row) => JSON.parse(row.data));
+  }
+
+  function toRecord(config, row, withItems) {
+    const record = JSON.parse(row.data);
+    return withItems ? { ...record, [config.items]: readItems(config, record.id) } : record;
+  }
+
+  const writeRecord = db.transaction((kind, record) => {
+    const config = getKind(kind);
+    const { [config.items]: items, ...summary } = record;
+    const row = {
+      id: String(record.id),
+      user_id: toText(record.userId),
+      created_at: toTime(record.createdAt || record.timestamp),
+      ...config.columns(record),
+      data: toJson(summary)
+    };
+    prepare(`DELETE FROM ${config.itemsTable} WHERE ${config.key} = ?`).run(row.id);
+    prepare(`DELETE FROM ${config.table} WHERE id = ?`).run(row.id);
+    prepare(insertSql(config.table, Object.keys(row))).run(row);
+
+    (Array.isArray(items) ? items : []).forEach((item, position) => {
+      const itemRow = { [config.key]: row.id, position, ...config.itemColumns(item, record), data: toJson(item) };
+      prepare(insertSql(config.itemsTable, Object.keys(itemRow))).run(itemRow);
+    });
+  });
+
+  const removeRecord = db.transaction((kind, id) => {
+    const config = getKind(kind);
+    prepare(`DELETE FROM ${config.itemsTable} WHERE ${config.key} = ?`).run(id);
+    return prepare(`DELETE FROM ${config.table} WHERE id = ?`).run(id).changes > 0;
+  });
+
+  function writeTask(name, task) {
+    const row = {
+      store: name,
+      id: task.id,
+      type: toText(task.type),
+      user_id: toText(task.userId),
+      status: toText(task.status),
+      updated_at: Number(task.updatedAt) || null,
+      data: toJson(task)
+    };
+    prepare(insertSql('tasks', Object.keys(row), 'INSERT OR REPLACE')).run(row);
+  }
+
+  const writeTasks = db.transaction((name, tasks) => {
+    prepare('DELETE FROM tasks WHERE store = ?').run(name);
+    for (const task of Object.values(tasks)) {
+      writeTask(name, task);
+    }
+  });
+
+  return {
+    saveRecord(kind, record) {
+      writeRecord(kind, record);
+    },
+
+    getRecord(kind, id) {
+      const config = getKind(kind);
+      const row = prepare(`SELECT data FROM ${config.table} WHERE id = ?`).get(String(id));
+      return row ? toRecord(config, row, true) : null;
+    },
+
+    listRecords(kind, { userId, withItems = false } = {}) {
+      const config = getKind(kind);
+      const rows = userId !== undefined
+        ? prepare(`SELECT data FROM ${config.table} WHERE user_id = ? ORDER BY created_at DESC`).all(String(userId))
+        : prepare(`SELECT data FROM ${config.table} ORDER BY created_at DESC`).all();
+      return rows.map((row) => toRecord(config, row, withItems));
+    },
+
+    deleteRecord(kind, id) {
+      return removeRecord(kind, String(id));
+    },
+
+    listDeliveries({ mode, status, since } = {}) {
+      const rows = prepare(`
+        SELECT b.id, b.user_id, b.account_id, d.timestamp, d.data
+        FROM delivery_log d JOIN broadcasts b ON b.id = d.broadcast_id
+        WHERE (@mode IS NULL OR b.mode = @mode)
+          AND (@status IS NULL OR d.status = @status)
+          AND d.timestamp >= @since
+      `).all({ mode: mode || null, status: status || null, since: since ? since.getTime() : 0 });
+      return rows.map((row) => {
+        const entry = JSON.parse(row.data);
+        return {
+          historyId: row.id,
+          userId: row.user_id,
+          accountId: row.account_id,
+          entry: { ...entry, timestamp: entry.timestamp || new Date(row.timestamp).toISOString() }
+        };
+      });
+    },
+
+    loadTasks(name) {
+      const tasks = {};
+      for (const row of prepare('SELECT data FROM tasks WHERE store = ?').all(name)) {
+        const task = JSON.parse(row.data);
+        tasks[task.id] = task;
+      }
+      return tasks;
+    },
+
+    saveTasks(name, tasks) {
+      writeTasks(name, tasks);
+    },
+
+    saveTask(name, task) {
+      writeTask(name, task);
+    },
+
+    deleteTask(name, id) {
+      prepare('DELETE FROM tasks WHERE store = ? AND id = ?').run(name, id);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
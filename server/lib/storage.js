@@ -1,10 +1,14 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createSqliteStore } from './sqliteStore.js';
+import { logger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const dataDir = path.resolve(__dirname, '..', 'data');
+// DATA_DIR points the files written through this module elsewhere, tests use a temporary directory
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.resolve(__dirname, '..', 'data');
+const BACKUP_SUFFIX = '.bak';
 
 function ensureDir(dirPath) {
   if (!fs.existsSync(dirPath)) {
@@ -12,15 +16,25 @@ function ensureDir(dirPath) {
   }
 }
 
+/**
+ * Reads a data file
+ * @param {string} fileName - Path relative to server/data
+ * @param {*} defaultValue - Returned when the file does not exist
+ * @throws {Error} When the file exists but is not valid JSON; the previous version is kept in `<file>.bak`
+ */
 export function readJson(fileName, defaultValue) {
   ensureDir(dataDir);
   const filePath = path.join(dataDir, fileName);
   if (!fs.existsSync(filePath)) return defaultValue;
+  const raw = fs.readFileSync(filePath, 'utf-8');
   try {
-    const raw = fs.readFileSync(filePath, 'utf-8');
     return JSON.parse(raw);
-  } catch {
-    return defaultValue;
+  } catch (error) {
+    // Falling back to the default here would let the next write replace the file with it
+    const backupPath = `${filePath}${BACKUP_SUFFIX}`;
+    const hint = fs.existsSync(backupPath) ? `, the last good version is in ${backupPath}` : '';
+    logger.error('Data file is corrupted', { file: filePath, backup: hint ? backupPath : null, error: error.message });
+    throw new Error(`Data file ${fileName} is corrupted (${error.message})${hint}`);
   }
 }
 
@@ -32,10 +46,54 @@ function bigIntReplacer(key, value) {
   return value;
 }
 
+let tempCounter = 0;
+
+function tempPathFor(filePath) {
+  tempCounter += 1;
+  return `${filePath}.${process.pid}.${tempCounter}.tmp`;
+}
+
+// The file is replaced by a rename, so readers and a crash mid-write see either the old or the new
+// content; the old content is copied to `.bak` first
+function replaceFileSync(filePath, content) {
+  const tempPath = tempPathFor(filePath);
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, content, 'utf-8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (fs.existsSync(filePath)) {
+      fs.copyFileSync(filePath, `${filePath}${BACKUP_SUFFIX}`);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Every writer goes through this synchronous path, so a write runs from start to rename without
+// yielding to the event loop: two writers of the same file in this process cannot interleave, and
+// that is the per-file serialization a write queue would give
 export function writeJson(fileName, value) {
-  ensureDir(dataDir);
   const filePath = path.join(dataDir, fileName);
-  fs.writeFileSync(filePath, JSON.stringify(value, bigIntReplacer, 2), 'utf-8');
+  ensureDir(path.dirname(filePath));
+  replaceFileSync(filePath, JSON.stringify(value, bigIntReplacer, 2));
+}
+
+/**
+ * Deletes a data file together with its backup
+ * @returns {boolean} False when the file did not exist
+ */
+export function removeJson(fileName) {
+  const filePath = path.join(dataDir, fileName);
+  fs.rmSync(`${filePath}${BACKUP_SUFFIX}`, { force: true });
+  if (!fs.existsSync(filePath)) return false;
+  fs.unlinkSync(filePath);
+  return true;
 }
 
 export function getDataPath() {
@@ -43,4 +101,265 @@ export function getDataPath() {
   return dataDir;
 }
 
+// ---------------------------------------------------------------------------
+// Result records: parsing sessions, audiences and broadcasts, plus the task queue.
+// STORAGE_DRIVER=sqlite keeps them in server/data/storage.sqlite, the default 'json'
+// driver in one file per record and one file per task (tasks/<id>.json).
+// ---------------------------------------------------------------------------
+
+// Kind -> file prefix and the field holding the record's rows (channels, members, deliveries)
+export const RECORD_KINDS = {
+  parsing: { prefix: 'parsing_results_', items: 'channels' },
+  audience: { prefix: 'audience_results_', items: 'users' },
+  broadcast: { prefix: 'broadcast_results_', items: 'deliveryLog' }
+};
+
+export const STORAGE_DRIVERS = ['json', 'sqlite'];
+const SQLITE_FILE = 'storage.sqlite';
+
+function getRecordKind(kind) {
+  const config = RECORD_KINDS[kind];
+  if (!config) {
+    throw new Error(`Unknown record kind: ${kind}`);
+  }
+  return config;
+}
+
+function recordFileName(kind, id) {
+  return `${getRecordKind(kind).prefix}${id}.json`;
+}
+
+function getRecordTime(record) {
+  return Date.parse(record?.createdAt || record?.timestamp || '') || 0;
+}
+
+// Task store 'tasks.json' -> directory 'tasks' holding <id>.json per task
+function taskDirName(name) {
+  return name.replace(/\.json$/, '');
+}
+
+function withoutItems(kind, record) {
+  const { [getRecordKind(kind).items]: _items, ...summary } = record;
+  return summary;
+}
+
+/**
+ * File-per-record driver, the layout the app has always used
+ */
+export const jsonStore = {
+  saveRecord(kind, record) {
+    writeJson(recordFileName(kind, record.id), record);
+  },
+
+  getRecord(kind, id) {
+    return readJson(recordFileName(kind, id), null);
+  },
+
+  listRecords(kind, { userId, withItems = false } = {}) {
+    const { prefix } = getRecordKind(kind);
+    const records = [];
+    for (const file of fs.readdirSync(getDataPath())) {
+      if (!file.startsWith(prefix) || !file.endsWith('.json')) continue;
+      let record;
+      try {
+        record = readJson(file, null);
+      } catch {
+        // Already logged by readJson; one broken file should not hide the others
+        continue;
+      }
+      if (!record || (userId !== undefined && String(record.userId) !== String(userId))) continue;
+      records.push(withItems ? record : withoutItems(kind, record));
+    }
+    return records.sort((a, b) => getRecordTime(b) - getRecordTime(a));
+  },
+
+  deleteRecord(kind, id) {
+    return removeJson(recordFileName(kind, id));
+  },
+
+  listDeliveries({ mode, status, since }) {
+    const deliveries = [];
+    for (const record of this.listRecords('broadcast', { withItems: true })) {
+      if (mode && (record.mode || 'dm') !== mode) continue;
+      for (const entry of Array.isArray(record.deliveryLog) ? record.deliveryLog : []) {
+        if (status && entry.status !== status) continue;
+        const timestamp = entry.timestamp || record.createdAt;
+        if (since && !(Date.parse(timestamp) >= since.getTime())) continue;
+        deliveries.push({ historyId: record.id, userId: record.userId, accountId: record.accountId || null, entry: { ...entry, timestamp } });
+      }
+    }
+    return deliveries;
+  },
+
+  loadTasks(name) {
+    const dir = taskDirName(name);
+    const dirPath = path.join(getDataPath(), dir);
+    const tasks = {};
+    if (fs.existsSync(dirPath)) {
+      for (const file of fs.readdirSync(dirPath)) {
+        if (!file.endsWith('.json')) continue;
+        const task = readJson(`${dir}/${file}`, null);
+        if (task?.id) tasks[task.id] = task;
+      }
+    }
+    return tasks;
+  },
+
+  // Tasks of a queue saved before tasks got a file each, read without changing the file
+  readLegacyTasks(name) {
+    const legacyTasks = readJson(name, null) || {};
+    return Object.fromEntries(Object.values(legacyTasks).filter((task) => task?.id).map((task) => [task.id, task]));
+  },
+
+  // Queues saved before tasks got a file each are split up, tasks already split win
+  splitLegacyTasks(name) {
+    const legacyTasks = readJson(name, null);
+    if (!legacyTasks) return 0;
+    const tasks = this.loadTasks(name);
+    for (const task of Object.values(this.readLegacyTasks(name))) {
+      if (tasks[task.id]) continue;
+      this.saveTask(name, task);
+    }
+    removeJson(name);
+    const count = Object.keys(legacyTasks).length;
+    logger.info('Task file split into one file per task', { file: name, dir: taskDirName(name), count });
+    return count;
+  },
+
+  saveTask(name, task) {
+    writeJson(`${taskDirName(name)}/${task.id}.json`, task);
+  },
+
+  deleteTask(name, id) {
+    removeJson(`${taskDirName(name)}/${id}.json`);
+  },
+
+  saveTasks(name, tasks) {
+    const existing = this.loadTasks(name);
+    for (const task of Object.values(tasks)) {
+      this.saveTask(name, task);
+    }
+    for (const id of Object.keys(existing)) {
+      if (!tasks[id]) this.deleteTask(name, id);
+    }
+  }
+};
+
+let activeStore = null;
+
+/**
+ * Driver selected by STORAGE_DRIVER, created on first use
+ * @throws {Error} When STORAGE_DRIVER names an unknown driver
+ */
+function getStore() {
+  if (!activeStore) {
+    const driver = process.env.STORAGE_DRIVER || 'json';
+    if (!STORAGE_DRIVERS.includes(driver)) {
+      throw new Error(`STORAGE_DRIVER must be one of: ${STORAGE_DRIVERS.join(', ')}`);
+    }
+    activeStore = driver === 'sqlite' ? createSqliteStore(path.join(getDataPath(), SQLITE_FILE)) : jsonStore;
+  }
+  return activeStore;
+}
+
+/**
+ * Creates or replaces a record
+ * @param {string} kind - 'parsing', 'audience' or 'broadcast'
+ * @param {Object} record - Record with `id` and `userId`
+ */
+export function saveRecord(kind, record) {
+  if (!record?.id) {
+    throw new Error(`${kind} record must include an id`);
+  }
+  getStore().saveRecord(kind, record);
+}
+
+export function getRecord(kind, id) {
+  return id ? getStore().getRecord(kind, id) : null;
+}
+
+/**
+ * Records of a kind, newest first
+ * @param {string} kind - 'parsing', 'audience' or 'broadcast'
+ * @param {Object} options - { userId, withItems }; without `withItems` the record rows
+ *   (channels, users, deliveryLog) are left out
+ * @returns {Array}
+ */
+export function listRecords(kind, options = {}) {
+  return getStore().listRecords(kind, options);
+}
+
+/**
+ * @returns {boolean} False when there was no such record
+ */
+export function deleteRecord(kind, id) {
+  return getStore().deleteRecord(kind, id);
+}
+
+/**
+ * Delivery log entries across all stored broadcasts
+ * @param {Object} filters - { mode, status, since (Date) }
+ * @returns {Array} [{ historyId, userId, accountId, entry }], entries without a timestamp get the broadcast's
+ */
+export function listDeliveries(filters = {}) {
+  return getStore().listDeliveries(filters);
+}
+
+export function loadTasks(name) {
+  return getStore().loadTasks(name);
+}
+
+/**
+ * Splits a task queue saved as one JSON file (before tasks got a record each) into single tasks.
+ * Run once on startup before the queue is loaded; only the JSON driver ever had such files
+ * @returns {number} Tasks found in the legacy file, 0 when there is none
+ */
+export function splitLegacyTasks(name) {
+  return getStore() === jsonStore ? jsonStore.splitLegacyTasks(name) : 0;
+}
+
+/**
+ * Replaces the whole task store; the task manager writes single tasks with saveTask
+ */
+export function saveTasks(name, tasks) {
+  getStore().saveTasks(name, tasks);
+}
+
+/**
+ * Creates or replaces one task without touching the others
+ * @param {string} name - Task store, e.g. 'tasks.json'
+ * @param {Object} task - Task with `id`
+ */
+export function saveTask(name, task) {
+  getStore().saveTask(name, task);
+}
+
+export function deleteTask(name, id) {
+  getStore().deleteTask(name, id);
+}
 
+/**
+ * Copies every JSON record and task file into another driver; records already there are replaced.
+ * The JSON data is only read, so it still works as a fallback: a legacy queue file is merged in
+ * memory instead of being split
+ * @param {Object} target - Store to import into, e.g. createSqliteStore(...)
+ * @param {Array<string>} taskFiles - Task queue files to copy
+ * @returns {Object} Imported count per kind and `tasks`
+ */
+export function importJsonRecords(target, taskFiles = ['tasks.json']) {
+  const counts = {};
+  for (const kind of Object.keys(RECORD_KINDS)) {
+    const records = jsonStore.listRecords(kind, { withItems: true }).filter((record) => record.id);
+    for (const record of records) {
+      target.saveRecord(kind, record);
+    }
+    counts[kind] = records.length;
+  }
+  counts.tasks = 0;
+  for (const name of taskFiles) {
+    const tasks = { ...jsonStore.readLegacyTasks(name), ...jsonStore.loadTasks(name) };
+    target.saveTasks(name, tasks);
+    counts.tasks += Object.keys(tasks).length;
+  }
+  return counts;
+}
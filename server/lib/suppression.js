@@ -0,0 +1,108 @@
+import { readJson, writeJson } from './storage.js';
+import { logger } from './logger.js';
+
+// Delivery errors meaning the person cannot or does not want to receive our messages
+export const AUTO_SUPPRESS_ERRORS = ['USER_IS_BLOCKED', 'PEER_ID_INVALID'];
+
+function suppressionFileName(userId) {
+  return `suppression_${userId}.json`;
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Key an entry is stored and removed by: the Telegram user ID when known, `@username` otherwise
+ */
+function getSuppressionKey({ id, username }) {
+  const numericId = String(id ?? '').trim();
+  if (numericId && /^\d+$/.test(numericId)) return numericId;
+  const name = normalizeUsername(username || id);
+  return name ? `@${name}` : null;
+}
+
+export function listSuppressed(userId) {
+  const data = readJson(suppressionFileName(userId), null);
+  return Array.isArray(data?.entries) ? data.entries : [];
+}
+
+function saveSuppressed(userId, entries) {
+  writeJson(suppressionFileName(userId), { userId: String(userId), entries });
+}
+
+/**
+ * Adds people to the do-not-contact list; entries already present keep their original reason and date
+ * @param {string} userId - Owner of the list
+ * @param {Array} items - [{ id?, username?, reason?, error? }]
+ * @param {string} source - 'manual' or 'auto'
+ * @returns {Array} Entries that were added
+ */
+export function addSuppressed(userId, items, source = 'manual') {
+  const entries = listSuppressed(userId);
+  const existingKeys = new Set(entries.map((entry) => entry.key));
+  const added = [];
+
+  for (const item of items) {
+    const key = getSuppressionKey(item || {});
+    if (!key || existingKeys.has(key)) continue;
+
+    const entry = {
+      key,
+      id: /^\d+$/.test(key) ? key : null,
+      username: normalizeUsername(item.username) || (key.startsWith('@') ? key.slice(1) : null),
+      reason: item.reason || (source === 'auto' ? 'delivery_error' : 'opt_out'),
+      error: item.error || null,
+      source,
+      createdAt: new Date().toISOString()
+    };
+    entries.push(entry);
+    existingKeys.add(key);
+    added.push(entry);
+  }
+
+  if (added.length > 0) {
+    saveSuppressed(userId, entries);
+    logger.info('Suppression list updated', { userId, added: added.length, source });
+  }
+  return added;
+}
+
+export function removeSuppressed(userId, key) {
+  const normalizedKey = getSuppressionKey({ id: key });
+  const entries = listSuppressed(userId);
+  const remaining = entries.filter((entry) => entry.key !== normalizedKey);
+  if (remaining.length === entries.length) return false;
+
+  saveSuppressed(userId, remaining);
+  logger.info('Suppression entry removed', { userId, key: normalizedKey });
+  return true;
+}
+
+/**
+ * Finds the suppression entry matching a broadcast recipient by user ID or username
+ * @param {string} userId - Owner of the list
+ * @param {Object} recipient - Recipient with `id` and/or `username`
+ * @returns {Object|null} Matching entry
+ */
+export function findSuppression(userId, recipient) {
+  const entries = listSuppressed(userId);
+  if (entries.length === 0 || !recipient) return null;
+
+  const id = String(recipient.id ?? '');
+  const username = normalizeUsername(recipient.username);
+  return entries.find((entry) => (entry.id && entry.id === id)
+    || (entry.username && (entry.username === username || `@${entry.username}` === id.toLowerCase()))) || null;
+}
+
+/**
+ * Adds a recipient to the list when a delivery error shows they blocked us or no longer exist
+ * @returns {Object|null} Added entry
+ */
+export function suppressOnDeliveryError(userId, recipient, errorMessage) {
+  const error = AUTO_SUPPRESS_ERRORS.find((code) => String(errorMessage || '').includes(code));
+  if (!error || !recipient) return null;
+
+  const [entry] = addSuppressed(userId, [{ id: recipient.id, username: recipient.username, reason: error, error: errorMessage }], 'auto');
+  return entry || null;
+}
@@ -1,16 +1,48 @@
 import { v4 as uuidv4 } from 'uuid';
 import EventEmitter from 'events';
-import { readJson, writeJson } from './storage.js';
+import { loadTasks, saveTask, deleteTask } from './storage.js';
 import { logger } from './logger.js';
 
 const TASKS_FILE = 'tasks.json';
+const DEFAULT_CONCURRENCY = 2;
+const SCHEDULER_INTERVAL_MS = 15000;
+const PERSIST_INTERVAL_MS = 1000;
+const FINISHED_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+// Abort reason used when a running task is paused rather than cancelled
+export const PAUSE_REASON = 'paused';
 
 export class TaskManager extends EventEmitter {
-  constructor() {
+  /**
+   * @param {string} tasksFile - Task store name; the JSON driver keeps each task in <name without .json>/<id>.json
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Max tasks running at once (TASK_CONCURRENCY env, default 2)
+   */
+  constructor(tasksFile = TASKS_FILE, { concurrency } = {}) {
     super();
-    this.tasks = readJson(TASKS_FILE, {});
+    this.tasksFile = tasksFile;
+    this.loadedTasks = null; // Read on first use, so importing the module touches no files
+    this.concurrency = Math.max(1, Number(concurrency) || Number(process.env.TASK_CONCURRENCY) || DEFAULT_CONCURRENCY);
     this.workers = new Map();
+    this.workerOptions = new Map(); // type -> { pausable, restartable, concurrency, concurrencyKey }
+    this.controllers = new Map(); // taskId -> AbortController
     this.streams = new Map(); // taskId -> Set(res)
+    this.queue = []; // FIFO of queued task IDs
+    this.active = new Map(); // taskId -> concurrency key of tasks started from the queue
+    this.dirty = new Set(); // IDs of tasks changed since the last write
+    this.persistTimer = null;
+    this.drainScheduled = false;
+    this.schedulerTimer = null;
+    this.queueSeq = 0;
+  }
+
+  get tasks() {
+    if (!this.loadedTasks) {
+      this.loadedTasks = loadTasks(this.tasksFile);
+      // Sequence numbers are persisted with each task so FIFO order survives restarts
+      this.queueSeq = Object.values(this.loadedTasks).reduce((max, t) => Math.max(max, Number(t.queueSeq) || 0), this.queueSeq);
+    }
+    return this.loadedTasks;
   }
 
   list() {
@@ -36,7 +68,7 @@ export class TaskManager extends EventEmitter {
       updatedAt: Date.now(),
     };
     this.tasks[id] = task;
-    this.persist();
+    this.persist([id]);
     this.emit('created', task);
     return task;
   }
@@ -44,8 +76,11 @@ export class TaskManager extends EventEmitter {
   setStatus(id, status, patch = {}) {
     const task = this.tasks[id];
     if (!task) return;
+    const statusChanged = task.status !== status;
     Object.assign(task, { status, updatedAt: Date.now(), ...patch });
-    this.persist();
+    // Progress ticks are coalesced; a new status, a finished task or a new cursor (the resume point
+    // after a crash, so recipients in its deliveryLog are never messaged twice) is written right away
+    this.persist([id], statusChanged || FINISHED_STATUSES.has(status) || patch.cursor !== undefined);
     this.emit('updated', task);
     this.broadcast(id, task);
   }
@@ -54,35 +89,388 @@ export class TaskManager extends EventEmitter {
     this.setStatus(id, this.tasks[id]?.status || 'running', { progress, ...patch });
   }
 
-  attachWorker(type, handler) {
+  /**
+   * Registers a handler for a task type
+   * @param {string} type - Task type
+   * @param {Function} handler - async (task, manager, signal) => result
+   * @param {Object} options - Worker options
+   * @param {boolean} options.pausable - Worker persists `task.cursor` and can continue from it
+   * @param {boolean} options.restartable - Worker has no side effects and can safely run again from scratch
+   * @param {number} options.concurrency - Max running tasks sharing a concurrency key (unlimited if omitted)
+   * @param {Function} options.concurrencyKey - (task) => key grouping tasks for `concurrency`, defaults to the type
+   */
+  attachWorker(type, handler, options = {}) {
     this.workers.set(type, handler);
+    this.workerOptions.set(type, { pausable: false, restartable: false, concurrency: null, concurrencyKey: null, ...options });
+  }
+
+  isPausable(task) {
+    return !!task && !!this.workerOptions.get(task.type)?.pausable;
+  }
+
+  isFinished(task) {
+    return !!task && FINISHED_STATUSES.has(task.status);
+  }
+
+  // Finished tasks and interrupted ones that cannot be resumed will never run again
+  isSettled(task) {
+    return this.isFinished(task) || (!!task && task.status === 'interrupted' && !this.canResume(task));
   }
 
   async run(task) {
+    // Task may have been cancelled while waiting to start
+    if (this.isFinished(this.tasks[task.id])) return;
     const handler = this.workers.get(task.type);
     if (!handler) {
       this.setStatus(task.id, 'failed', { error: `No worker for type ${task.type}` });
       return;
     }
+    const controller = new AbortController();
+    this.controllers.set(task.id, controller);
+    // A paused task cancelled later is re-run already aborted so the worker can save partial results
+    if (task.cancelRequested) controller.abort();
     try {
-      this.setStatus(task.id, 'running', { progress: 0 });
-      const result = await handler(task, this);
-      this.setStatus(task.id, 'completed', { progress: 100, result });
+      this.setStatus(task.id, 'running', { progress: task.progress || 0 });
+      // Handlers check the signal between units of work and return partial results when aborted
+      const result = await handler(task, this, controller.signal);
+      // A cancel that came after a pause finds the signal already aborted, the flag still wins
+      if (controller.signal.aborted && controller.signal.reason === PAUSE_REASON && !task.cancelRequested) {
+        this.setStatus(task.id, 'paused', { message: 'Paused' });
+      } else if (controller.signal.aborted) {
+        this.setStatus(task.id, 'cancelled', { result, cursor: null, message: 'Cancelled' });
+      } else {
+        // The cursor only matters while a task can still continue
+        this.setStatus(task.id, 'completed', { progress: 100, result, cursor: null });
+      }
     } catch (err) {
-      logger.error('Task failed', { id: task.id, error: String(err?.message || err) });
-      this.setStatus(task.id, 'failed', { error: String(err?.message || err) });
+      if (controller.signal.aborted && controller.signal.reason === PAUSE_REASON && !task.cancelRequested) {
+        logger.warn('Task paused with error', { id: task.id, error: String(err?.message || err) });
+        this.setStatus(task.id, 'paused', { message: 'Paused' });
+      } else if (controller.signal.aborted) {
+        logger.warn('Task cancelled with error', { id: task.id, error: String(err?.message || err) });
+        this.setStatus(task.id, 'cancelled', { message: 'Cancelled' });
+      } else {
+        logger.error('Task failed', { id: task.id, error: String(err?.message || err) });
+        this.setStatus(task.id, 'failed', { error: String(err?.message || err) });
+      }
+    } finally {
+      this.controllers.delete(task.id);
+    }
+  }
+
+  /**
+   * Requests cancellation of a task. Queued tasks are cancelled immediately,
+   * running tasks are signalled and finish as `cancelled` once the worker stops.
+   * Tasks holding a cursor are queued again and run aborted so the worker saves what it already did.
+   * @param {string} id - Task ID
+   * @returns {Object|null} Task or null if not found
+   */
+  cancel(id) {
+    const task = this.tasks[id];
+    if (!task || this.isFinished(task)) return task || null;
+
+    const controller = this.controllers.get(id);
+    if (controller) {
+      logger.info('Cancelling running task', { id, type: task.type });
+      this.setStatus(id, task.status, { cancelRequested: true, message: 'Cancelling...' });
+      controller.abort();
+    } else if (task.status === 'paused' || (task.status === 'interrupted' && task.cursor)) {
+      logger.info('Cancelling paused task', { id, type: task.type, status: task.status });
+      // Queued like a resume, so it waits for its turn and the per-account limits
+      this.addToQueue(task, { cancelRequested: true, message: 'Cancelling...' });
+    } else if (task.status === 'queued' && task.cancelRequested) {
+      // Already waiting to save the partial results of a paused task
+    } else {
+      // Queued or scheduled: the task never started, nothing to clean up
+      logger.info('Cancelling task before it started', { id, type: task.type, status: task.status });
+      this.queue = this.queue.filter((queuedId) => queuedId !== id);
+      this.setStatus(id, 'cancelled', { cancelRequested: true, message: 'Cancelled' });
+    }
+    return task;
+  }
+
+  /**
+   * Forgets a settled task (finished, or interrupted for good) and deletes its stored record
+   * @param {string} id - Task ID
+   * @returns {boolean} False when the task does not exist or may still run
+   */
+  remove(id) {
+    const task = this.tasks[id];
+    if (!this.isSettled(task)) return false;
+    delete this.tasks[id];
+    this.streams.delete(id);
+    this.persist([id]);
+    return true;
+  }
+
+  /**
+   * Reconciles tasks left by a previous process. Call once on startup, after all workers
+   * are attached. Scheduled tasks are left to the scheduler loop. Queued tasks go back
+   * into the queue in FIFO order; running tasks become `interrupted`, with `resumable`
+   * marking the ones that can continue via resume() without repeating side effects.
+   * @returns {Array} Interrupted tasks
+   */
+  recover() {
+    const interrupted = [];
+    const requeued = [];
+    for (const task of Object.values(this.tasks)) {
+      if (this.controllers.has(task.id) || this.queue.includes(task.id)) continue;
+
+      // Queued tasks never started, they simply go back into the queue in their original order
+      if (task.status === 'queued') {
+        requeued.push(task);
+        continue;
+      }
+      if (task.status !== 'running') continue;
+
+      const options = this.workerOptions.get(task.type) || {};
+      // Cursor-based workers continue from recorded progress
+      const resumable = !!options.restartable || (!!options.pausable && !!task.cursor);
+
+      Object.assign(task, {
+        status: 'interrupted',
+        interruptedFrom: task.status,
+        interruptedAt: Date.now(),
+        resumable,
+        message: resumable ? 'Interrupted by server restart, can be resumed' : 'Interrupted by server restart',
+        updatedAt: Date.now(),
+      });
+      interrupted.push(task);
+    }
+
+    if (interrupted.length > 0) {
+      this.persist(interrupted.map((t) => t.id));
+      logger.warn('Recovered tasks interrupted by restart', {
+        count: interrupted.length,
+        tasks: interrupted.map((t) => ({ id: t.id, type: t.type, resumable: t.resumable })),
+      });
     }
+
+    requeued.sort((a, b) => (Number(a.queueSeq) || 0) - (Number(b.queueSeq) || 0) || a.createdAt - b.createdAt);
+    for (const task of requeued) {
+      this.queue.push(task.id);
+    }
+    if (requeued.length > 0) {
+      logger.info('Restored queued tasks after restart', { count: requeued.length });
+      this.scheduleDrain();
+    }
+    return interrupted;
+  }
+
+  canResume(task) {
+    if (!task) return false;
+    return task.status === 'paused' || (task.status === 'interrupted' && !!task.resumable);
+  }
+
+  /**
+   * Pauses a running pausable task. The worker stops after the current unit of work
+   * and the task keeps its persisted cursor until resumed.
+   * @param {string} id - Task ID
+   * @returns {Object|null} Task or null if not found
+   */
+  pause(id) {
+    const task = this.tasks[id];
+    const controller = this.controllers.get(id);
+    if (!task || !controller || !this.isPausable(task)) return task || null;
+
+    logger.info('Pausing task', { id, type: task.type });
+    this.setStatus(id, task.status, { pauseRequested: true, message: 'Pausing...' });
+    controller.abort(PAUSE_REASON);
+    return task;
+  }
+
+  /**
+   * Resumes a paused or resumable interrupted task from its persisted cursor.
+   * Workers without a cursor start over.
+   * @param {string} id - Task ID
+   * @returns {Object|null} Task or null if not found
+   */
+  resume(id) {
+    const task = this.tasks[id];
+    if (!task || !this.canResume(task)) return task || null;
+
+    logger.info('Resuming task', { id, type: task.type, cursor: task.cursor?.nextIndex ?? 0 });
+    this.addToQueue(task, { pauseRequested: false, message: 'Resuming...' });
+    return task;
   }
 
   enqueue(type, payload) {
     const task = this.create(type, payload);
-    // Fire and forget
-    setTimeout(() => this.run(task), 0);
+    this.addToQueue(task);
     return task;
   }
 
-  persist() {
-    writeJson(TASKS_FILE, this.tasks);
+  /**
+   * Stores a task as `scheduled`; the scheduler loop queues it once `runAt` has passed.
+   * Scheduled tasks are plain persisted records, so they survive restarts untouched.
+   * @param {string} type - Task type
+   * @param {Object} payload - Task payload
+   * @param {Date} runAt - When the task becomes due
+   */
+  schedule(type, payload, runAt) {
+    const task = this.create(type, payload);
+    this.setStatus(task.id, 'scheduled', { scheduledAt: runAt.toISOString(), message: 'Scheduled' });
+    logger.info('Task scheduled', { id: task.id, type, scheduledAt: task.scheduledAt });
+    return task;
+  }
+
+  listScheduled(type, userId) {
+    return Object.values(this.tasks)
+      .filter((t) => t.status === 'scheduled' && t.type === type && (!userId || String(t.userId) === String(userId)))
+      .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+  }
+
+  /**
+   * Edits a task that has not fired yet
+   * @param {string} id - Task ID
+   * @param {Object} changes - `payload` fields to merge and/or a new `runAt` Date
+   * @returns {Object|null} Updated task, or null when the task is not scheduled anymore
+   */
+  reschedule(id, { payload, runAt } = {}) {
+    const task = this.tasks[id];
+    if (!task || task.status !== 'scheduled') return null;
+
+    const patch = {};
+    if (payload) patch.payload = { ...task.payload, ...payload };
+    if (runAt) patch.scheduledAt = runAt.toISOString();
+    this.setStatus(id, 'scheduled', patch);
+    logger.info('Scheduled task updated', { id, scheduledAt: task.scheduledAt });
+    return task;
+  }
+
+  /**
+   * Moves every scheduled task whose time has come into the queue
+   * @param {number} now - Current timestamp
+   * @returns {Array} Tasks that were queued
+   */
+  promoteDueTasks(now = Date.now()) {
+    const due = Object.values(this.tasks)
+      .filter((t) => t.status === 'scheduled' && new Date(t.scheduledAt).getTime() <= now)
+      .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+
+    for (const task of due) {
+      logger.info('Scheduled task is due', { id: task.id, type: task.type, scheduledAt: task.scheduledAt });
+      this.addToQueue(task, { message: 'Queued' });
+    }
+    return due;
+  }
+
+  /**
+   * Starts the scheduler loop. Tasks that became due while the server was down fire on the first tick.
+   * @param {number} intervalMs - Polling interval
+   */
+  startScheduler(intervalMs = SCHEDULER_INTERVAL_MS) {
+    if (this.schedulerTimer) return;
+    this.promoteDueTasks();
+    this.schedulerTimer = setInterval(() => this.promoteDueTasks(), intervalMs);
+    // Do not keep the process alive just for the scheduler
+    this.schedulerTimer.unref?.();
+  }
+
+  stopScheduler() {
+    if (!this.schedulerTimer) return;
+    clearInterval(this.schedulerTimer);
+    this.schedulerTimer = null;
+  }
+
+  addToQueue(task, patch = {}) {
+    this.queue.push(task.id);
+    this.setStatus(task.id, 'queued', { queueSeq: ++this.queueSeq, queuedAt: Date.now(), ...patch });
+    this.scheduleDrain();
+  }
+
+  /**
+   * 1-based position of a queued task, or null when it is not waiting in the queue
+   * @param {string} id - Task ID
+   * @returns {number|null}
+   */
+  getQueuePosition(id) {
+    const index = this.queue.indexOf(id);
+    return index === -1 ? null : index + 1;
+  }
+
+  getConcurrencyKey(task) {
+    const options = this.workerOptions.get(task.type);
+    return options?.concurrencyKey ? String(options.concurrencyKey(task)) : task.type;
+  }
+
+  scheduleDrain() {
+    if (this.drainScheduled) return;
+    this.drainScheduled = true;
+    setTimeout(() => {
+      this.drainScheduled = false;
+      this.drain();
+    }, 0);
+  }
+
+  /**
+   * Starts queued tasks in FIFO order while global and per-key limits allow.
+   * A task blocked by its key limit does not hold back tasks of other keys behind it.
+   */
+  drain() {
+    for (const id of [...this.queue]) {
+      if (this.active.size >= this.concurrency) break;
+
+      const task = this.tasks[id];
+      if (!task || task.status !== 'queued') {
+        this.queue = this.queue.filter((queuedId) => queuedId !== id);
+        continue;
+      }
+
+      const key = this.getConcurrencyKey(task);
+      const limit = this.workerOptions.get(task.type)?.concurrency;
+      if (limit) {
+        const runningWithKey = [...this.active.values()].filter((activeKey) => activeKey === key).length;
+        if (runningWithKey >= limit) continue;
+      }
+
+      this.queue = this.queue.filter((queuedId) => queuedId !== id);
+      this.active.set(id, key);
+      this.run(task).finally(() => {
+        this.active.delete(id);
+        this.scheduleDrain();
+      });
+    }
+
+    // Positions changed for everything still waiting
+    for (const id of this.queue) {
+      const task = this.tasks[id];
+      if (task && this.streams.has(id)) this.broadcast(id, task);
+    }
+  }
+
+  /**
+   * Writes changed tasks, one record each
+   * @param {Array<string>} ids - Changed task IDs
+   * @param {boolean} immediate - Write now; otherwise the write waits up to PERSIST_INTERVAL_MS
+   *   and is combined with other changes made meanwhile
+   */
+  persist(ids, immediate = true) {
+    for (const id of ids) this.dirty.add(id);
+    if (immediate) {
+      this.flush();
+      return;
+    }
+    if (!this.persistTimer) {
+      this.persistTimer = setTimeout(() => this.flush(), PERSIST_INTERVAL_MS);
+      this.persistTimer.unref?.();
+    }
+  }
+
+  /**
+   * Writes every task changed since the last write; call before the process exits
+   */
+  flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    for (const id of this.dirty) {
+      if (this.tasks[id]) {
+        saveTask(this.tasksFile, this.tasks[id]);
+      } else {
+        deleteTask(this.tasksFile, id);
+      }
+    }
+    this.dirty.clear();
   }
 
   attachStream(taskId, res) {
@@ -113,6 +501,7 @@ export class TaskManager extends EventEmitter {
       total: task.total || 0,
       limit: task.limit || task.total || 0,
       message: task.message || '',
+      queuePosition: this.getQueuePosition(taskId),
       result: task.result || null,
       error: task.error || null,
     });
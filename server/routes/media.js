@@ -0,0 +1,84 @@
+import { Router } from 'express';
+import multer from 'multer';
+import { taskManager } from '../lib/taskManager.js';
+import { MAX_MEDIA_SIZE, listMediaAssets, getMediaAsset, getMediaFilePath, addMediaAsset, deleteMediaAsset } from '../lib/mediaLibrary.js';
+import { logger } from '../lib/logger.js';
+
+export const mediaRouter = Router();
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_MEDIA_SIZE, files: 1 } }).single('file');
+
+// Broadcasts that have not finished yet and still need the asset
+function findBroadcastsUsingMedia(userId, mediaId) {
+  return taskManager.list().filter((task) =>
+    task.type === 'broadcast' &&
+    String(task.userId) === String(userId) &&
+    !taskManager.isFinished(task) &&
+    (task.payload?.attachments || []).some((attachment) => attachment.mediaId === mediaId)
+  );
+}
+
+mediaRouter.get('/', (req, res) => {
+  const { userId } = req.query;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  res.json({ assets: listMediaAssets(userId) });
+});
+
+// Multipart upload: `file` plus `userId`
+mediaRouter.post('/', (req, res) => {
+  upload(req, res, async (error) => {
+    if (error) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+    }
+    const userId = req.body?.userId || req.query.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+    if (!req.file) return res.status(400).json({ error: 'file required' });
+
+    try {
+      const asset = await addMediaAsset(userId, {
+        buffer: req.file.buffer,
+        // multer decodes multipart file names as latin1
+        fileName: Buffer.from(req.file.originalname, 'latin1').toString('utf8'),
+        mimeType: req.file.mimetype
+      });
+      res.json({ asset });
+    } catch (e) {
+      logger.error('Media upload failed', { userId, error: String(e?.message || e) });
+      res.status(500).json({ error: String(e?.message || e) });
+    }
+  });
+});
+
+function sendAssetFile(req, res, thumbnail) {
+  const { userId } = req.query;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  const asset = getMediaAsset(userId, req.params.id);
+  const filePath = asset ? getMediaFilePath(asset, { thumbnail }) : null;
+  if (!filePath) return res.status(404).json({ error: 'Not found' });
+
+  res.set('Cache-Control', 'private, max-age=86400');
+  res.type(thumbnail ? 'image/jpeg' : asset.mimeType);
+  res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) res.status(404).json({ error: 'Not found' });
+  });
+}
+
+mediaRouter.get('/:id/file', (req, res) => sendAssetFile(req, res, false));
+mediaRouter.get('/:id/thumbnail', (req, res) => sendAssetFile(req, res, true));
+
+mediaRouter.delete('/:id', (req, res) => {
+  const userId = req.query.userId || req.body?.userId;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+  const broadcasts = findBroadcastsUsingMedia(userId, req.params.id);
+  if (broadcasts.length > 0) {
+    return res.status(409).json({
+      error: 'The file is used by broadcasts that have not finished yet',
+      taskIds: broadcasts.map((task) => task.id)
+    });
+  }
+  if (!deleteMediaAsset(userId, req.params.id)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  res.json({ deleted: true });
+});
@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import { planCleanup } from '../lib/retention.js';
+import { logger } from '../lib/logger.js';
+
+export const retentionRouter = Router();
+
+// Dry run: what the next cleanup would remove for this user
+retentionRouter.get('/report', (req, res) => {
+  const { userId } = req.query;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    res.json(planCleanup({ userId }));
+  } catch (e) {
+    logger.error('Retention report failed', { userId, error: String(e?.message || e) });
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
@@ -16,7 +16,7 @@ tasksRouter.get('/:id', (req, res) => {
   const task = taskManager.get(req.params.id);
   if (!task) return res.status(404).json({ error: 'Not found' });
   if (String(task.userId) !== String(userId)) return res.status(403).json({ error: 'Forbidden' });
-  res.json(task);
+  res.json({ ...task, queuePosition: taskManager.getQueuePosition(task.id) });
 });
 
 // SSE stream of task updates
@@ -36,3 +36,53 @@ tasksRouter.get('/:id/stream', (req, res) => {
 });
 
 
+// Cancel a queued or running task
+tasksRouter.post('/:id/cancel', (req, res) => {
+  const { id } = req.params;
+  const userId = req.body?.userId || req.query.userId;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  const task = taskManager.get(id);
+  if (!task) return res.status(404).json({ error: 'Not found' });
+  if (String(task.userId) !== String(userId)) return res.status(403).json({ error: 'Forbidden' });
+  if (taskManager.isFinished(task)) {
+    return res.status(409).json({ error: `Task already ${task.status}` });
+  }
+  const updated = taskManager.cancel(id);
+  res.json(updated);
+});
+
+// Pause a running broadcast; progress is kept in the task cursor
+tasksRouter.post('/:id/pause', (req, res) => {
+  const { id } = req.params;
+  const userId = req.body?.userId || req.query.userId;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  const task = taskManager.get(id);
+  if (!task) return res.status(404).json({ error: 'Not found' });
+  if (String(task.userId) !== String(userId)) return res.status(403).json({ error: 'Forbidden' });
+  if (!taskManager.isPausable(task)) {
+    return res.status(400).json({ error: `Tasks of type ${task.type} cannot be paused` });
+  }
+  if (task.status !== 'running') {
+    return res.status(409).json({ error: `Task is ${task.status}, only running tasks can be paused` });
+  }
+  const updated = taskManager.pause(id);
+  res.json(updated);
+});
+
+// Resume a paused task, or a task interrupted by a restart, from its persisted cursor
+tasksRouter.post('/:id/resume', (req, res) => {
+  const { id } = req.params;
+  const userId = req.body?.userId || req.query.userId;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  const task = taskManager.get(id);
+  if (!task) return res.status(404).json({ error: 'Not found' });
+  if (String(task.userId) !== String(userId)) return res.status(403).json({ error: 'Forbidden' });
+  if (!taskManager.canResume(task)) {
+    const reason = task.status === 'interrupted'
+      ? 'Task was interrupted before recording progress and cannot be resumed safely'
+      : `Task is ${task.status}, only paused or interrupted tasks can be resumed`;
+    return res.status(409).json({ error: reason });
+  }
+  const updated = taskManager.resume(id);
+  res.json(updated);
+});
@@ -1,209 +1,23 @@
 import { Router } from 'express';
-import { taskManager } from '../lib/taskManager.js';
-import { searchDialogs, searchChannels, sendMessage, sendMediaMessage, getParticipantsWithActivity, sendCode, signIn, getAuthStatus, clearSession, peerToInputPeer, extractUserPeerMetadata, resolvePeerFromUser, resolvePeerFromUsername } from '../services/telegramClient.js';
-import { writeJson, readJson } from '../lib/storage.js';
-import { generateBroadcastHistoryId, listBroadcastHistory, getBroadcastHistoryById, saveBroadcastHistory, computeBroadcastStatus, buildMessagePreview, deriveAudienceName } from '../lib/broadcastHistory.js';
+import { taskManager, PAUSE_REASON } from '../lib/taskManager.js';
+import { searchDialogs, searchChannels, sendMessage, sendMediaMessage, loadForwardSource, forwardPost, getParticipantsWithActivity, sendCode, signIn, getAuthStatus, clearSession, peerToInputPeer, extractUserPeerMetadata, resolvePeerFromUser, resolvePeerFromUsername, getActiveAccountId, withRateLimitContext, getFloodWaitSeconds } from '../services/telegramClient.js';
+import { readJson, saveRecord, getRecord, listRecords, deleteRecord } from '../lib/storage.js';
+import { generateBroadcastHistoryId, listBroadcastHistory, getBroadcastHistoryById, saveBroadcastHistory, computeBroadcastStatus, buildMessagePreview, deriveAudienceName, getRetryableDeliveries, linkBroadcastRetry, deleteBroadcastHistory, collectRecentDeliveries, countRecentDeliveries } from '../lib/broadcastHistory.js';
 import { logger, sleep } from '../lib/logger.js';
+import { resolveScheduledAt } from '../lib/schedule.js';
+import { parseTemplate, compileTemplate, buildTemplateContext } from '../lib/messageTemplate.js';
+import { normalizeVariants, assignVariant } from '../lib/broadcastVariants.js';
+import { parseFormattingOptions, formatMessage, escapeHtml, escapeMarkdown } from '../lib/messageFormat.js';
+import { normalizeAttachments, describeAttachments } from '../lib/broadcastAttachments.js';
+import { getMediaAsset, readMediaFile } from '../lib/mediaLibrary.js';
+import { normalizeForwardSource } from '../lib/forwardSource.js';
+import { listSavedTemplates, getSavedTemplate, getSavedTemplateVersion, createSavedTemplate, updateSavedTemplate, deleteSavedTemplate } from '../lib/savedTemplates.js';
+import { listSuppressed, addSuppressed, removeSuppressed, findSuppression, suppressOnDeliveryError } from '../lib/suppression.js';
+import { SCHEMA_VERSIONS, assertCurrentVersion } from '../lib/migrations.js';
+import { SAVED_SEARCH_TASK, listSavedSearches, getSavedSearch, createSavedSearch, updateSavedSearch, deleteSavedSearch, runSavedSearchNow, advanceSavedSearchSchedule, recordSavedSearchRun, findNewChannelIds } from '../lib/savedSearches.js';
 
 export const telegramRouter = Router();
 
-/**
- * Normalizes channel data for backward compatibility
- * Handles both legacy flat records and new enriched records
- * @param {Object} channel - Channel object (legacy or enriched)
- * @returns {Object} Normalized channel object with all required fields
- */
-function normalizeChannelData(channel) {
-  // Handle null/undefined channel
-  if (!channel) {
-    return {
-      id: '',
-      title: 'Без названия',
-      username: null,
-      address: 'tg://resolve?domain=',
-      membersCount: 0,
-      description: '',
-      type: 'Channel',
-      peer: null,
-      metadata: {
-        isVerified: false,
-        isRestricted: false,
-        isScam: false,
-        isFake: false,
-        isGigagroup: false,
-        hasUsername: false,
-        isPublic: false,
-        privacy: 'private'
-      },
-      category: 'Channel',
-      inviteLink: null,
-      channelMetadata: {
-        linkedChatId: null,
-        canViewParticipants: false,
-        canSetUsername: false,
-        canSetStickers: false,
-        hiddenPrehistory: false,
-        participantsCount: 0,
-        adminsCount: 0,
-        kickedCount: 0,
-        bannedCount: 0,
-        onlineCount: 0,
-        readInboxMaxId: 0,
-        readOutboxMaxId: 0,
-        unreadCount: 0
-      },
-      resolvedLink: null,
-      fullDescription: '',
-      searchableText: '',
-      date: null,
-      hasForwards: false,
-      hasScheduled: false,
-      canDeleteHistory: false,
-      antiSpamEnabled: false,
-      joinToSend: false,
-      requestJoinRequired: false
-    };
-  }
-  
-  // If this is already an enriched record, return as-is with defaults for any missing fields
-  if (channel.enriched || channel.peer || channel.metadata) {
-    return {
-      // Basic fields (always present)
-      id: channel.id || '',
-      title: channel.title || 'Без названия',
-      username: channel.username || null,
-      address: channel.address || (channel.username ? `@${channel.username}` : `tg://resolve?domain=${channel.id}`),
-      membersCount: Number(channel.membersCount) || 0,
-      description: channel.description || '',
-      type: channel.type || 'Channel',
-      
-      // Enriched fields (with defaults for backward compatibility)
-      peer: channel.peer || null,
-      metadata: channel.metadata || {
-        isVerified: false,
-        isRestricted: false,
-        isScam: false,
-        isFake: false,
-        isGigagroup: false,
-        hasUsername: !!channel.username,
-        isPublic: !!channel.username,
-        privacy: channel.username ? 'public' : 'private'
-      },
-      category: channel.category || channel.type || 'Channel',
-      inviteLink: channel.inviteLink || null,
-      channelMetadata: channel.channelMetadata || {
-        linkedChatId: null,
-        canViewParticipants: false,
-        canSetUsername: false,
-        canSetStickers: false,
-        hiddenPrehistory: false,
-        participantsCount: Number(channel.membersCount) || 0,
-        adminsCount: 0,
-        kickedCount: 0,
-        bannedCount: 0,
-        onlineCount: 0,
-        readInboxMaxId: 0,
-        readOutboxMaxId: 0,
-        unreadCount: 0
-      },
-      resolvedLink: channel.resolvedLink || (channel.username ? `https://t.me/${channel.username}` : null),
-      fullDescription: channel.description || '',
-      searchableText: `${channel.title || ''} ${channel.description || ''}`.toLowerCase(),
-      date: channel.date || null,
-      hasForwards: channel.hasForwards || false,
-      hasScheduled: channel.hasScheduled || false,
-      canDeleteHistory: channel.canDeleteHistory || false,
-      antiSpamEnabled: channel.antiSpamEnabled || false,
-      joinToSend: channel.joinToSend || false,
-      requestJoinRequired: channel.requestJoinRequired || false
-    };
-  }
-  
-  // Legacy record - enrich with defaults
-  const username = channel.username || null;
-  return {
-    // Preserve original legacy fields
-    id: channel.id || '',
-    title: channel.title || 'Без названия',
-    username: username,
-    address: channel.address || (username ? `@${username}` : `tg://resolve?domain=${channel.id}`),
-    membersCount: Number(channel.membersCount) || 0,
-    description: channel.description || '',
-    type: channel.type || 'Channel',
-    
-    // Add enriched fields with sensible defaults
-    peer: null,
-    metadata: {
-      isVerified: false,
-      isRestricted: false,
-      isScam: false,
-      isFake: false,
-      isGigagroup: false,
-      hasUsername: !!username,
-      isPublic: !!username,
-      privacy: username ? 'public' : 'private'
-    },
-    category: channel.type || 'Channel',
-    inviteLink: null,
-    channelMetadata: {
-      linkedChatId: null,
-      canViewParticipants: false,
-      canSetUsername: false,
-      canSetStickers: false,
-      hiddenPrehistory: false,
-      participantsCount: channel.membersCount || 0,
-      adminsCount: 0,
-      kickedCount: 0,
-      bannedCount: 0,
-      onlineCount: 0,
-      readInboxMaxId: 0,
-      readOutboxMaxId: 0,
-      unreadCount: 0
-    },
-    resolvedLink: username ? `https://t.me/${username}` : null,
-    fullDescription: channel.description || '',
-    searchableText: `${channel.title || ''} ${channel.description || ''}`.toLowerCase(),
-    date: null,
-    hasForwards: false,
-    hasScheduled: false,
-    canDeleteHistory: false,
-    antiSpamEnabled: false,
-    joinToSend: false,
-    requestJoinRequired: false
-  };
-}
-
-/**
- * Normalizes parsing results data for backward compatibility
- * @param {Object} resultsData - Raw results data from storage
- * @returns {Object} Normalized results data
- */
-function normalizeParsingResults(resultsData) {
-  if (!resultsData) return resultsData;
-  
-  // Normalize channels array
-  const normalizedChannels = (resultsData.channels || []).map(channel => normalizeChannelData(channel));
-  
-  return {
-    ...resultsData,
-    channels: normalizedChannels,
-    // Add missing fields with defaults for legacy records
-    keywords: resultsData.keywords || (resultsData.query ? [resultsData.query] : []),
-    searchFilters: resultsData.searchFilters || {
-      minMembers: resultsData.minMembers || 0,
-      maxMembers: resultsData.maxMembers || null,
-      limit: 100,
-      channelTypes: {
-        megagroup: true,
-        discussionGroup: true,
-        broadcast: true
-      }
-    },
-    version: resultsData.version || '1.0',
-    enriched: resultsData.enriched || false
-  };
-}
-
 function formatTimestampForFilename(timestamp) {
   const date = timestamp ? new Date(timestamp) : new Date();
   if (Number.isNaN(date.getTime())) {
@@ -212,6 +26,16 @@ function formatTimestampForFilename(timestamp) {
   return date.toISOString().replace(/[:]/g, '-');
 }
 
+/**
+ * Builds a stable key for a broadcast recipient or deliveryLog recipient entry
+ * @param {Object} recipient - Recipient object (user or channel)
+ * @returns {string} Recipient key
+ */
+function getRecipientKey(recipient) {
+  if (!recipient) return '';
+  return String(recipient.id ?? recipient.username ?? '');
+}
+
 function escapeCsvValue(value) {
   if (value === null || value === undefined) {
     return '';
@@ -294,6 +118,104 @@ telegramRouter.post('/search', async (req, res) => {
   }
 });
 
+/**
+ * Searches channels for every keyword and merges the results without duplicates
+ * @returns {Promise<Array>} Found channels
+ */
+async function collectChannels(searchKeywords, min, max, searchLimit, channelFilters) {
+  // Search for each keyword and combine results
+  let allChannels = [];
+  const processedIds = new Set();
+  
+  for (const keyword of searchKeywords) {
+    if (!keyword || !keyword.trim()) continue;
+    
+    logger.info('searching for keyword', { keyword, filters: channelFilters });
+    
+    try {
+      const channels = await searchChannels(keyword.trim(), min, max, searchLimit, channelFilters);
+      
+      logger.info('search completed for keyword', { 
+        keyword, 
+        resultsCount: channels.length,
+        categories: channels.map(c => c.category)
+      });
+      
+      // Add channels avoiding duplicates
+      for (const channel of channels) {
+        const channelId = String(channel.id);
+        if (!processedIds.has(channelId)) {
+          processedIds.add(channelId);
+          allChannels.push(channel);
+        }
+      }
+    } catch (keywordError) {
+      logger.error('error searching for keyword', { 
+        keyword, 
+        error: String(keywordError?.message || keywordError) 
+      });
+      throw keywordError;
+    }
+  }
+  
+  logger.info('all keywords processed', { 
+    totalChannels: allChannels.length,
+    keywords: searchKeywords 
+  });
+
+  return allChannels;
+}
+
+/**
+ * Stores the results of a channel search as a parsing record
+ * @param {Object} extra - Additional top-level fields (e.g. saved search run metadata)
+ * @returns {Object} Saved results data
+ */
+function saveParsingResults({ userId, query, searchKeywords, min, max, searchLimit, channelFilters, channels: allChannels, extra = {} }) {
+  // Сохраняем результаты для пользователя с обогащенной структурой
+  const resultsId = `parsing_${Date.now()}_${userId}`;
+
+  // Extract keywords from input (use provided keywords or split query)
+  const queryKeywords = searchKeywords.filter(k => k && k.trim());
+
+  const resultsData = {
+    id: resultsId,
+    userId: userId,
+    query: query,
+    keywords: queryKeywords,
+    searchFilters: {
+      minMembers: min,
+      maxMembers: max === Infinity ? null : max,
+      limit: searchLimit,
+      channelTypes: channelFilters
+    },
+    channels: allChannels,
+    timestamp: new Date().toISOString(),
+    count: allChannels.length,
+    version: SCHEMA_VERSIONS.parsing,
+    enriched: true, // Flag to indicate enriched data
+    ...extra
+  };
+
+  logger.info('saving parsing results', {
+    resultsId,
+    channelsCount: allChannels.length,
+    categories: allChannels.reduce((acc, ch) => {
+      acc[ch.category] = (acc[ch.category] || 0) + 1;
+      return acc;
+    }, {})
+  });
+
+  saveRecord('parsing', resultsData);
+
+  logger.info('parsing results saved successfully', {
+    resultsId,
+    userId
+  });
+
+  return resultsData;
+}
+
 // Search channels with filters
 telegramRouter.post('/search-channels', async (req, res) => {
   logger.info('search-channels received request', { 
@@ -344,84 +266,16 @@ telegramRouter.post('/search-channels', async (req, res) => {
       userId 
     });
     
-    // Search for each keyword and combine results
-    let allChannels = [];
-    const processedIds = new Set();
-    
-    for (const keyword of searchKeywords) {
-      if (!keyword || !keyword.trim()) continue;
-      
-      logger.info('searching for keyword', { keyword, filters: channelFilters });
-      
-      try {
-        const channels = await searchChannels(keyword.trim(), min, max, searchLimit, channelFilters);
-        
-        logger.info('search completed for keyword', { 
-          keyword, 
-          resultsCount: channels.length,
-          categories: channels.map(c => c.category)
-        });
-        
-        // Add channels avoiding duplicates
-        for (const channel of channels) {
-          const channelId = String(channel.id);
-          if (!processedIds.has(channelId)) {
-            processedIds.add(channelId);
-            allChannels.push(channel);
-          }
-        }
-      } catch (keywordError) {
-        logger.error('error searching for keyword', { 
-          keyword, 
-          error: String(keywordError?.message || keywordError) 
-        });
-        throw keywordError;
-      }
-    }
-    
-    logger.info('all keywords processed', { 
-      totalChannels: allChannels.length,
-      keywords: searchKeywords 
-    });
-    
-    // Сохраняем результаты для пользователя с обогащенной структурой
-    const resultsId = `parsing_${Date.now()}_${userId}`;
-
-    // Extract keywords from input (use provided keywords or split query)
-    const queryKeywords = searchKeywords.filter(k => k && k.trim());
-
-    const resultsData = {
-      id: resultsId,
-      userId: userId,
-      query: query,
-      keywords: queryKeywords,
-      searchFilters: {
-        minMembers: min,
-        maxMembers: max === Infinity ? null : max,
-        limit: searchLimit,
-        channelTypes: channelFilters
-      },
-      channels: allChannels,
-      timestamp: new Date().toISOString(),
-      count: allChannels.length,
-      version: '2.0', // Version for backward compatibility
-      enriched: true // Flag to indicate enriched data
-    };
-
-    logger.info('saving parsing results', {
-      resultsId,
-      channelsCount: allChannels.length,
-      categories: allChannels.reduce((acc, ch) => {
-        acc[ch.category] = (acc[ch.category] || 0) + 1;
-        return acc;
-      }, {})
-    });
-
-    writeJson(`parsing_results_${resultsId}.json`, resultsData);
-
-    logger.info('parsing results saved successfully', {
-      resultsId,
-      userId
+    const allChannels = await collectChannels(searchKeywords, min, max, searchLimit, channelFilters);
+    const { id: resultsId } = saveParsingResults({
+      userId,
+      query,
+      searchKeywords,
+      min,
+      max,
+      searchLimit,
+      channelFilters,
+      channels: allChannels
     });
 
     res.json({
@@ -435,6 +289,74 @@ telegramRouter.post('/search-channels', async (req, res) => {
   }
 });
 
+// Saved channel searches re-run on a cron schedule
+telegramRouter.get('/saved-searches', (req, res) => {
+  const { userId } = req.query || {};
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.json({ savedSearches: listSavedSearches(userId) });
+});
+
+telegramRouter.post('/saved-searches', (req, res) => {
+  const { userId, ...input } = req.body || {};
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const search = createSavedSearch(userId, input);
+    res.json({ savedSearch: search });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+function getOwnSavedSearch(req, res, userId) {
+  if (!userId) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+  const search = getSavedSearch(req.params.id);
+  if (!search || String(search.userId) !== String(userId)) {
+    res.status(404).json({ error: 'Saved search not found' });
+    return null;
+  }
+  return search;
+}
+
+telegramRouter.patch('/saved-searches/:id', (req, res) => {
+  const { userId, ...input } = req.body || {};
+  const search = getOwnSavedSearch(req, res, userId || req.query.userId);
+  if (!search) return;
+
+  try {
+    res.json({ savedSearch: updateSavedSearch(search.id, input) });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+telegramRouter.delete('/saved-searches/:id', (req, res) => {
+  const search = getOwnSavedSearch(req, res, req.query.userId || req.body?.userId);
+  if (!search) return;
+
+  deleteSavedSearch(search.id);
+  res.json({ success: true });
+});
+
+// Run a saved search right away; the cron schedule is not affected
+telegramRouter.post('/saved-searches/:id/run', (req, res) => {
+  const search = getOwnSavedSearch(req, res, req.body?.userId || req.query.userId);
+  if (!search) return;
+
+  const task = runSavedSearchNow(search);
+  res.json({ taskId: task.id });
+});
+
 // Get all parsing results for user (должен быть ПЕРЕД параметризованным маршрутом)
 telegramRouter.get('/parsing-results', async (req, res) => {
   const { userId } = req.query || {};
@@ -444,52 +366,35 @@ telegramRouter.get('/parsing-results', async (req, res) => {
   }
   
   try {
-    const fs = await import('fs');
-    const path = await import('path');
-    const { fileURLToPath } = await import('url');
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    const dataDir = path.resolve(__dirname, '..', 'data');
-    
-    if (!fs.existsSync(dataDir)) {
-      return res.json({ results: [] });
-    }
-    
-    const files = fs.readdirSync(dataDir);
-    const resultsFiles = files.filter(f => f.startsWith('parsing_results_') && f.endsWith('.json'));
-    
+    // Summaries only: the channels of each session are not loaded
     const allResults = [];
-    for (const file of resultsFiles) {
+    for (const resultsData of listRecords('parsing', { userId })) {
       try {
-        const resultsData = readJson(file, null);
-        if (resultsData && resultsData.userId === userId) {
-          // Normalize the results data for backward compatibility
-          const normalizedData = normalizeParsingResults(resultsData);
-          
-          const timestamp = new Date(normalizedData.timestamp);
-          const dateStr = timestamp.toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric' });
-          const timeStr = timestamp.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-          
-          // Используем ключевые слова из запроса, если они есть, иначе "Результаты поиска"
-          const query = normalizedData.query || '';
-          const name = query.trim() 
-            ? `${query} ${dateStr} ${timeStr}`
-            : `Результаты поиска ${dateStr} ${timeStr}`;
-          
-          allResults.push({
-            id: normalizedData.id,
-            name: name,
-            date: dateStr,
-            count: normalizedData.count || 0,
-            timestamp: normalizedData.timestamp,
-            query: normalizedData.query,
-            keywords: normalizedData.keywords,
-            enriched: normalizedData.enriched,
-            version: normalizedData.version
-          });
-        }
+        assertCurrentVersion('parsing', resultsData);
+        
+        const timestamp = new Date(resultsData.timestamp);
+        const dateStr = timestamp.toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric' });
+        const timeStr = timestamp.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        
+        // Используем ключевые слова из запроса, если они есть, иначе "Результаты поиска"
+        const query = resultsData.query || '';
+        const name = query.trim() 
+          ? `${query} ${dateStr} ${timeStr}`
+          : `Результаты поиска ${dateStr} ${timeStr}`;
+        
+        allResults.push({
+          id: resultsData.id,
+          name: name,
+          date: dateStr,
+          count: resultsData.count || 0,
+          timestamp: resultsData.timestamp,
+          query: resultsData.query,
+          keywords: resultsData.keywords,
+          enriched: resultsData.enriched,
+          version: resultsData.version
+        });
       } catch (e) {
-        logger.warn('Error reading results file', { file, error: String(e?.message || e) });
+        logger.warn('Error reading parsing results', { id: resultsData.id, error: String(e?.message || e) });
       }
     }
     
@@ -516,23 +421,11 @@ telegramRouter.get('/parsing-results/download-all', async (req, res) => {
   }
   
   try {
-    const fs = await import('fs');
-    const path = await import('path');
-    const { fileURLToPath } = await import('url');
     const archiver = await import('archiver');
     
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    const dataDir = path.resolve(__dirname, '..', 'data');
+    const resultsList = listRecords('parsing', { userId, withItems: true });
     
-    if (!fs.existsSync(dataDir)) {
-      return res.status(404).json({ error: 'No results found' });
-    }
-    
-    const files = fs.readdirSync(dataDir);
-    const resultsFiles = files.filter(f => f.startsWith('parsing_results_') && f.endsWith('.json'));
-    
-    if (resultsFiles.length === 0) {
+    if (resultsList.length === 0) {
       return res.status(404).json({ error: 'No results found' });
     }
     
@@ -545,127 +438,123 @@ telegramRouter.get('/parsing-results/download-all', async (req, res) => {
     archive.pipe(res);
     
     // Добавляем каждый файл результатов в архив как CSV
-    for (const file of resultsFiles) {
+    for (const resultsData of resultsList) {
       try {
-        const resultsData = readJson(file, null);
-        if (resultsData && resultsData.userId === userId) {
-          // Normalize the results data for backward compatibility
-          const normalizedData = normalizeParsingResults(resultsData);
-          const channels = normalizedData.channels || [];
-
-               // Функция для преобразования типа канала в читаемый статус
-                const getStatusLabel = (category) => {
-                  switch (category) {
-                    // New canonical categories
-                    case 'megagroup':
-                      return 'Публичный чат';
-                    case 'discussion':
-                      return 'Каналы с комментариями';
-                    case 'broadcast':
-                      return 'Каналы';
-                    case 'basic':
-                      return 'Обычный чат';
-                    case 'other':
-                      return 'Прочее';
-                    // Legacy category names for backward compatibility
-                    case 'Megagroup':
-                      return 'Публичный чат';
-                    case 'Discussion Group':
-                      return 'Каналы с комментариями';
-                    case 'Broadcast':
-                      return 'Каналы';
-                    default:
-                      return category || 'Неизвестно';
-                  }
-                };
-
-                const delimiter = ';'; // Точка с запятой для русской локали Excel
-
-                // Enhanced CSV header with additional columns
-                const csvHeader = [
-            'Название канала',
-            'Username', 
-            'Ссылка на канал',
-            'Категория',
-            'Приватность',
-            'Статус',
-            'Количество подписчиков',
-            'Описание',
-            'Проверен',
-            'Ограничен',
-            'Скам',
-            'Поддельный',
-            'Есть ссылка-приглашение',
-            'Онлайн участники',
-            'Админы'
-          ].join(delimiter) + '\n';
-          
-          const csvRows = channels.map(ch => {
-            // Basic fields
-            const title = (ch.title || '').replace(/"/g, '""');
-            // Формируем ссылку на канал: используем новый link field или fallback к username
-            const link = ch.link || (ch.username ? `https://t.me/${ch.username}` : (ch.address || ''));
-            const linkEscaped = link.replace(/"/g, '""');
-            const status = getStatusLabel(ch.category || ch.type);
-            const statusEscaped = status.replace(/"/g, '""');
-            const membersCount = ch.membersCount || 0;
-            const description = (ch.description || '').replace(/"/g, '""');
-            const isVerified = ch.metadata?.isVerified ? 'Да' : 'Нет';
-            const isRestricted = ch.metadata?.isRestricted ? 'Да' : 'Нет';
-            const isScam = ch.metadata?.isScam ? 'Да' : 'Нет';
-            const isFake = ch.metadata?.isFake ? 'Да' : 'Нет';
-            const hasInviteLink = ch.inviteLink ? 'Да' : 'Нет';
-            const onlineCount = ch.channelMetadata?.onlineCount || 0;
-            const adminsCount = ch.channelMetadata?.adminsCount || 0;
-            
-            // Helper function to escape CSV values
-            const escapeCsvValue = (value) => {
-              const strValue = String(value);
-              return strValue.includes(delimiter) || strValue.includes('"') ? `"${strValue}"` : strValue;
-            };
-            
-            return [
-              escapeCsvValue(title),
-              escapeCsvValue(username),
-              escapeCsvValue(linkEscaped),
-              escapeCsvValue(category),
-              escapeCsvValue(privacy),
-              escapeCsvValue(statusEscaped),
-              escapeCsvValue(membersCount),
-              escapeCsvValue(description),
-              escapeCsvValue(isVerified),
-              escapeCsvValue(isRestricted),
-              escapeCsvValue(isScam),
-              escapeCsvValue(isFake),
-              escapeCsvValue(hasInviteLink),
-              escapeCsvValue(onlineCount),
-              escapeCsvValue(adminsCount)
-            ].join(delimiter);
-          }).join('\n');
-          
-          const csv = '\ufeff' + csvHeader + csvRows;
-          
-          // Формируем имя файла по ключевым словам, как в приложении
-          const timestamp = new Date(normalizedData.timestamp);
-          const dateStr = timestamp.toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric' });
-          const timeStr = timestamp.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-          const query = normalizedData.query || '';
-          const baseName = query.trim() 
-            ? `${query} ${dateStr} ${timeStr}`
-            : `Результаты поиска ${dateStr} ${timeStr}`;
-          
-          // Очищаем имя файла от недопустимых символов
-          const sanitizedFilename = baseName
-            .replace(/[<>:"/\\|?*]/g, '_') // Заменяем недопустимые символы
-            .replace(/\s+/g, ' ') // Нормализуем пробелы
-            .trim();
+        assertCurrentVersion('parsing', resultsData);
+        const channels = resultsData.channels || [];
+
+             // Функция для преобразования типа канала в читаемый статус
+              const getStatusLabel = (category) => {
+                switch (category) {
+                  // New canonical categories
+                  case 'megagroup':
+                    return 'Публичный чат';
+                  case 'discussion':
+                    return 'Каналы с комментариями';
+                  case 'broadcast':
+                    return 'Каналы';
+                  case 'basic':
+                    return 'Обычный чат';
+                  case 'other':
+                    return 'Прочее';
+                  // Legacy category names for backward compatibility
+                  case 'Megagroup':
+                    return 'Публичный чат';
+                  case 'Discussion Group':
+                    return 'Каналы с комментариями';
+                  case 'Broadcast':
+                    return 'Каналы';
+                  default:
+                    return category || 'Неизвестно';
+                }
+              };
+
+              const delimiter = ';'; // Точка с запятой для русской локали Excel
+
+              // Enhanced CSV header with additional columns
+              const csvHeader = [
+          'Название канала',
+          'Username', 
+          'Ссылка на канал',
+          'Категория',
+          'Приватность',
+          'Статус',
+          'Количество подписчиков',
+          'Описание',
+          'Проверен',
+          'Ограничен',
+          'Скам',
+          'Поддельный',
+          'Есть ссылка-приглашение',
+          'Онлайн участники',
+          'Админы'
+        ].join(delimiter) + '\n';
+        
+        const csvRows = channels.map(ch => {
+          // Basic fields
+          const title = (ch.title || '').replace(/"/g, '""');
+          // Формируем ссылку на канал: используем новый link field или fallback к username
+          const link = ch.link || (ch.username ? `https://t.me/${ch.username}` : (ch.address || ''));
+          const linkEscaped = link.replace(/"/g, '""');
+          const status = getStatusLabel(ch.category || ch.type);
+          const statusEscaped = status.replace(/"/g, '""');
+          const membersCount = ch.membersCount || 0;
+          const description = (ch.description || '').replace(/"/g, '""');
+          const isVerified = ch.metadata?.isVerified ? 'Да' : 'Нет';
+          const isRestricted = ch.metadata?.isRestricted ? 'Да' : 'Нет';
+          const isScam = ch.metadata?.isScam ? 'Да' : 'Нет';
+          const isFake = ch.metadata?.isFake ? 'Да' : 'Нет';
+          const hasInviteLink = ch.inviteLink ? 'Да' : 'Нет';
+          const onlineCount = ch.channelMetadata?.onlineCount || 0;
+          const adminsCount = ch.channelMetadata?.adminsCount || 0;
           
-          const filename = `${sanitizedFilename}.csv`;
+          // Helper function to escape CSV values
+          const escapeCsvValue = (value) => {
+            const strValue = String(value);
+            return strValue.includes(delimiter) || strValue.includes('"') ? `"${strValue}"` : strValue;
+          };
           
-          archive.append(csv, { name: filename });
-        }
+          return [
+            escapeCsvValue(title),
+            escapeCsvValue(username),
+            escapeCsvValue(linkEscaped),
+            escapeCsvValue(category),
+            escapeCsvValue(privacy),
+            escapeCsvValue(statusEscaped),
+            escapeCsvValue(membersCount),
+            escapeCsvValue(description),
+            escapeCsvValue(isVerified),
+            escapeCsvValue(isRestricted),
+            escapeCsvValue(isScam),
+            escapeCsvValue(isFake),
+            escapeCsvValue(hasInviteLink),
+            escapeCsvValue(onlineCount),
+            escapeCsvValue(adminsCount)
+          ].join(delimiter);
+        }).join('\n');
+        
+        const csv = '\ufeff' + csvHeader + csvRows;
+        
+        // Формируем имя файла по ключевым словам, как в приложении
+        const timestamp = new Date(resultsData.timestamp);
+        const dateStr = timestamp.toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric' });
+        const timeStr = timestamp.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        const query = resultsData.query || '';
+        const baseName = query.trim() 
+          ? `${query} ${dateStr} ${timeStr}`
+          : `Результаты поиска ${dateStr} ${timeStr}`;
+        
+        // Очищаем имя файла от недопустимых символов
+        const sanitizedFilename = baseName
+          .replace(/[<>:"/\\|?*]/g, '_') // Заменяем недопустимые символы
+          .replace(/\s+/g, ' ') // Нормализуем пробелы
+          .trim();
+        
+        const filename = `${sanitizedFilename}.csv`;
+        
+        archive.append(csv, { name: filename });
       } catch (e) {
-        logger.warn('Error processing file for download-all', { file, error: String(e?.message || e) });
+        logger.warn('Error processing results for download-all', { id: resultsData.id, error: String(e?.message || e) });
       }
     }
     
@@ -686,7 +575,7 @@ telegramRouter.get('/parsing-results/:resultsId/download', async (req, res) => {
   }
   
   try {
-    const resultsData = readJson(`parsing_results_${resultsId}.json`, null);
+    const resultsData = getRecord('parsing', resultsId);
     
     if (!resultsData) {
       return res.status(404).json({ error: 'Results not found' });
@@ -696,9 +585,8 @@ telegramRouter.get('/parsing-results/:resultsId/download', async (req, res) => {
       return res.status(403).json({ error: 'Forbidden' });
     }
     
-    // Normalize the results data for backward compatibility
-    const normalizedData = normalizeParsingResults(resultsData);
-    const channels = normalizedData.channels || [];
+    assertCurrentVersion('parsing', resultsData);
+    const channels = resultsData.channels || [];
     
     // Функция для преобразования типа канала в читаемый статус
      const getStatusLabel = (category) => {
@@ -794,10 +682,10 @@ telegramRouter.get('/parsing-results/:resultsId/download', async (req, res) => {
     const csv = csvHeader + csvRows;
     
     // Формируем имя файла по ключевым словам, как в приложении
-    const timestamp = new Date(normalizedData.timestamp);
+    const timestamp = new Date(resultsData.timestamp);
     const dateStr = timestamp.toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric' });
     const timeStr = timestamp.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-    const query = normalizedData.query || '';
+    const query = resultsData.query || '';
     const baseName = query.trim() 
       ? `${query} ${dateStr} ${timeStr}`
       : `Результаты поиска ${dateStr} ${timeStr}`;
@@ -829,53 +717,34 @@ telegramRouter.get('/parsing-results/channels', async (req, res) => {
   }
   
   try {
-    const fs = await import('fs');
-    const path = await import('path');
-    const { fileURLToPath } = await import('url');
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    const dataDir = path.resolve(__dirname, '..', 'data');
-    
-    if (!fs.existsSync(dataDir)) {
-      return res.json({ channels: [] });
-    }
-    
-    const files = fs.readdirSync(dataDir);
-    const resultsFiles = files.filter(f => f.startsWith('parsing_results_') && f.endsWith('.json'));
+    const resultsList = listRecords('parsing', { userId, withItems: true });
     
     const allChannels = [];
-    for (const file of resultsFiles) {
+    // Oldest first, so the freshest copy of a channel wins when duplicates are dropped below
+    for (const resultsData of [...resultsList].reverse()) {
       try {
-        const resultsData = readJson(file, null);
-        // Сравниваем userId как строки для надежности
-        const fileUserId = String(resultsData?.userId || '');
-        const requestUserId = String(userId || '');
+        assertCurrentVersion('parsing', resultsData);
         
-        if (resultsData && fileUserId === requestUserId && resultsData.channels && Array.isArray(resultsData.channels)) {
-          // Normalize the results data for backward compatibility
-          const normalizedData = normalizeParsingResults(resultsData);
-          
-          // Включаем все каналы из результатов парсинга
-          // Приоритет отдаем Megagroup и Discussion Group, но показываем все
-          const channelsWithMetadata = normalizedData.channels.map(ch => ({
-            ...ch,
-            // Добавляем информацию о результате парсинга
-            parsingResultId: normalizedData.id,
-            parsingResultName: normalizedData.query || `Результаты поиска ${new Date(normalizedData.timestamp).toLocaleDateString('ru-RU')}`,
-            parsingResultKeywords: normalizedData.keywords,
-            parsingResultEnriched: normalizedData.enriched,
-            parsingResultVersion: normalizedData.version
-          }));
-          allChannels.push(...channelsWithMetadata);
-        }
+        // Включаем все каналы из результатов парсинга
+        // Приоритет отдаем Megagroup и Discussion Group, но показываем все
+        const channelsWithMetadata = resultsData.channels.map(ch => ({
+          ...ch,
+          // Добавляем информацию о результате парсинга
+          parsingResultId: resultsData.id,
+          parsingResultName: resultsData.query || `Результаты поиска ${new Date(resultsData.timestamp).toLocaleDateString('ru-RU')}`,
+          parsingResultKeywords: resultsData.keywords,
+          parsingResultEnriched: resultsData.enriched,
+          parsingResultVersion: resultsData.version
+        }));
+        allChannels.push(...channelsWithMetadata);
       } catch (e) {
-        logger.warn('Error reading results file', { file, error: String(e?.message || e) });
+        logger.warn('Error reading parsing results', { id: resultsData.id, error: String(e?.message || e) });
       }
     }
     
     logger.info('get parsing-results/channels', { 
       userId, 
-      filesCount: resultsFiles.length, 
+      resultsCount: resultsList.length, 
       channelsCount: allChannels.length 
     });
     
@@ -901,7 +770,7 @@ telegramRouter.get('/parsing-results/:resultsId', async (req, res) => {
   }
   
   try {
-    const resultsData = readJson(`parsing_results_${resultsId}.json`, null);
+    const resultsData = getRecord('parsing', resultsId);
     
     if (!resultsData) {
       return res.status(404).json({ error: 'Results not found' });
@@ -911,11 +780,39 @@ telegramRouter.get('/parsing-results/:resultsId', async (req, res) => {
       return res.status(403).json({ error: 'Forbidden' });
     }
     
-    // Normalize the results data for backward compatibility
-    const normalizedData = normalizeParsingResults(resultsData);
+    assertCurrentVersion('parsing', resultsData);
     
-    res.json(normalizedData);
+    res.json(resultsData);
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Unfinished tasks that still read a stored result, e.g. a broadcast sending to an audience
+function findTasksUsingRecord(payloadField, id) {
+  return taskManager.list().filter((task) =>
+    !taskManager.isFinished(task) && String(task.payload?.[payloadField] ?? '') === String(id));
+}
+
+telegramRouter.delete('/parsing-results/:resultsId', (req, res) => {
+  const { resultsId } = req.params;
+  const userId = req.query.userId || req.body?.userId;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    const resultsData = getRecord('parsing', resultsId);
+    if (!resultsData) return res.status(404).json({ error: 'Results not found' });
+    if (String(resultsData.userId) !== String(userId)) return res.status(403).json({ error: 'Forbidden' });
+
+    const tasks = findTasksUsingRecord('sessionId', resultsId);
+    if (tasks.length > 0) {
+      return res.status(409).json({ error: 'The results are used by an audience parse that has not finished yet', taskIds: tasks.map((task) => task.id) });
+    }
+    deleteRecord('parsing', resultsId);
+    logger.info('Parsing results deleted', { userId, resultsId });
+    res.json({ success: true });
   } catch (e) {
+    logger.error('delete parsing-results failed', { resultsId, error: String(e?.message || e) });
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
@@ -929,65 +826,51 @@ telegramRouter.get('/audience-results', async (req, res) => {
   }
   
   try {
-    const fs = await import('fs');
-    const path = await import('path');
-    const { fileURLToPath } = await import('url');
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    const dataDir = path.resolve(__dirname, '..', 'data');
-    
-    if (!fs.existsSync(dataDir)) {
-      return res.json({ results: [] });
-    }
-    
-    const files = fs.readdirSync(dataDir);
-    const resultsFiles = files.filter(f => f.startsWith('audience_results_') && f.endsWith('.json'));
-    
+    // Summaries only: the users of each audience are not loaded
     const allResults = [];
-    for (const file of resultsFiles) {
+    for (const resultsData of listRecords('audience', { userId })) {
       try {
-        const resultsData = readJson(file, null);
-        if (resultsData && resultsData.userId === userId) {
-          const timestamp = new Date(resultsData.timestamp);
-          const dateStr = timestamp.toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric' });
-          const timeStr = timestamp.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-          
-          // Generate descriptive name based on parsing type
-          let name;
-          if (resultsData.sessionId) {
-            name = `Аудитория сессии ${dateStr} ${timeStr}`;
-            if (resultsData.channelsProcessed && resultsData.totalChannels) {
-              name += ` (${resultsData.channelsProcessed}/${resultsData.totalChannels} каналов)`;
-            }
-          } else {
-            name = `Активная аудитория ${dateStr} ${timeStr}`;
-          }
-          
-          // Add filter info to name if applicable
-          if (resultsData.participantsLimit) {
-            name += ` (лимит: ${resultsData.participantsLimit})`;
-          }
-          if (resultsData.bioKeywords && resultsData.bioKeywords.length > 0) {
-            name += ` (ключевые слова: ${resultsData.bioKeywords.join(', ')})`;
+        assertCurrentVersion('audience', resultsData);
+
+        const timestamp = new Date(resultsData.timestamp);
+        const dateStr = timestamp.toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric' });
+        const timeStr = timestamp.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        
+        // Generate descriptive name based on parsing type
+        let name;
+        if (resultsData.sessionId) {
+          name = `Аудитория сессии ${dateStr} ${timeStr}`;
+          if (resultsData.channelsProcessed && resultsData.totalChannels) {
+            name += ` (${resultsData.channelsProcessed}/${resultsData.totalChannels} каналов)`;
           }
-          
-          allResults.push({
-            id: resultsData.id,
-            name: name,
-            date: dateStr,
-            count: resultsData.count || 0,
-            timestamp: resultsData.timestamp,
-            chatId: resultsData.chatId,
-            sessionId: resultsData.sessionId || null,
-            version: resultsData.version || '1.0',
-            participantsLimit: resultsData.participantsLimit || null,
-            bioKeywords: resultsData.bioKeywords || null,
-            channelsProcessed: resultsData.channelsProcessed || null,
-            totalChannels: resultsData.totalChannels || null
-          });
+        } else {
+          name = `Активная аудитория ${dateStr} ${timeStr}`;
+        }
+        
+        // Add filter info to name if applicable
+        if (resultsData.participantsLimit) {
+          name += ` (лимит: ${resultsData.participantsLimit})`;
+        }
+        if (resultsData.bioKeywords && resultsData.bioKeywords.length > 0) {
+          name += ` (ключевые слова: ${resultsData.bioKeywords.join(', ')})`;
         }
+        
+        allResults.push({
+          id: resultsData.id,
+          name: name,
+          date: dateStr,
+          count: resultsData.count || 0,
+          timestamp: resultsData.timestamp,
+          chatId: resultsData.chatId,
+          sessionId: resultsData.sessionId || null,
+          version: resultsData.version,
+          participantsLimit: resultsData.participantsLimit || null,
+          bioKeywords: resultsData.bioKeywords || null,
+          channelsProcessed: resultsData.channelsProcessed || null,
+          totalChannels: resultsData.totalChannels || null
+        });
       } catch (e) {
-        logger.warn('Error reading audience results file', { file, error: String(e?.message || e) });
+        logger.warn('Error reading audience results', { id: resultsData.id, error: String(e?.message || e) });
       }
     }
     
@@ -1015,7 +898,7 @@ telegramRouter.get('/parsing-results/:resultsId/channels', async (req, res) => {
   }
   
   try {
-    const resultsData = readJson(`parsing_results_${resultsId}.json`, null);
+    const resultsData = getRecord('parsing', resultsId);
     
     if (!resultsData) {
       return res.status(404).json({ error: 'Results not found' });
@@ -1025,18 +908,17 @@ telegramRouter.get('/parsing-results/:resultsId/channels', async (req, res) => {
       return res.status(403).json({ error: 'Forbidden' });
     }
     
-    // Normalize the results data for backward compatibility
-    const normalizedData = normalizeParsingResults(resultsData);
+    assertCurrentVersion('parsing', resultsData);
     
     res.json({
-      id: normalizedData.id,
-      name: normalizedData.query || `Результаты поиска ${new Date(normalizedData.timestamp).toLocaleDateString('ru-RU')}`,
-      channels: normalizedData.channels,
-      count: normalizedData.channels.length,
-      timestamp: normalizedData.timestamp,
-      keywords: normalizedData.keywords,
-      enriched: normalizedData.enriched,
-      version: normalizedData.version
+      id: resultsData.id,
+      name: resultsData.query || `Результаты поиска ${new Date(resultsData.timestamp).toLocaleDateString('ru-RU')}`,
+      channels: resultsData.channels,
+      count: resultsData.channels.length,
+      timestamp: resultsData.timestamp,
+      keywords: resultsData.keywords,
+      enriched: resultsData.enriched,
+      version: resultsData.version
     });
   } catch (e) {
     logger.error('get parsing-results channels failed', { error: String(e?.message || e) });
@@ -1054,7 +936,7 @@ telegramRouter.get('/audience-results/:resultsId', async (req, res) => {
   }
   
   try {
-    const resultsData = readJson(`audience_results_${resultsId}.json`, null);
+    const resultsData = getRecord('audience', resultsId);
     
     if (!resultsData) {
       return res.status(404).json({ error: 'Results not found' });
@@ -1064,12 +946,36 @@ telegramRouter.get('/audience-results/:resultsId', async (req, res) => {
       return res.status(403).json({ error: 'Forbidden' });
     }
     
+    assertCurrentVersion('audience', resultsData);
     res.json(resultsData);
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
+telegramRouter.delete('/audience-results/:resultsId', (req, res) => {
+  const { resultsId } = req.params;
+  const userId = req.query.userId || req.body?.userId;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    const resultsData = getRecord('audience', resultsId);
+    if (!resultsData) return res.status(404).json({ error: 'Results not found' });
+    if (String(resultsData.userId) !== String(userId)) return res.status(403).json({ error: 'Forbidden' });
+
+    const tasks = findTasksUsingRecord('audienceId', resultsId);
+    if (tasks.length > 0) {
+      return res.status(409).json({ error: 'The audience is used by broadcasts that have not finished yet', taskIds: tasks.map((task) => task.id) });
+    }
+    deleteRecord('audience', resultsId);
+    logger.info('Audience results deleted', { userId, resultsId });
+    res.json({ success: true });
+  } catch (e) {
+    logger.error('delete audience-results failed', { resultsId, error: String(e?.message || e) });
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
 // Download audience result as CSV
 telegramRouter.get('/audience-results/:resultsId/download', async (req, res) => {
   const { resultsId } = req.params;
@@ -1080,7 +986,7 @@ telegramRouter.get('/audience-results/:resultsId/download', async (req, res) =>
   }
   
   try {
-    const resultsData = readJson(`audience_results_${resultsId}.json`, null);
+    const resultsData = getRecord('audience', resultsId);
     
     if (!resultsData) {
       return res.status(404).json({ error: 'Results not found' });
@@ -1090,6 +996,7 @@ telegramRouter.get('/audience-results/:resultsId/download', async (req, res) =>
       return res.status(403).json({ error: 'Forbidden' });
     }
     
+    assertCurrentVersion('audience', resultsData);
     // Генерируем CSV с разделителем точка с запятой для русской локали Excel
     const users = resultsData.users || [];
     const delimiter = ';';
@@ -1150,23 +1057,11 @@ telegramRouter.get('/audience-results/download-all', async (req, res) => {
   }
   
   try {
-    const fs = await import('fs');
-    const path = await import('path');
-    const { fileURLToPath } = await import('url');
     const archiver = await import('archiver');
     
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    const dataDir = path.resolve(__dirname, '..', 'data');
+    const resultsList = listRecords('audience', { userId, withItems: true });
     
-    if (!fs.existsSync(dataDir)) {
-      return res.status(404).json({ error: 'No results found' });
-    }
-    
-    const files = fs.readdirSync(dataDir);
-    const resultsFiles = files.filter(f => f.startsWith('audience_results_') && f.endsWith('.json'));
-    
-    if (resultsFiles.length === 0) {
+    if (resultsList.length === 0) {
       return res.status(404).json({ error: 'No results found' });
     }
     
@@ -1179,70 +1074,68 @@ telegramRouter.get('/audience-results/download-all', async (req, res) => {
     archive.pipe(res);
     
     // Добавляем каждый файл результатов в архив как CSV
-    for (const file of resultsFiles) {
+    for (const resultsData of resultsList) {
       try {
-        const resultsData = readJson(file, null);
-        if (resultsData && resultsData.userId === userId) {
-          const users = resultsData.users || [];
-          const delimiter = ';';
-          
-          // Enhanced CSV header with new fields
-          const csvHeader = [
-            'ID',
-            'Username', 
-            'Имя',
-            'Фамилия',
-            'Полное имя',
-            'Телефон',
-            'Био',
-            'Источник канал'
-          ].join(delimiter) + '\n';
-          
-          const csvRows = users.map(u => {
-            const id = (u.id || '').replace(/"/g, '""');
-            const username = (u.username || '').replace(/"/g, '""');
-            const firstName = (u.firstName || '').replace(/"/g, '""');
-            const lastName = (u.lastName || '').replace(/"/g, '""');
-            const fullName = (u.fullName || `${firstName} ${lastName}`.trim()).replace(/"/g, '""');
-            const phone = (u.phone || '').replace(/"/g, '""');
-            const bio = (u.bio || '').replace(/"/g, '""');
-            const sourceChannel = u.sourceChannel 
-              ? `${u.sourceChannel.title}${u.sourceChannel.username ? ` (@${u.sourceChannel.username})` : ''}`
-              : ''.replace(/"/g, '""');
-            
-            return [
-              id,
-              username,
-              firstName,
-              lastName,
-              fullName,
-              phone,
-              bio,
-              sourceChannel
-            ].join(delimiter);
-          }).join('\n');
-          
-          const csv = '\ufeff' + csvHeader + csvRows;
-          
-          // Формируем имя файла
-          const timestamp = new Date(resultsData.timestamp);
-          const dateStr = timestamp.toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric' });
-          const timeStr = timestamp.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-          
-          const baseName = `Активная аудитория ${dateStr} ${timeStr}`;
-          
-          // Очищаем имя файла от недопустимых символов
-          const sanitizedFilename = baseName
-            .replace(/[<>:"/\\|?*]/g, '_')
-            .replace(/\s+/g, ' ')
-            .trim();
-          
-          const filename = `${sanitizedFilename}.csv`;
+        assertCurrentVersion('audience', resultsData);
+        const users = resultsData.users || [];
+        const delimiter = ';';
+        
+        // Enhanced CSV header with new fields
+        const csvHeader = [
+          'ID',
+          'Username', 
+          'Имя',
+          'Фамилия',
+          'Полное имя',
+          'Телефон',
+          'Био',
+          'Источник канал'
+        ].join(delimiter) + '\n';
+        
+        const csvRows = users.map(u => {
+          const id = (u.id || '').replace(/"/g, '""');
+          const username = (u.username || '').replace(/"/g, '""');
+          const firstName = (u.firstName || '').replace(/"/g, '""');
+          const lastName = (u.lastName || '').replace(/"/g, '""');
+          const fullName = (u.fullName || `${firstName} ${lastName}`.trim()).replace(/"/g, '""');
+          const phone = (u.phone || '').replace(/"/g, '""');
+          const bio = (u.bio || '').replace(/"/g, '""');
+          const sourceChannel = u.sourceChannel 
+            ? `${u.sourceChannel.title}${u.sourceChannel.username ? ` (@${u.sourceChannel.username})` : ''}`
+            : ''.replace(/"/g, '""');
           
-          archive.append(csv, { name: filename });
-        }
+          return [
+            id,
+            username,
+            firstName,
+            lastName,
+            fullName,
+            phone,
+            bio,
+            sourceChannel
+          ].join(delimiter);
+        }).join('\n');
+        
+        const csv = '\ufeff' + csvHeader + csvRows;
+        
+        // Формируем имя файла
+        const timestamp = new Date(resultsData.timestamp);
+        const dateStr = timestamp.toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric' });
+        const timeStr = timestamp.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        
+        const baseName = `Активная аудитория ${dateStr} ${timeStr}`;
+        
+        // Очищаем имя файла от недопустимых символов
+        const sanitizedFilename = baseName
+          .replace(/[<>:"/\\|?*]/g, '_')
+          .replace(/\s+/g, ' ')
+          .trim();
+        
+        const filename = `${sanitizedFilename}.csv`;
+        
+        archive.append(csv, { name: filename });
       } catch (e) {
-        logger.warn('Error processing file for download-all', { file, error: String(e?.message || e) });
+        logger.warn('Error processing results for download-all', { id: resultsData.id, error: String(e?.message || e) });
       }
     }
     
@@ -1291,16 +1184,347 @@ telegramRouter.post('/parse', (req, res) => {
   res.json({ taskId: task.id });
 });
 
+/**
+ * Validates broadcast fields shared by immediate, scheduled and edited broadcasts
+ * @returns {string|null} Error message or null when the payload is valid
+ */
+function validateBroadcastPayload({ audienceId, mode, manualRecipients, message, forwardFrom, delaySeconds }) {
+  // A forwarded post is the whole message
+  if (!forwardFrom && (!message || !message.trim())) {
+    return 'message required';
+  }
+  if (!mode || (mode !== 'dm' && mode !== 'chat')) {
+    return 'mode must be "dm" or "chat"';
+  }
+  try {
+    parseTemplate(message || '');
+  } catch (error) {
+    return `Invalid message template: ${error.message}`;
+  }
+  if (!audienceId && (!manualRecipients || manualRecipients.length === 0)) {
+    return 'At least one recipient source required (audienceId or manualRecipients)';
+  }
+  if (Number(delaySeconds) < 1) {
+    return 'delaySeconds must be at least 1 second';
+  }
+  return null;
+}
+
+/**
+ * Reads a stored audience for a broadcast
+ * @param {string} audienceId - Audience results ID
+ * @returns {Promise<Object>} audience_results data with `users`
+ * @throws {Error} When the audience is missing, malformed or not migrated to the current schema
+ */
+async function loadBroadcastAudience(audienceId) {
+  const audienceData = getRecord('audience', audienceId);
+  if (!audienceData) {
+    throw new Error(`Audience file not found for ID: ${audienceId}`);
+  }
+  assertCurrentVersion('audience', audienceData);
+  if (!audienceData.users) {
+    throw new Error(`Invalid audience data for ID: ${audienceId}`);
+  }
+  
+  return audienceData;
+}
+
+/**
+ * Builds the recipient list of a broadcast: audience users and manual recipients in dm mode,
+ * the audience's deduplicated source channels and manual channels in chat mode
+ * @param {string} mode - 'dm' or 'chat'
+ * @param {Array} audienceUsers - Users of the selected audience
+ * @param {Array} manualRecipients - Usernames/IDs or objects with peer metadata
+ * @returns {Array}
+ */
+function buildBroadcastRecipients(mode, audienceUsers, manualRecipients) {
+  let recipients = [];
+  
+  if (mode === 'dm') {
+    // DM mode: use audience users and manual recipients (individual users)
+    recipients = [...audienceUsers];
+    
+    // Add manual recipients
+    for (const manualRecipient of manualRecipients) {
+      if (typeof manualRecipient === 'string') {
+        // String: username or user ID
+        recipients.push({
+          id: manualRecipient,
+          username: manualRecipient.startsWith('@') ? manualRecipient.slice(1) : manualRecipient,
+          firstName: '',
+          lastName: '',
+          fullName: manualRecipient
+        });
+      } else if (typeof manualRecipient === 'object' && manualRecipient.id) {
+        // Object: user object with peer metadata
+        recipients.push(manualRecipient);
+      }
+    }
+  } else if (mode === 'chat') {
+    // Chat mode: use source channels from audience (deduplicated)
+    const channelPeers = new Map();
+    
+    for (const user of audienceUsers) {
+      if (user.sourceChannel && user.sourceChannel.peer) {
+        const channelId = user.sourceChannel.peer.id;
+        if (!channelPeers.has(channelId)) {
+          channelPeers.set(channelId, {
+            id: channelId,
+            title: user.sourceChannel.title || 'Unknown',
+            username: user.sourceChannel.username,
+            peer: user.sourceChannel.peer
+          });
+        }
+      }
+    }
+    
+    recipients = Array.from(channelPeers.values());
+    
+    // Add manual recipients (should be channel identifiers)
+    for (const manualRecipient of manualRecipients) {
+      if (typeof manualRecipient === 'string') {
+        // String: channel username or ID
+        recipients.push({
+          id: manualRecipient,
+          username: manualRecipient.startsWith('@') ? manualRecipient.slice(1) : manualRecipient,
+          title: manualRecipient
+        });
+      } else if (typeof manualRecipient === 'object' && manualRecipient.id) {
+        // Object: channel object with peer metadata
+        recipients.push(manualRecipient);
+      }
+    }
+    
+    logger.info('[BROADCAST] Chat mode: deduplicated source channels', {
+      uniqueChannels: recipients.length
+    });
+  }
+  
+  return recipients;
+}
+
+/**
+ * Validates the cross-campaign frequency cap: at most `maxMessages` DMs per recipient in `periodDays`
+ * @returns {{ frequencyCap?: Object|null, error?: string }}
+ */
+function parseFrequencyCap(value) {
+  if (!value) {
+    return { frequencyCap: null };
+  }
+  const maxMessages = Number(value.maxMessages);
+  const periodDays = Number(value.periodDays);
+  if (!Number.isInteger(maxMessages) || maxMessages < 1 || !(periodDays > 0)) {
+    return { error: 'frequencyCap must be { maxMessages: integer >= 1, periodDays: number > 0 }' };
+  }
+  return { frequencyCap: { maxMessages, periodDays } };
+}
+
+/**
+ * Renders a compiled template for one recipient and formats it for GramJS
+ * @returns {{ text: string, message: string, parseMode: string|false }} Rendered text and what is sent
+ */
+function renderBroadcastMessage(render, context, parseMode) {
+  // Recipient fields must not break the markup or turn into formatting
+  const escape = parseMode === 'html' ? escapeHtml : parseMode === 'plain' ? undefined : escapeMarkdown;
+  const text = render(context, { escape });
+  return { text, ...formatMessage(text, parseMode) };
+}
+
+/**
+ * Validates A/B message variants; the first variant doubles as the broadcast's `message`
+ * @returns {{ variants?: Array|null, error?: string }}
+ */
+function parseBroadcastVariants(value) {
+  try {
+    return { variants: normalizeVariants(value) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Fills a media library reference with the details of the user's library entry
+function resolveMediaAttachment(userId, attachment) {
+  if (!attachment?.mediaId) return attachment;
+  const asset = getMediaAsset(userId, attachment.mediaId);
+  if (!asset) {
+    throw new Error(`Media ${attachment.mediaId} not found`);
+  }
+  return { type: asset.type, fileName: asset.fileName, mimeType: asset.mimeType, ...attachment, size: asset.size };
+}
+
+/**
+ * Validates broadcast attachments; a legacy `imageBase64` or a top-level `mediaId`
+ * is turned into a single attachment
+ * @param {Array} value - Attachments from the request
+ * @param {Object} options - { userId, mediaId, imageBase64, requireData }
+ * @returns {{ attachments?: Array, error?: string }}
+ */
+function parseBroadcastAttachments(value, { userId, mediaId, ...options } = {}) {
+  try {
+    const input = mediaId && !(Array.isArray(value) && value.length > 0) ? [{ mediaId }] : value;
+    const items = Array.isArray(input) ? input.map((attachment) => resolveMediaAttachment(userId, attachment)) : input;
+    return { attachments: normalizeAttachments(items, options) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Validates the channel post a broadcast forwards instead of its own message
+ * @param {string|Object} value - t.me post link or { peer, messageId }
+ * @param {string} mode - 'forward' or 'copy'
+ * @returns {{ forwardFrom?: Object|null, error?: string }}
+ */
+function parseForwardFrom(value, mode) {
+  if (!value) {
+    return { forwardFrom: null };
+  }
+  try {
+    return { forwardFrom: normalizeForwardSource(value, mode || 'forward') };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Resolves `scheduledAt` + `timezone` from a request into a future Date
+ * @returns {{ runAt?: Date, error?: string }}
+ */
+function parseBroadcastSchedule(scheduledAt, timezone) {
+  let runAt;
+  try {
+    runAt = resolveScheduledAt(scheduledAt, timezone || 'UTC');
+  } catch (error) {
+    return { error: error.message };
+  }
+  if (runAt.getTime() <= Date.now()) {
+    return { error: 'scheduledAt must be in the future' };
+  }
+  return { runAt };
+}
+
+function toScheduledBroadcast(task) {
+  const { imageBase64, attachments, ...payload } = task.payload || {};
+  const { attachments: media = [] } = parseBroadcastAttachments(attachments, { userId: task.userId, imageBase64 });
+  return {
+    taskId: task.id,
+    historyId: payload.historyId,
+    scheduledAt: task.scheduledAt,
+    scheduledAtLocal: payload.scheduledAtLocal || task.scheduledAt,
+    timezone: payload.timezone || 'UTC',
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt,
+    audienceId: payload.audienceId || null,
+    mode: payload.mode,
+    manualRecipients: payload.manualRecipients || [],
+    message: payload.message,
+    hasImage: media.length > 0,
+    attachments: describeAttachments(media),
+    maxRecipients: payload.maxRecipients,
+    delaySeconds: payload.delaySeconds,
+    frequencyCap: payload.frequencyCap || null,
+    variants: payload.variants || null,
+    templateId: payload.templateId || null,
+    templateVersion: payload.templateVersion || null,
+    parseMode: payload.parseMode || 'markdown',
+    linkPreview: payload.linkPreview ?? true,
+    silent: !!payload.silent
+  };
+}
+
+// Saved message templates: text, parse mode, media and tags, versioned on every content change
+telegramRouter.get('/message-templates', (req, res) => {
+  const { userId, tag } = req.query || {};
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.json({ templates: listSavedTemplates(userId, { tag }) });
+});
+
+telegramRouter.post('/message-templates', (req, res) => {
+  const { userId, ...input } = req.body || {};
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    res.json({ template: createSavedTemplate(userId, input) });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+function getOwnSavedTemplate(req, res, userId, templateId = req.params.id) {
+  if (!userId) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+  const template = getSavedTemplate(templateId);
+  if (!template || String(template.userId) !== String(userId)) {
+    res.status(404).json({ error: 'Message template not found' });
+    return null;
+  }
+  return template;
+}
+
+// `?version=N` returns the content of that version, e.g. the one a broadcast was sent with
+telegramRouter.get('/message-templates/:id', (req, res) => {
+  const template = getOwnSavedTemplate(req, res, req.query.userId);
+  if (!template) return;
+
+  if (req.query.version !== undefined) {
+    const version = getSavedTemplateVersion(template, req.query.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+    return res.json({ template: { ...template, ...version } });
+  }
+  res.json({ template });
+});
+
+telegramRouter.patch('/message-templates/:id', (req, res) => {
+  const { userId, ...input } = req.body || {};
+  const template = getOwnSavedTemplate(req, res, userId || req.query.userId);
+  if (!template) return;
+
+  try {
+    res.json({ template: updateSavedTemplate(template.id, input) });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+telegramRouter.delete('/message-templates/:id', (req, res) => {
+  const template = getOwnSavedTemplate(req, res, req.query.userId || req.body?.userId);
+  if (!template) return;
+
+  deleteSavedTemplate(template.id);
+  res.json({ success: true });
+});
+
 // Background broadcast job
 telegramRouter.post('/broadcast', (req, res) => {
   const { 
     audienceId, 
     mode, 
     manualRecipients = [], 
-    message, 
+    message: messageInput, 
     imageBase64, 
+    mediaId,
+    attachments: attachmentsInput,
     maxRecipients, 
     delaySeconds = 2,
+    frequencyCap: frequencyCapInput,
+    variants: variantsInput,
+    templateId,
+    scheduledAt,
+    timezone,
+    dryRun = false,
+    forwardFrom: forwardFromInput,
+    forwardMode,
     userId 
   } = req.body || {};
   
@@ -1308,26 +1532,37 @@ telegramRouter.post('/broadcast', (req, res) => {
   if (!userId) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
-  
-  // Validate message
-  if (!message || !message.trim()) {
-    return res.status(400).json({ error: 'message required' });
+
+  if (dryRun && scheduledAt) {
+    return res.status(400).json({ error: 'A dry run cannot be scheduled' });
+  }
+
+  // A saved template fills in whatever the request leaves out
+  let template = null;
+  if (templateId) {
+    template = getOwnSavedTemplate(req, res, userId, templateId);
+    if (!template) return;
   }
   
-  // Validate mode
-  if (!mode || (mode !== 'dm' && mode !== 'chat')) {
-    return res.status(400).json({ error: 'mode must be "dm" or "chat"' });
+  const { forwardFrom, error: forwardFromError } = parseForwardFrom(forwardFromInput, forwardMode);
+  if (forwardFromError) {
+    return res.status(400).json({ error: forwardFromError });
+  }
+  // The post is sent as it is: no text, variants or files of our own
+  if (forwardFrom && (messageInput || variantsInput || template || attachmentsInput?.length || imageBase64 || mediaId)) {
+    return res.status(400).json({ error: 'forwardFrom cannot be combined with message, variants, templateId or attachments' });
   }
   
-  // Validate at least one recipient source
-  if (!audienceId && (!manualRecipients || manualRecipients.length === 0)) {
-    return res.status(400).json({ error: 'At least one recipient source required (audienceId or manualRecipients)' });
+  const { variants, error: variantsError } = parseBroadcastVariants(variantsInput);
+  if (variantsError) {
+    return res.status(400).json({ error: variantsError });
   }
+  const message = variants ? variants[0].message : messageInput || template?.body || '';
   
-  // Validate delay (must be >= 1s)
   const delay = Number(delaySeconds) || 2;
-  if (delay < 1) {
-    return res.status(400).json({ error: 'delaySeconds must be at least 1 second' });
+  const validationError = validateBroadcastPayload({ audienceId, mode, manualRecipients, message, forwardFrom, delaySeconds: delay });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
   }
   
   // Warn if delay is less than 2 seconds (rate limit risk)
@@ -1337,24 +1572,259 @@ telegramRouter.post('/broadcast', (req, res) => {
       userId 
     });
   }
+
+  const { frequencyCap, error: frequencyCapError } = parseFrequencyCap(frequencyCapInput);
+  if (frequencyCapError) {
+    return res.status(400).json({ error: frequencyCapError });
+  }
+
+  const { formatting, error: formattingError } = parseFormattingOptions({
+    ...req.body,
+    parseMode: req.body.parseMode ?? template?.parseMode
+  });
+  if (formattingError) {
+    return res.status(400).json({ error: formattingError });
+  }
+
+  const ownMedia = attachmentsInput !== undefined || imageBase64 || mediaId;
+  const { attachments, error: attachmentsError } = parseBroadcastAttachments(
+    ownMedia || !template ? attachmentsInput : template.mediaIds.map((id) => ({ mediaId: id })),
+    { userId, mediaId, imageBase64 }
+  );
+  if (attachmentsError) {
+    return res.status(400).json({ error: attachmentsError });
+  }
+
+  let runAt = null;
+  if (scheduledAt) {
+    const schedule = parseBroadcastSchedule(scheduledAt, timezone);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+    runAt = schedule.runAt;
+  }
   
   const historyId = generateBroadcastHistoryId(userId);
-  const historyCreatedAt = new Date().toISOString();
-  
-  const task = taskManager.enqueue('broadcast', {
+  const payload = {
     audienceId,
     mode,
     manualRecipients: Array.isArray(manualRecipients) ? manualRecipients : [],
     message,
-    imageBase64,
+    attachments,
     maxRecipients: maxRecipients ? Number(maxRecipients) : null,
     delaySeconds: delay,
+    frequencyCap,
+    variants,
+    ...formatting,
+    templateId: template?.id || null,
+    templateVersion: template?.version || null,
+    templateTitle: template?.title || null,
+    dryRun: dryRun === true,
+    forwardFrom,
     userId,
     historyId,
-    historyCreatedAt
-  });
+    historyCreatedAt: (runAt || new Date()).toISOString()
+  };
+
+  if (runAt) {
+    const task = taskManager.schedule('broadcast', { ...payload, scheduledAtLocal: scheduledAt, timezone: timezone || 'UTC' }, runAt);
+    return res.json({ taskId: task.id, historyId, status: task.status, scheduledAt: task.scheduledAt });
+  }
+  
+  const task = taskManager.enqueue('broadcast', payload);
   
-  res.json({ taskId: task.id, historyId });
+  res.json({ taskId: task.id, historyId, dryRun: payload.dryRun });
+});
+
+// Renders the message template for the first recipients of a broadcast without sending anything
+telegramRouter.post('/broadcast/preview', async (req, res) => {
+  const {
+    audienceId,
+    mode = 'dm',
+    manualRecipients = [],
+    message,
+    attachments: attachmentsInput,
+    limit = 5,
+    userId
+  } = req.body || {};
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { formatting, error: formattingError } = parseFormattingOptions(req.body);
+  if (formattingError) {
+    return res.status(400).json({ error: formattingError });
+  }
+
+  // Files are not needed to preview captions
+  const { attachments, error: attachmentsError } = parseBroadcastAttachments(attachmentsInput, { userId, requireData: false });
+  if (attachmentsError) {
+    return res.status(400).json({ error: attachmentsError });
+  }
+
+  const recipientsInput = Array.isArray(manualRecipients) ? manualRecipients : [];
+  const validationError = validateBroadcastPayload({ audienceId, mode, manualRecipients: recipientsInput, message });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    let audienceUsers = [];
+    if (audienceId) {
+      try {
+        audienceUsers = (await loadBroadcastAudience(audienceId)).users || [];
+      } catch (e) {
+        return res.status(404).json({ error: String(e?.message || e) });
+      }
+    }
+
+    const recipients = buildBroadcastRecipients(mode, audienceUsers, recipientsInput);
+    const count = Math.min(Math.max(Number(limit) || 5, 1), 20);
+    const renderMessage = compileTemplate(message);
+    const captionRenderers = attachments.map((attachment) => compileTemplate(attachment.caption));
+    // What the recipient sees, as Telegram HTML
+    const toHtml = (rendered) => (rendered.parseMode ? rendered.message : escapeHtml(rendered.message));
+    const previews = recipients.slice(0, count).map((recipient) => {
+      const context = buildTemplateContext(recipient, mode);
+      const rendered = renderBroadcastMessage(renderMessage, context, formatting.parseMode);
+      return {
+        recipient: { id: recipient.id, username: recipient.username || null, name: context.name },
+        message: rendered.text,
+        html: toHtml(rendered),
+        attachments: attachments.map((attachment, index) => {
+          const caption = renderBroadcastMessage(captionRenderers[index], context, formatting.parseMode);
+          return { type: attachment.type, fileName: attachment.fileName, caption: caption.text, html: toHtml(caption) };
+        }),
+        suppressed: mode === 'dm' && !!findSuppression(userId, recipient)
+      };
+    });
+
+    res.json({ total: recipients.length, previews });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Scheduled broadcasts that have not fired yet
+telegramRouter.get('/broadcast/scheduled', (req, res) => {
+  const { userId } = req.query || {};
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const tasks = taskManager.listScheduled('broadcast', userId);
+  res.json({ scheduled: tasks.map(toScheduledBroadcast) });
+});
+
+function getOwnScheduledBroadcast(req, res, userId) {
+  if (!userId) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+  const task = taskManager.get(req.params.taskId);
+  if (!task || task.type !== 'broadcast' || String(task.userId) !== String(userId)) {
+    res.status(404).json({ error: 'Scheduled broadcast not found' });
+    return null;
+  }
+  if (task.status !== 'scheduled') {
+    res.status(409).json({ error: `Broadcast is already ${task.status} and can no longer be changed`, status: task.status });
+    return null;
+  }
+  return task;
+}
+
+telegramRouter.patch('/broadcast/scheduled/:taskId', (req, res) => {
+  const body = req.body || {};
+  const task = getOwnScheduledBroadcast(req, res, body.userId || req.query.userId);
+  if (!task) return;
+
+  const changes = {};
+  for (const field of ['audienceId', 'mode', 'manualRecipients', 'message']) {
+    if (body[field] !== undefined) changes[field] = body[field];
+  }
+  if (body.maxRecipients !== undefined) {
+    changes.maxRecipients = body.maxRecipients ? Number(body.maxRecipients) : null;
+  }
+  if (body.delaySeconds !== undefined) {
+    changes.delaySeconds = Number(body.delaySeconds) || 2;
+  }
+  if (changes.manualRecipients !== undefined && !Array.isArray(changes.manualRecipients)) {
+    changes.manualRecipients = [];
+  }
+  if (body.frequencyCap !== undefined) {
+    const { frequencyCap, error: frequencyCapError } = parseFrequencyCap(body.frequencyCap);
+    if (frequencyCapError) {
+      return res.status(400).json({ error: frequencyCapError });
+    }
+    changes.frequencyCap = frequencyCap;
+  }
+  if (body.variants !== undefined) {
+    const { variants, error: variantsError } = parseBroadcastVariants(body.variants);
+    if (variantsError) {
+      return res.status(400).json({ error: variantsError });
+    }
+    changes.variants = variants;
+    if (variants) changes.message = variants[0].message;
+  }
+  if (body.attachments !== undefined || body.imageBase64 !== undefined || body.mediaId !== undefined) {
+    const { attachments, error: attachmentsError } = parseBroadcastAttachments(body.attachments, {
+      userId: task.userId,
+      mediaId: body.mediaId,
+      imageBase64: body.imageBase64
+    });
+    if (attachmentsError) {
+      return res.status(400).json({ error: attachmentsError });
+    }
+    changes.attachments = attachments;
+    changes.imageBase64 = null;
+  }
+  if (body.parseMode !== undefined || body.linkPreview !== undefined || body.silent !== undefined) {
+    const { formatting, error: formattingError } = parseFormattingOptions({
+      parseMode: body.parseMode ?? task.payload.parseMode,
+      linkPreview: body.linkPreview ?? task.payload.linkPreview,
+      silent: body.silent ?? task.payload.silent
+    });
+    if (formattingError) {
+      return res.status(400).json({ error: formattingError });
+    }
+    Object.assign(changes, formatting);
+  }
+
+  const validationError = validateBroadcastPayload({ ...task.payload, ...changes });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  let runAt;
+  if (body.scheduledAt || body.timezone) {
+    const timezone = body.timezone || task.payload.timezone || 'UTC';
+    // Changing only the timezone keeps the wall-clock time the user picked
+    const scheduledAt = body.scheduledAt || task.payload.scheduledAtLocal || task.scheduledAt;
+    const schedule = parseBroadcastSchedule(scheduledAt, timezone);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+    runAt = schedule.runAt;
+    changes.scheduledAtLocal = scheduledAt;
+    changes.timezone = timezone;
+    changes.historyCreatedAt = runAt.toISOString();
+  }
+
+  const updated = taskManager.reschedule(task.id, { payload: changes, runAt });
+  if (!updated) {
+    return res.status(409).json({ error: 'Broadcast has already started', status: taskManager.get(task.id)?.status });
+  }
+  res.json({ scheduled: toScheduledBroadcast(updated) });
+});
+
+telegramRouter.delete('/broadcast/scheduled/:taskId', (req, res) => {
+  const task = getOwnScheduledBroadcast(req, res, req.query.userId || req.body?.userId);
+  if (!task) return;
+
+  taskManager.cancel(task.id);
+  res.json({ taskId: task.id, status: taskManager.get(task.id)?.status });
 });
 
 telegramRouter.get('/broadcast-history', (req, res) => {
@@ -1379,6 +1849,123 @@ telegramRouter.get('/broadcast-history', (req, res) => {
   }
 });
 
+// Do-not-contact list: broadcasts skip these people and log them as `suppressed`
+telegramRouter.get('/suppression', (req, res) => {
+  const { userId } = req.query || {};
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.json({ entries: listSuppressed(String(userId)) });
+});
+
+telegramRouter.post('/suppression', (req, res) => {
+  const { userId, entries, reason } = req.body || {};
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return res.status(400).json({ error: 'entries required: usernames, user IDs or { id, username, reason } objects' });
+  }
+
+  const items = entries.map((entry) => (typeof entry === 'object' && entry !== null
+    ? { ...entry, reason: entry.reason || reason }
+    : { id: String(entry), reason }));
+  const added = addSuppressed(String(userId), items, 'manual');
+  res.json({ added, entries: listSuppressed(String(userId)) });
+});
+
+telegramRouter.delete('/suppression/:key', (req, res) => {
+  const userId = req.query.userId || req.body?.userId;
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!removeSuppressed(String(userId), req.params.key)) {
+    return res.status(404).json({ error: 'Suppression entry not found' });
+  }
+  res.json({ success: true });
+});
+
+// Send the broadcast again to the recipients it failed for
+telegramRouter.post('/broadcast-history/:id/retry', (req, res) => {
+  const { userId, excludeErrors = [], delaySeconds } = req.body || {};
+  const { id } = req.params;
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const history = getBroadcastHistoryById(id);
+    if (!history || String(history.userId) !== String(userId)) {
+      return res.status(404).json({ error: 'Broadcast history not found' });
+    }
+    // Nothing was sent, a retry would be the first real send to these recipients
+    if (history.dryRun) {
+      return res.status(409).json({ error: 'A dry run cannot be retried' });
+    }
+
+    const activeRetry = history.retries.find((retry) => {
+      const retryTask = taskManager.get(retry.taskId);
+      return retryTask && !taskManager.isFinished(retryTask) && retryTask.status !== 'interrupted';
+    });
+    if (activeRetry) {
+      return res.status(409).json({ error: 'A retry of this broadcast is already in progress', taskId: activeRetry.taskId });
+    }
+
+    const deliveries = getRetryableDeliveries(history, Array.isArray(excludeErrors) ? excludeErrors : [excludeErrors]);
+    if (deliveries.length === 0) {
+      return res.status(400).json({ error: 'No failed recipients to retry' });
+    }
+
+    // Files are not kept in history, only in the original task while it is still stored
+    const originalPayload = taskManager.get(history.taskId)?.payload || {};
+    if (history.hasImage && !originalPayload.imageBase64 && !originalPayload.attachments?.length) {
+      return res.status(409).json({ error: 'The original attachments are no longer available, create a new broadcast instead' });
+    }
+
+    const historyId = generateBroadcastHistoryId(userId);
+    const historyCreatedAt = new Date().toISOString();
+    const task = taskManager.enqueue('broadcast', {
+      audienceId: history.audienceId,
+      mode: history.mode,
+      manualRecipients: Array.isArray(originalPayload.manualRecipients) ? originalPayload.manualRecipients : [],
+      message: history.message,
+      attachments: originalPayload.attachments,
+      imageBase64: originalPayload.imageBase64,
+      maxRecipients: null,
+      delaySeconds: Number(delaySeconds) || history.delaySeconds || 2,
+      frequencyCap: history.frequencyCap || null,
+      // Recipients stay on the variant they were assigned in the original broadcast
+      variants: history.variants.length > 0 ? history.variants : null,
+      parseMode: history.parseMode,
+      linkPreview: history.linkPreview,
+      silent: history.silent,
+      templateId: history.templateId,
+      templateVersion: history.templateVersion,
+      templateTitle: history.templateTitle,
+      forwardFrom: history.forwardFrom,
+      userId,
+      historyId,
+      historyCreatedAt,
+      retryOf: history.id,
+      retryRecipients: deliveries.map((entry) => ({ ...(entry.recipient || {}), variant: entry.variant }))
+    });
+
+    linkBroadcastRetry(history.id, { historyId, taskId: task.id, createdAt: historyCreatedAt, recipients: deliveries.length });
+    logger.info('Broadcast retry enqueued', { originalId: history.id, historyId, recipients: deliveries.length });
+
+    res.json({ taskId: task.id, historyId, retryOf: history.id, recipients: deliveries.length });
+  } catch (e) {
+    logger.error('retry broadcast failed', { error: String(e?.message || e) });
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
 telegramRouter.get('/broadcast-history/:id/download', (req, res) => {
   const { userId } = req.query || {};
   const { id } = req.params;
@@ -1393,7 +1980,8 @@ telegramRouter.get('/broadcast-history/:id/download', (req, res) => {
       return res.status(404).json({ error: 'Broadcast history not found' });
     }
 
-    const header = ['Recipient', 'Type', 'Status', 'Sent At', 'Error'];
+    const hasVariants = history.variants.length > 0;
+    const header = ['Recipient', 'Type', 'Status', 'Sent At', 'Error', 'Replied At', ...(hasVariants ? ['Variant'] : [])];
     const rows = [header.map((value) => escapeCsvValue(value)).join(',')];
 
     const deliveryLog = Array.isArray(history.deliveryLog) ? history.deliveryLog : [];
@@ -1408,11 +1996,41 @@ telegramRouter.get('/broadcast-history/:id/download', (req, res) => {
         recipient.type || defaultType,
         entry.status || 'unknown',
         entry.timestamp || '',
-        entry.error || ''
+        // Skipped recipients carry the reason instead of an error
+        entry.error || entry.reason || '',
+        entry.repliedAt || '',
+        ...(hasVariants ? [entry.variant || ''] : [])
       ];
       rows.push(row.map((value) => escapeCsvValue(value)).join(','));
     }
 
+    // Totals below the table, including recipients skipped by the suppression list and frequency cap
+    const { summary } = history;
+    rows.push('');
+    for (const [label, value] of [
+      ['Total', summary.total],
+      ['Success', summary.success],
+      ['Failed', summary.failed],
+      ['Suppressed', summary.suppressed],
+      ['Capped', summary.capped],
+      ['Not sent', summary.notSent],
+      ['Replied', summary.replied],
+      ['Reply rate', summary.replyRate]
+    ]) {
+      rows.push([label, value].map((cell) => escapeCsvValue(cell)).join(','));
+    }
+
+    // A/B broadcast: one results row per variant
+    if (hasVariants) {
+      rows.push('');
+      rows.push(['Variant', 'Weight', 'Total', 'Success', 'Failed', 'Suppressed', 'Capped', 'Replied', 'Success rate', 'Reply rate', 'Message']
+        .map((cell) => escapeCsvValue(cell)).join(','));
+      for (const stats of history.variantStats) {
+        rows.push([stats.id, stats.weight, stats.total, stats.success, stats.failed, stats.suppressed, stats.capped, stats.replied, stats.successRate, stats.replyRate, stats.messagePreview]
+          .map((cell) => escapeCsvValue(cell)).join(','));
+      }
+    }
+
     const csvContent = rows.join('\n');
     const filenameTimestamp = formatTimestampForFilename(history.createdAt || history.timestamp);
     const filename = `broadcast_${filenameTimestamp}.csv`;
@@ -1428,7 +2046,7 @@ telegramRouter.get('/broadcast-history/:id/download', (req, res) => {
 });
 
 telegramRouter.get('/broadcast-history/:id', (req, res) => {
-  const { userId } = req.query || {};
+  const { userId, replied } = req.query || {};
   const { id } = req.params;
 
   if (!userId) {
@@ -1441,6 +2059,13 @@ telegramRouter.get('/broadcast-history/:id', (req, res) => {
       return res.status(404).json({ error: 'Broadcast history not found' });
     }
 
+    // replied=true: recipients who answered; replied=false: delivered but no answer yet
+    if (replied === 'true' || replied === 'false') {
+      const wantReplied = replied === 'true';
+      history.deliveryLog = history.deliveryLog.filter((entry) =>
+        entry.status === 'success' && !!entry.repliedAt === wantReplied);
+    }
+
     res.json(history);
   } catch (e) {
     logger.error('get broadcast-history detail failed', { error: String(e?.message || e) });
@@ -1448,6 +2073,30 @@ telegramRouter.get('/broadcast-history/:id', (req, res) => {
   }
 });
 
+telegramRouter.delete('/broadcast-history/:id', (req, res) => {
+  const { id } = req.params;
+  const userId = req.query.userId || req.body?.userId;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    const history = getRecord('broadcast', id);
+    if (!history || String(history.userId) !== String(userId)) {
+      return res.status(404).json({ error: 'Broadcast history not found' });
+    }
+
+    const tasks = findTasksUsingRecord('historyId', id);
+    if (tasks.length > 0) {
+      return res.status(409).json({ error: 'The broadcast has not finished yet', taskIds: tasks.map((task) => task.id) });
+    }
+    deleteBroadcastHistory(id);
+    logger.info('Broadcast history deleted', { userId, historyId: id });
+    res.json({ success: true });
+  } catch (e) {
+    logger.error('delete broadcast-history failed', { historyId: id, error: String(e?.message || e) });
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
 // Get broadcast history list
 telegramRouter.get('/broadcast-history', async (req, res) => {
   const { userId } = req.query;
@@ -1543,15 +2192,33 @@ telegramRouter.get('/broadcast-history/:id/download', async (req, res) => {
  * @param {Array} users - Array of user objects to enrich
  * @param {Map} userCache - Cache for already fetched user profiles
  * @param {Function} progressCallback - Optional callback to report progress (currentIndex, total)
+ * @param {AbortSignal} signal - Optional task abort signal; remaining users are kept unenriched once aborted
  * @returns {Promise<Array>} - Array of enriched user objects
  */
-async function enrichUsersWithFullProfile(tg, users, userCache = new Map(), progressCallback = null) {
+async function enrichUsersWithFullProfile(tg, users, userCache = new Map(), progressCallback = null, signal = null) {
   const enrichedUsers = [];
   const total = users.length;
   
   for (let i = 0; i < users.length; i++) {
     const user = users[i];
     
+    if (signal?.aborted) {
+      logger.info('Enrichment aborted, keeping remaining users unenriched', {
+        enriched: i,
+        remaining: total - i
+      });
+      for (const rest of users.slice(i)) {
+        enrichedUsers.push({
+          ...rest,
+          phone: null,
+          bio: null,
+          fullName: `${rest.firstName || ''} ${rest.lastName || ''}`.trim(),
+          peer: extractUserPeerMetadata(rest)
+        });
+      }
+      break;
+    }
+    
     try {
       const userId = user.id?.value || user.id;
       const userIdString = typeof userId === 'bigint' ? String(userId) : String(userId);
@@ -1716,7 +2383,23 @@ function filterBots(users) {
 }
 
 // Register workers
-taskManager.attachWorker('parse_audience', async (task, manager) => {
+/**
+ * Wraps a worker so Telegram flood waits hit during the task show up in its progress
+ * message and are cut short when the task is paused or cancelled
+ */
+function reportingFloodWaits(handler) {
+  return (task, manager, signal) => withRateLimitContext({
+    signal,
+    onFloodWait: ({ seconds, method }) => {
+      const current = manager.get(task.id);
+      manager.setProgress(task.id, current?.progress || 0, {
+        message: `Telegram rate limit (${method}): waiting ${seconds} s...`
+      });
+    }
+  }, () => handler(task, manager, signal));
+}
+
+taskManager.attachWorker('parse_audience', reportingFloodWaits(async (task, manager, signal) => {
   const { 
     chat, 
     lastDays, 
@@ -1772,7 +2455,7 @@ taskManager.attachWorker('parse_audience', async (task, manager) => {
         sessionId
       });
       
-      const sessionData = readJson(`parsing_results_${sessionId}.json`, null);
+      const sessionData = getRecord('parsing', sessionId);
       if (!sessionData || sessionData.userId !== userId) {
         throw new Error('Parsing session not found or access denied');
       }
@@ -1790,6 +2473,17 @@ taskManager.attachWorker('parse_audience', async (task, manager) => {
       
       for (let i = 0; i < channels.length; i++) {
         const channel = channels[i];
+        
+        if (signal?.aborted) {
+          logger.info('parse_audience cancelled, saving partial results', {
+            taskId: task.id,
+            channelsProcessed,
+            totalChannels,
+            usersFound: allUsers.length
+          });
+          break;
+        }
+        
         channelsProcessed = i + 1;
         
         // Check if we've reached the participant limit
@@ -1874,7 +2568,7 @@ taskManager.attachWorker('parse_audience', async (task, manager) => {
         }
         
         // Small delay between channels
-        await sleep(200);
+        await sleep(200, signal);
       }
       
     } else {
@@ -1949,7 +2643,7 @@ taskManager.attachWorker('parse_audience', async (task, manager) => {
       });
     };
     
-    const enrichedUsers = await enrichUsersWithFullProfile(tg, limitedUsers, userCache, enrichmentProgressCallback);
+    const enrichedUsers = await enrichUsersWithFullProfile(tg, limitedUsers, userCache, enrichmentProgressCallback, signal);
     
     manager.setStatus(task.id, 'running', { 
       progress: 80, 
@@ -2061,15 +2755,16 @@ taskManager.attachWorker('parse_audience', async (task, manager) => {
       timestamp: new Date().toISOString(),
       count: filteredUsers.length,
       totalFound: limitedUsers.length,
-      version: '3.0' // New version for peer metadata schema
+      cancelled: !!signal?.aborted, // Partial results saved after cancellation
+      version: SCHEMA_VERSIONS.audience
     };
     
-    writeJson(`audience_results_${resultsId}.json`, resultsData);
+    saveRecord('audience', resultsData);
     
     manager.setProgress(task.id, 100, { 
       current: filteredUsers.length, 
       total: participantsLimit || filteredUsers.length, 
-      message: 'Done' 
+      message: signal?.aborted ? 'Cancelled, partial results saved' : 'Done' 
     });
     
     return { 
@@ -2079,27 +2774,109 @@ taskManager.attachWorker('parse_audience', async (task, manager) => {
       resultsId,
       sessionId: sessionId || null,
       channelsProcessed: channelsProcessed,
-      totalChannels: totalChannels
+      totalChannels: totalChannels,
+      cancelled: !!signal?.aborted
     };
     
   } catch (e) {
     logger.error('parse_audience failed', { error: String(e?.message || e) });
     throw e;
   }
+}), {
+  restartable: true,
+  // Parsing hammers the single GramJS client, run one at a time
+  concurrency: 1
 });
 
-taskManager.attachWorker('broadcast', async (task, manager) => {
+taskManager.attachWorker(SAVED_SEARCH_TASK, reportingFloodWaits(async (task, manager) => {
+  const { savedSearchId } = task.payload || {};
+  // Book the next cron run first so a failing run does not stop the schedule
+  const search = advanceSavedSearchSchedule(savedSearchId, task.id);
+  if (!search) {
+    throw new Error(`Saved search ${savedSearchId} not found`);
+  }
+
+  manager.setProgress(task.id, 10, { message: `Searching channels for "${search.name}"...` });
+
+  const { minMembers, maxMembers, limit, channelTypes } = search.searchFilters;
+  const max = maxMembers || Infinity;
+  const channels = await collectChannels(search.keywords, minMembers, max, limit, channelTypes);
+
+  // The first run has nothing to compare against, so all of its channels count as new
+  const previousResults = search.lastResultsId
+    ? getRecord('parsing', search.lastResultsId)
+    : null;
+  const newChannelIds = findNewChannelIds(channels, previousResults);
+
+  const resultsData = saveParsingResults({
+    userId: search.userId,
+    query: search.keywords.join(', '),
+    searchKeywords: search.keywords,
+    min: minMembers,
+    max,
+    searchLimit: limit,
+    channelFilters: channelTypes,
+    channels,
+    extra: {
+      savedSearchId,
+      previousResultsId: previousResults ? search.lastResultsId : null,
+      newChannelIds,
+      newCount: newChannelIds.length
+    }
+  });
+
+  recordSavedSearchRun(savedSearchId, {
+    taskId: task.id,
+    resultsId: resultsData.id,
+    ranAt: resultsData.timestamp,
+    count: channels.length,
+    newCount: newChannelIds.length
+  });
+
+  logger.info('Saved search run completed', {
+    savedSearchId,
+    resultsId: resultsData.id,
+    count: channels.length,
+    newCount: newChannelIds.length
+  });
+
+  return {
+    resultsId: resultsData.id,
+    count: channels.length,
+    newCount: newChannelIds.length,
+    newChannelIds
+  };
+}), {
+  restartable: true,
+  // Searches go through the same GramJS client, run one at a time
+  concurrency: 1
+});
+
+taskManager.attachWorker('broadcast', reportingFloodWaits(async (task, manager, signal) => {
   const { 
     audienceId, 
     mode, 
     manualRecipients = [], 
     message, 
     imageBase64, 
+    attachments = null,
     maxRecipients, 
     delaySeconds = 2,
     userId,
     historyId: providedHistoryId,
-    historyCreatedAt
+    historyCreatedAt,
+    retryOf = null,
+    retryRecipients = null,
+    frequencyCap = null,
+    variants = null,
+    parseMode = 'markdown',
+    linkPreview = true,
+    silent = false,
+    templateId = null,
+    templateVersion = null,
+    templateTitle = null,
+    dryRun = false,
+    forwardFrom = null
   } = task.payload;
   
   logger.info('[BROADCAST] Starting broadcast worker', {
@@ -2107,28 +2884,58 @@ taskManager.attachWorker('broadcast', async (task, manager) => {
     audienceId,
     mode,
     manualRecipientsCount: manualRecipients.length,
-    hasImage: !!imageBase64,
+    attachmentsCount: attachments?.length || (imageBase64 ? 1 : 0),
     maxRecipients,
     delaySeconds,
     userId,
-    historyId: providedHistoryId
+    historyId: providedHistoryId,
+    dryRun,
+    forwardFrom
   });
   
+  // Validated on submit; parsed once and rendered per recipient
+  const renderMessage = compileTemplate(message);
+  const variantRenderers = new Map((variants || []).map((variant) => [variant.id, compileTemplate(variant.message)]));
+  // Files are loaded once, their captions are templates too
+  const mediaAttachments = normalizeAttachments(attachments, { imageBase64 });
+  const mediaFiles = mediaAttachments.map(({ data, caption, ...file }) => ({
+    ...file,
+    buffer: file.mediaId ? readMediaFile(userId, file.mediaId) : Buffer.from(data, 'base64'),
+    renderCaption: compileTemplate(caption)
+  }));
+  if (mediaFiles.length > 0) {
+    logger.info('[BROADCAST] Attachments decoded', {
+      types: mediaFiles.map((file) => file.type),
+      size: mediaFiles.reduce((sum, file) => sum + file.buffer.length, 0)
+    });
+  }
+  // Each file is uploaded for the first recipient and reused for the rest of the broadcast
+  const mediaCache = new Map();
+  // Set once the Telegram client is up: a forwarded post replaces the rendered message
+  let forwardSource = null;
+  const sendRendered = (peer, render, context) => {
+    if (forwardSource) {
+      return forwardPost(peer, forwardSource, { copy: forwardFrom.mode === 'copy', silent });
+    }
+    const { message: text, parseMode: sendParseMode } = renderBroadcastMessage(render, context, parseMode);
+    const files = mediaFiles.map(({ renderCaption, ...file }) => ({
+      ...file,
+      caption: renderBroadcastMessage(renderCaption, context, parseMode).message
+    }));
+    return sendMediaMessage(peer, text, files, { parseMode: sendParseMode, linkPreview, silent, mediaCache });
+  };
+  
   // Get Telegram client
   const { getClient } = await import('../services/telegramClient.js');
   const tg = await getClient();
   
-  // Decode image buffer if provided
-  let imageBuffer = null;
-  if (imageBase64) {
-    try {
-      imageBuffer = Buffer.from(imageBase64, 'base64');
-      logger.info('[BROADCAST] Image decoded', { size: imageBuffer.length });
-    } catch (e) {
-      logger.warn('[BROADCAST] Failed to decode image', { 
-        error: String(e?.message || e) 
-      });
-    }
+  if (forwardFrom) {
+    forwardSource = await loadForwardSource(tg, forwardFrom);
+    logger.info('[BROADCAST] Loaded post to forward', {
+      peer: forwardFrom.peer,
+      messageIds: forwardSource.messageIds,
+      mode: forwardFrom.mode
+    });
   }
   
   // Load audience if audienceId provided
@@ -2136,30 +2943,7 @@ taskManager.attachWorker('broadcast', async (task, manager) => {
   let audienceName = null;
   if (audienceId) {
     try {
-      // Find the audience results file
-      const fs = await import('fs');
-      const path = await import('path');
-      const { fileURLToPath } = await import('url');
-      const __filename = fileURLToPath(import.meta.url);
-      const __dirname = path.dirname(__filename);
-      const dataDir = path.resolve(__dirname, '..', 'data');
-      
-      const files = fs.readdirSync(dataDir);
-      const audienceFile = files.find(f => 
-        f.startsWith('audience_results_') && 
-        f.includes(audienceId) && 
-        f.endsWith('.json')
-      );
-      
-      if (!audienceFile) {
-        throw new Error(`Audience file not found for ID: ${audienceId}`);
-      }
-      
-      const audienceData = readJson(audienceFile, null);
-      if (!audienceData || !audienceData.users) {
-        throw new Error(`Invalid audience data for ID: ${audienceId}`);
-      }
-      
+      const audienceData = await loadBroadcastAudience(audienceId);
       audienceUsers = audienceData.users || [];
       audienceName = deriveAudienceName(audienceData) || audienceId || null;
       logger.info('[BROADCAST] Loaded audience', { 
@@ -2171,72 +2955,32 @@ taskManager.attachWorker('broadcast', async (task, manager) => {
         audienceId,
         error: String(e?.message || e) 
       });
-      throw e;
+      // A retry can still fall back to the recipients stored in deliveryLog
+      if (!Array.isArray(retryRecipients)) {
+        throw e;
+      }
+      audienceName = audienceId;
     }
   } else {
     audienceName = 'Manual recipients';
   }
   
-  // Build recipients array
-  let recipients = [];
+  let recipients = buildBroadcastRecipients(mode, audienceUsers, manualRecipients);
   
-  if (mode === 'dm') {
-    // DM mode: use audience users and manual recipients (individual users)
-    recipients = [...audienceUsers];
-    
-    // Add manual recipients
-    for (const manualRecipient of manualRecipients) {
-      if (typeof manualRecipient === 'string') {
-        // String: username or user ID
-        recipients.push({
-          id: manualRecipient,
-          username: manualRecipient.startsWith('@') ? manualRecipient.slice(1) : manualRecipient,
-          firstName: '',
-          lastName: '',
-          fullName: manualRecipient
-        });
-      } else if (typeof manualRecipient === 'object' && manualRecipient.id) {
-        // Object: user object with peer metadata
-        recipients.push(manualRecipient);
-      }
-    }
-  } else if (mode === 'chat') {
-    // Chat mode: use source channels from audience (deduplicated)
-    const channelPeers = new Map();
-    
-    for (const user of audienceUsers) {
-      if (user.sourceChannel && user.sourceChannel.peer) {
-        const channelId = user.sourceChannel.peer.id;
-        if (!channelPeers.has(channelId)) {
-          channelPeers.set(channelId, {
-            id: channelId,
-            title: user.sourceChannel.title || 'Unknown',
-            username: user.sourceChannel.username,
-            peer: user.sourceChannel.peer
-          });
-        }
-      }
-    }
-    
-    recipients = Array.from(channelPeers.values());
-    
-    // Add manual recipients (should be channel identifiers)
-    for (const manualRecipient of manualRecipients) {
-      if (typeof manualRecipient === 'string') {
-        // String: channel username or ID
-        recipients.push({
-          id: manualRecipient,
-          username: manualRecipient.startsWith('@') ? manualRecipient.slice(1) : manualRecipient,
-          title: manualRecipient
-        });
-      } else if (typeof manualRecipient === 'object' && manualRecipient.id) {
-        // Object: channel object with peer metadata
-        recipients.push(manualRecipient);
-      }
-    }
-    
-    logger.info('[BROADCAST] Chat mode: deduplicated source channels', {
-      uniqueChannels: recipients.length
+  // Retry of a previous broadcast: only its failed recipients, with peer metadata from the
+  // audience where it is still available and the recipient stored in deliveryLog otherwise
+  if (Array.isArray(retryRecipients)) {
+    const recipientsByKey = new Map(recipients.map((r) => [getRecipientKey(r), r]));
+    recipients = retryRecipients.map((r) => ({
+      ...(recipientsByKey.get(getRecipientKey(r)) || (mode === 'chat'
+        ? { id: r.id, username: r.username, title: r.name || r.username || String(r.id) }
+        : { id: r.id, username: r.username, firstName: '', lastName: '', fullName: r.name || r.username || '' })),
+      variant: r.variant
+    }));
+    logger.info('[BROADCAST] Retrying failed recipients', {
+      retryOf,
+      count: recipients.length,
+      withPeerMetadata: recipients.filter((r) => r.peer).length
     });
   }
   
@@ -2250,28 +2994,157 @@ taskManager.attachWorker('broadcast', async (task, manager) => {
   }
   
   const total = recipients.length;
-  let successCount = 0;
-  let failedCount = 0;
-  const deliveryLog = [];
+  
+  // Restore progress persisted by a previous run (pause/resume)
+  const cursor = task.cursor || null;
+  const startIndex = Math.min(Number(cursor?.nextIndex) || 0, total);
+  let successCount = Number(cursor?.success) || 0;
+  let failedCount = Number(cursor?.failed) || 0;
+  let suppressedCount = Number(cursor?.suppressed) || 0;
+  let cappedCount = Number(cursor?.capped) || 0;
+  // Dry run: recipients whose peer resolved, nothing is sent to them
+  let resolvedCount = Number(cursor?.resolved) || 0;
+  
+  // DMs this account already sent within the cap period, across all stored broadcasts
+  const accountId = getActiveAccountId();
+  const recentDeliveries = mode === 'dm' && frequencyCap
+    ? collectRecentDeliveries({
+      accountId,
+      userId,
+      since: new Date(Date.now() - frequencyCap.periodDays * 24 * 60 * 60 * 1000)
+    })
+    : null;
+  const frequencyCapReason = frequencyCap
+    ? `frequency_cap: ${frequencyCap.maxMessages} per ${frequencyCap.periodDays} days`
+    : null;
+  const deliveryLog = Array.isArray(cursor?.deliveryLog) ? [...cursor.deliveryLog] : [];
+  // Never message a recipient twice, even if the rebuilt list order differs
+  const attemptedRecipients = new Set(deliveryLog.map((entry) => getRecipientKey(entry.recipient)));
   
   logger.info('[BROADCAST] Starting message delivery', {
     total,
     mode,
-    delaySeconds
+    delaySeconds,
+    startIndex
   });
   
   manager.setStatus(task.id, 'running', {
-    progress: 0,
-    current: 0,
+    progress: total > 0 ? Math.floor((startIndex / total) * 100) : 0,
+    current: startIndex,
     total,
-    success: 0,
-    failed: 0,
-    message: 'Starting broadcast...'
+    success: successCount,
+    failed: failedCount,
+    message: startIndex > 0
+      ? `Resuming broadcast from ${startIndex + 1}/${total}...`
+      : dryRun ? 'Starting dry run...' : 'Starting broadcast...'
   });
   
+  // Update progress and persist the cursor so a paused broadcast continues from the next recipient
+  const saveProgress = (i) => {
+    manager.setStatus(task.id, 'running', {
+      progress: Math.floor(((i + 1) / total) * 100),
+      current: i + 1,
+      total,
+      success: successCount,
+      failed: failedCount,
+      suppressed: suppressedCount,
+      capped: cappedCount,
+      resolved: resolvedCount,
+      cursor: {
+        nextIndex: i + 1,
+        success: successCount,
+        failed: failedCount,
+        suppressed: suppressedCount,
+        capped: cappedCount,
+        resolved: resolvedCount,
+        deliveryLog
+      },
+      message: (dryRun
+        ? `Resolved ${i + 1}/${total} recipients (${resolvedCount} resolved, ${failedCount} failed`
+        : `Sent ${i + 1}/${total} messages (${successCount} success, ${failedCount} failed`)
+        + (suppressedCount > 0 ? `, ${suppressedCount} suppressed` : '')
+        + (cappedCount > 0 ? `, ${cappedCount} capped` : '')
+        + ')'
+    });
+  };
+  
   // Send messages sequentially with delay
-  for (let i = 0; i < total; i++) {
+  for (let i = startIndex; i < total; i++) {
+    if (signal?.aborted) {
+      logger.info(signal.reason === PAUSE_REASON
+        ? '[BROADCAST] Broadcast paused, cursor saved'
+        : '[BROADCAST] Broadcast cancelled, saving partial history', {
+        taskId: task.id,
+        processed: i,
+        total
+      });
+      break;
+    }
+    
     const recipient = recipients[i];
+    if (attemptedRecipients.has(getRecipientKey(recipient))) {
+      logger.info('[BROADCAST] Skipping recipient already in deliveryLog', {
+        recipient: recipient.id || recipient.username
+      });
+      continue;
+    }
+    
+    // A/B broadcast: same recipient, same variant on every run of this broadcast
+    const variant = variants
+      ? variants.find((v) => v.id === recipient.variant) || assignVariant(variants, providedHistoryId || task.id, getRecipientKey(recipient))
+      : null;
+    const renderRecipientMessage = variant ? variantRenderers.get(variant.id) : renderMessage;
+    
+    // Checked before every send so opt-outs added while the broadcast runs are respected
+    const suppression = findSuppression(userId, recipient);
+    if (suppression) {
+      suppressedCount++;
+      logger.info('[BROADCAST] Recipient is on the suppression list, skipping', {
+        recipient: recipient.id || recipient.username,
+        reason: suppression.reason
+      });
+      deliveryLog.push({
+        recipient: {
+          id: recipient.id,
+          username: recipient.username,
+          name: mode === 'dm' ? (recipient.fullName || recipient.firstName) : recipient.title
+        },
+        status: 'suppressed',
+        error: null,
+        reason: suppression.reason,
+        variant: variant ? variant.id : null,
+        timestamp: new Date().toISOString(),
+        duration: 0
+      });
+      attemptedRecipients.add(getRecipientKey(recipient));
+      saveProgress(i);
+      continue;
+    }
+    
+    if (recentDeliveries && countRecentDeliveries(recentDeliveries, recipient) >= frequencyCap.maxMessages) {
+      cappedCount++;
+      logger.info('[BROADCAST] Recipient reached the frequency cap, skipping', {
+        recipient: recipient.id || recipient.username,
+        frequencyCap
+      });
+      deliveryLog.push({
+        recipient: {
+          id: recipient.id,
+          username: recipient.username,
+          name: recipient.fullName || recipient.firstName
+        },
+        status: 'capped',
+        error: null,
+        reason: frequencyCapReason,
+        variant: variant ? variant.id : null,
+        timestamp: new Date().toISOString(),
+        duration: 0
+      });
+      attemptedRecipients.add(getRecipientKey(recipient));
+      saveProgress(i);
+      continue;
+    }
+    
     const startTime = Date.now();
     let resolvedPeer = null;
     let deliveryStatus = 'pending';
@@ -2283,22 +3156,19 @@ taskManager.attachWorker('broadcast', async (task, manager) => {
         // DM mode: resolve user peer
         resolvedPeer = await resolvePeerFromUser(tg, recipient);
         
-        // Substitute {name} tokens in message
-        const recipientName = recipient.fullName || 
-                             recipient.firstName || 
-                             recipient.username || 
-                             recipient.id || 
-                             'User';
-        const personalizedMessage = message.replace(/\{name\}/g, recipientName);
-        
-        // Send message with optional image
-        await sendMediaMessage(resolvedPeer, personalizedMessage, imageBuffer);
-        
-        logger.info('[BROADCAST] Message sent to user', {
-          userId: recipient.id,
-          username: recipient.username,
-          name: recipientName
-        });
+        if (!dryRun) {
+          // Fill in template variables and spintax for this recipient
+          const templateContext = buildTemplateContext(recipient, mode);
+          
+          // Send message with optional image
+          await sendRendered(resolvedPeer, renderRecipientMessage, templateContext);
+          
+          logger.info('[BROADCAST] Message sent to user', {
+            userId: recipient.id,
+            username: recipient.username,
+            name: templateContext.name
+          });
+        }
       } else {
         // Chat mode: resolve channel peer
         if (recipient.peer) {
@@ -2309,28 +3179,50 @@ taskManager.attachWorker('broadcast', async (task, manager) => {
           throw new Error('No peer metadata or username available for channel');
         }
         
-        // Send message without name substitution
-        await sendMediaMessage(resolvedPeer, message, imageBuffer);
-        
-        logger.info('[BROADCAST] Message sent to channel', {
-          channelId: recipient.id,
-          title: recipient.title
-        });
+        if (!dryRun) {
+          // Channel fields only: there is no single person to address
+          await sendRendered(resolvedPeer, renderRecipientMessage, buildTemplateContext(recipient, mode));
+          
+          logger.info('[BROADCAST] Message sent to channel', {
+            channelId: recipient.id,
+            title: recipient.title
+          });
+        }
       }
       
-      successCount++;
-      deliveryStatus = 'success';
+      if (dryRun) {
+        resolvedCount++;
+        deliveryStatus = 'resolved';
+      } else {
+        successCount++;
+        deliveryStatus = 'success';
+      }
       
     } catch (e) {
+      // Paused or cancelled while waiting out a flood limit: the message was not sent, retry it on resume
+      if (signal?.aborted && getFloodWaitSeconds(e) !== null) {
+        logger.info('[BROADCAST] Flood wait interrupted, recipient left for later', {
+          recipient: recipient.id || recipient.username
+        });
+        break;
+      }
+      
       failedCount++;
       deliveryStatus = 'failed';
       errorMessage = String(e?.message || e);
       
-      logger.warn('[BROADCAST] Message delivery failed', {
+      logger.warn(dryRun ? '[BROADCAST] Recipient could not be resolved' : '[BROADCAST] Message delivery failed', {
         recipient: recipient.id || recipient.username,
         mode,
         error: errorMessage
       });
+      
+      // Blocked us or no longer exists: never DM them again
+      if (!dryRun && mode === 'dm' && suppressOnDeliveryError(userId, recipient, errorMessage)) {
+        logger.info('[BROADCAST] Recipient added to the suppression list', {
+          recipient: recipient.id || recipient.username
+        });
+      }
     }
     
     const endTime = Date.now();
@@ -2344,31 +3236,40 @@ taskManager.attachWorker('broadcast', async (task, manager) => {
       },
       status: deliveryStatus,
       error: errorMessage,
+      variant: variant ? variant.id : null,
       timestamp: new Date().toISOString(),
       duration: endTime - startTime
     });
+    attemptedRecipients.add(getRecipientKey(recipient));
+    saveProgress(i);
     
-    // Update progress
-    const progress = Math.floor(((i + 1) / total) * 100);
-    manager.setStatus(task.id, 'running', {
-      progress,
-      current: i + 1,
+    // Rate limiting delay (except for last message); a dry run sends nothing, flood waits on
+    // peer resolution are still waited out by the rate limiter
+    if (i < total - 1 && !dryRun) {
+      await sleep(delaySeconds * 1000, signal);
+    }
+  }
+  
+  if (signal?.aborted && signal.reason === PAUSE_REASON) {
+    return {
+      paused: true,
       total,
       success: successCount,
       failed: failedCount,
-      message: `Sent ${i + 1}/${total} messages (${successCount} success, ${failedCount} failed)`
-    });
-    
-    // Rate limiting delay (except for last message)
-    if (i < total - 1) {
-      await sleep(delaySeconds * 1000);
-    }
+      nextIndex: task.cursor?.nextIndex ?? startIndex
+    };
   }
   
-  logger.info('[BROADCAST] Broadcast completed', {
+  const cancelled = !!signal?.aborted;
+  
+  logger.info(cancelled ? '[BROADCAST] Broadcast cancelled' : '[BROADCAST] Broadcast completed', {
     total,
     success: successCount,
-    failed: failedCount
+    resolved: resolvedCount,
+    failed: failedCount,
+    suppressed: suppressedCount,
+    capped: cappedCount,
+    notSent: total - deliveryLog.length
   });
   
   // Persist results to history file
@@ -2379,10 +3280,14 @@ taskManager.attachWorker('broadcast', async (task, manager) => {
     total,
     success: successCount,
     failed: failedCount,
-    successRate: total > 0 ? ((successCount / total) * 100).toFixed(2) + '%' : '0%'
+    suppressed: suppressedCount,
+    capped: cappedCount,
+    resolved: resolvedCount,
+    notSent: total - deliveryLog.length,
+    successRate: total > 0 ? (((dryRun ? resolvedCount : successCount) / total) * 100).toFixed(2) + '%' : '0%'
   };
-  const status = computeBroadcastStatus(summary);
-  const messagePreview = buildMessagePreview(message);
+  const status = cancelled ? 'cancelled' : dryRun ? 'dry_run' : computeBroadcastStatus(summary);
+  const messagePreview = buildMessagePreview(message || forwardSource?.text || forwardFrom?.link || '');
   const historyData = {
     id: normalizedHistoryId,
     taskId: task.id,
@@ -2392,9 +3297,22 @@ taskManager.attachWorker('broadcast', async (task, manager) => {
     mode,
     message,
     messagePreview,
-    hasImage: !!imageBuffer,
+    hasImage: mediaFiles.length > 0,
+    attachments: describeAttachments(mediaAttachments),
     delaySeconds,
     maxRecipients,
+    frequencyCap,
+    variants,
+    parseMode,
+    linkPreview,
+    silent,
+    templateId,
+    templateVersion,
+    templateTitle,
+    dryRun,
+    forwardFrom: forwardFrom && { ...forwardFrom, messageIds: forwardSource?.messageIds || [forwardFrom.messageId] },
+    retryOf,
+    accountId,
     createdAt,
     completedAt,
     timestamp: createdAt,
@@ -2419,8 +3337,23 @@ taskManager.attachWorker('broadcast', async (task, manager) => {
     total,
     success: successCount,
     failed: failedCount,
-    historyId: normalizedHistoryId
+    suppressed: suppressedCount,
+    capped: cappedCount,
+    historyId: normalizedHistoryId,
+    cancelled,
+    ...(dryRun ? {
+      dryRun,
+      resolved: resolvedCount,
+      unresolved: deliveryLog
+        .filter((entry) => entry.status === 'failed')
+        .map(({ recipient, error }) => ({ recipient, error }))
+    } : {})
   };
+}), {
+  pausable: true,
+  // Only one broadcast per Telegram account at a time
+  concurrency: 1,
+  concurrencyKey: () => `broadcast:${getActiveAccountId()}`
 });
 
 
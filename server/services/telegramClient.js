@@ -2,11 +2,16 @@ import dotenv from 'dotenv';
 import { TelegramClient } from 'telegram';
 import { StringSession } from 'telegram/sessions/index.js';
 import { Api } from 'telegram/tl/index.js';
+import { NewMessage } from 'telegram/events/index.js';
+import { CustomFile } from 'telegram/client/uploads.js';
 import { readJson, writeJson } from '../lib/storage.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
 import { logger, sleep } from '../lib/logger.js';
+import { groupAttachments } from '../lib/broadcastAttachments.js';
+import { getVisibleLength } from '../lib/messageFormat.js';
 
 // Load environment variables from .env and .env.local
 // .env.local takes precedence for local development
@@ -47,6 +52,173 @@ export function saveSettings({ apiId, apiHash, session }) {
 let client = null;
 let connecting = null;
 let authState = null; // Хранит состояние авторизации (phoneCodeHash)
+let activeAccountId = null; // ID Telegram-аккаунта текущей сессии
+
+/**
+ * Returns the ID of the Telegram account the client is connected as
+ * @returns {string} Account ID, or 'default' before the first connection
+ */
+export function getActiveAccountId() {
+  return activeAccountId || 'default';
+}
+
+// ---------------------------------------------------------------------------
+// Incoming private messages: the connected client forwards them to registered listeners
+// (reply tracking). Updates only arrive while the client is connected.
+// ---------------------------------------------------------------------------
+
+const incomingMessageListeners = new Set();
+
+/**
+ * Registers a listener for private messages other users send to the connected account
+ * @param {Function} listener - async ({ accountId, senderId, username, name, text, messageId, receivedAt }) => void
+ * @returns {Function} Unsubscribe
+ */
+export function onIncomingPrivateMessage(listener) {
+  incomingMessageListeners.add(listener);
+  return () => incomingMessageListeners.delete(listener);
+}
+
+function installIncomingMessageHandler(tg) {
+  tg.addEventHandler(async (event) => {
+    if (!event.isPrivate || incomingMessageListeners.size === 0) return;
+
+    const { message } = event;
+    let sender = null;
+    try {
+      sender = await message.getSender();
+    } catch (e) {
+      logger.warn('Failed to load sender of incoming message', { error: String(e?.message || e) });
+    }
+    if (sender?.bot) return;
+
+    const incoming = {
+      accountId: getActiveAccountId(),
+      senderId: String(message.senderId),
+      username: sender?.username || null,
+      name: [sender?.firstName, sender?.lastName].filter(Boolean).join(' ') || null,
+      text: message.message || '',
+      messageId: message.id,
+      receivedAt: new Date(message.date * 1000).toISOString()
+    };
+    for (const listener of incomingMessageListeners) {
+      try {
+        await listener(incoming);
+      } catch (e) {
+        logger.error('Incoming message listener failed', { error: String(e?.message || e) });
+      }
+    }
+  }, new NewMessage({ incoming: true }));
+}
+
+// ---------------------------------------------------------------------------
+// Rate limiting: every request of the main client goes through callWithRateLimit(),
+// which waits out FLOOD_WAIT errors and spaces out calls of methods that hit them.
+// ---------------------------------------------------------------------------
+
+// Flood waits longer than this are not waited out, the error goes to the caller
+const FLOOD_WAIT_MAX_SECONDS = Number(process.env.TELEGRAM_FLOOD_WAIT_MAX_SECONDS) || 900;
+const FLOOD_WAIT_MAX_RETRIES = 3;
+const METHOD_DELAY_MIN_MS = 1000; // Delay applied after a method's first flood wait
+const METHOD_DELAY_MAX_MS = 30000;
+const METHOD_DELAY_DECAY_EVERY = 20; // Successful calls before the delay is relaxed again
+
+const methodThrottles = new Map(); // method -> { delayMs, lastCallAt, successStreak }
+const rateLimitContext = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with a rate-limit context: Telegram calls made inside it report flood waits
+ * to `onFloodWait` and stop waiting when `signal` aborts.
+ * @param {Object} context - { signal, onFloodWait({ seconds, method }) }
+ * @param {Function} fn - async () => result
+ */
+export function withRateLimitContext(context, fn) {
+  return rateLimitContext.run(context, fn);
+}
+
+/**
+ * Extracts the wait time from FloodWaitError / SlowModeWaitError or a FLOOD_WAIT_N message
+ * @param {Error} error - Error thrown by GramJS
+ * @returns {number|null} Seconds to wait, or null for other errors
+ */
+export function getFloodWaitSeconds(error) {
+  if (!error) return null;
+  const text = String(error.errorMessage || error.message || error);
+  if (Number.isFinite(error.seconds) && /FLOOD|SLOWMODE|wait of/i.test(text)) {
+    return error.seconds;
+  }
+  const match = text.match(/(?:FLOOD_WAIT|FLOOD_PREMIUM_WAIT|SLOWMODE_WAIT)_(\d+)|wait of (\d+) seconds/i);
+  return match ? Number(match[1] || match[2]) : null;
+}
+
+function getMethodThrottle(method) {
+  if (!methodThrottles.has(method)) {
+    methodThrottles.set(method, { delayMs: 0, lastCallAt: 0, successStreak: 0 });
+  }
+  return methodThrottles.get(method);
+}
+
+/**
+ * Current adaptive delay per method, for diagnostics
+ * @returns {Object} method -> delay in ms
+ */
+export function getMethodDelays() {
+  return Object.fromEntries([...methodThrottles].map(([method, t]) => [method, t.delayMs]));
+}
+
+/**
+ * Calls `fn`, keeping the adaptive spacing for `method` and retrying after FLOOD_WAIT
+ * @param {string} method - Telegram method name, e.g. "messages.SendMessage"
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of `fn`
+ */
+export async function callWithRateLimit(method, fn) {
+  const throttle = getMethodThrottle(method);
+  const { signal, onFloodWait } = rateLimitContext.getStore() || {};
+
+  for (let attempt = 0; ; attempt++) {
+    const waitMs = throttle.lastCallAt + throttle.delayMs - Date.now();
+    if (waitMs > 0) {
+      await sleep(waitMs, signal);
+    }
+    throttle.lastCallAt = Date.now();
+
+    try {
+      const result = await fn();
+      throttle.successStreak++;
+      if (throttle.delayMs > 0 && throttle.successStreak >= METHOD_DELAY_DECAY_EVERY) {
+        throttle.successStreak = 0;
+        throttle.delayMs = throttle.delayMs <= METHOD_DELAY_MIN_MS ? 0 : Math.floor(throttle.delayMs * 0.75);
+        logger.info('Relaxed method delay', { method, delayMs: throttle.delayMs });
+      }
+      return result;
+    } catch (e) {
+      const seconds = getFloodWaitSeconds(e);
+      if (seconds === null) throw e;
+
+      throttle.successStreak = 0;
+      throttle.delayMs = Math.min(Math.max(throttle.delayMs * 2, METHOD_DELAY_MIN_MS), METHOD_DELAY_MAX_MS);
+
+      if (seconds > FLOOD_WAIT_MAX_SECONDS || attempt >= FLOOD_WAIT_MAX_RETRIES || signal?.aborted) {
+        logger.warn('Flood wait not retried', { method, seconds, attempt, delayMs: throttle.delayMs });
+        throw e;
+      }
+
+      logger.warn('Flood wait, sleeping before retry', { method, seconds, attempt, delayMs: throttle.delayMs });
+      onFloodWait?.({ seconds, method });
+      // One extra second: Telegram counts the wait from its own clock
+      await sleep((seconds + 1) * 1000, signal);
+      if (signal?.aborted) throw e;
+    }
+  }
+}
+
+// Routes every request of the client through callWithRateLimit, including the ones GramJS
+// helpers (sendMessage, getEntity, ...) make internally
+function installRateLimiter(tg) {
+  const invoke = tg.invoke.bind(tg);
+  tg.invoke = (request, ...args) => callWithRateLimit(request?.className || 'invoke', () => invoke(request, ...args));
+}
 
 export async function getClient() {
   const startTime = Date.now();
@@ -72,7 +244,9 @@ export async function getClient() {
   }
 
   const initialSession = new StringSession(session);
-  const tg = new TelegramClient(initialSession, apiId, apiHash, { connectionRetries: 5 });
+  // Flood waits are handled by callWithRateLimit() so they can be reported, not slept on silently
+  const tg = new TelegramClient(initialSession, apiId, apiHash, { connectionRetries: 5, floodSleepThreshold: 0 });
+  installRateLimiter(tg);
 
   connecting = (async () => {
     try {
@@ -110,6 +284,8 @@ export async function getClient() {
       
       client = tg;
       connecting = null;
+      activeAccountId = userIdString;
+      installIncomingMessageHandler(tg);
       
       logger.info('[PERF] getClient() total time', { elapsed: Date.now() - startTime + 'ms' });
       return client;
@@ -150,8 +326,11 @@ export async function getAuthClient() {
       appVersion: '1.0.0',
       langCode: 'en',
       systemVersion: '1.0.0',
+      // After signIn this becomes the global client, so it handles flood waits like getClient()'s
+      floodSleepThreshold: 0,
     }
   );
+  installRateLimiter(tg);
   
   const connectStart = Date.now();
   await tg.connect();
@@ -330,6 +509,8 @@ export async function signIn(phoneCode, password) {
       throw new Error('Bot account detected. Please use phone number authentication for user account');
     }
     
+    activeAccountId = userIdString;
+    installIncomingMessageHandler(tg);
     logger.info('User signed in successfully', { userId: userIdString, username: user.username });
     
     // Fetch and cache user profile photo using Bot API
@@ -386,6 +567,7 @@ export function clearSession() {
   
   connecting = null;
   authState = null;
+  activeAccountId = null;
   
   // Очищаем сессии в файлах
   saveSettings({ session: '' });
@@ -816,10 +998,9 @@ export async function searchChannels(query, minMembers = 0, maxMembers = Infinit
         await sleep(100);
       } catch (e) {
         const errorMsg = String(e?.message || e);
-        // Gracefully fall back on FLOOD or PRIVATE errors
-        if (errorMsg.includes('FLOOD')) {
-          logger.warn('FLOOD error during search, backing off', { token });
-          await sleep(500);
+        // Flood waits were already retried by the rate limiter; skip the token if it still fails
+        if (errorMsg.includes('FLOOD') || getFloodWaitSeconds(e) !== null) {
+          logger.warn('FLOOD error during search, skipping token', { token });
         } else if (errorMsg.includes('PRIVATE')) {
           logger.warn('PRIVATE error during search', { token });
         } else {
@@ -1208,34 +1389,152 @@ export async function sendMessage(peerId, message) {
   return { ok: true };
 }
 
+// Longer texts (counted without markup) do not fit into a media caption and are sent as a message of their own
+const MAX_CAPTION_LENGTH = 1024;
+
+/**
+ * Uploads one attachment and builds the InputMedia Telegram expects for its type
+ * @param {Object} tg - Telegram client
+ * @param {Object} attachment - { type, buffer, fileName, mimeType }
+ * @returns {Promise<Object>} InputMedia
+ */
+async function uploadAttachment(tg, { type, buffer, fileName, mimeType }) {
+  const file = await tg.uploadFile({
+    file: new CustomFile(fileName, buffer.length, '', buffer),
+    workers: 1,
+  });
+  if (type === 'photo') {
+    return new Api.InputMediaUploadedPhoto({ file });
+  }
+
+  const attributes = [new Api.DocumentAttributeFilename({ fileName })];
+  if (type === 'video') {
+    attributes.push(new Api.DocumentAttributeVideo({ duration: 0, w: 0, h: 0, supportsStreaming: true }));
+  } else if (type === 'voice') {
+    attributes.push(new Api.DocumentAttributeAudio({ duration: 0, voice: true }));
+  }
+  return new Api.InputMediaUploadedDocument({
+    file,
+    mimeType,
+    attributes,
+    forceFile: type === 'document',
+  });
+}
+
+/**
+ * Whether Telegram rejected a stored photo/document because its file reference went stale
+ * @param {Error} error - GramJS error
+ * @returns {boolean}
+ */
+export function isFileReferenceError(error) {
+  return /FILE_REFERENCE_(?:\d+_)?(?:EXPIRED|INVALID)/.test(String(error?.errorMessage || error?.message || ''));
+}
+
+/**
+ * Media for one attachment. With a cache the file is uploaded once and stored on Telegram's side
+ * as a photo/document, every later recipient reuses it without uploading again.
+ * @param {Object} tg - Telegram client
+ * @param {Object} peer - Input peer of the recipient, needed to store the upload
+ * @param {Object} attachment - { type, buffer, fileName, mimeType }
+ * @param {Map|null} mediaCache - Stored media by attachment buffer, lives as long as the broadcast
+ * @returns {Promise<Object>} InputMedia
+ */
+async function getAttachmentMedia(tg, peer, attachment, mediaCache) {
+  const cached = mediaCache?.get(attachment.buffer);
+  if (cached) return cached;
+
+  const uploaded = await uploadAttachment(tg, attachment);
+  if (!mediaCache) return uploaded;
+
+  const stored = await tg.invoke(new Api.messages.UploadMedia({ peer, media: uploaded }));
+  const file = stored.photo || stored.document;
+  if (!file) return uploaded;
+
+  const id = { id: file.id, accessHash: file.accessHash, fileReference: file.fileReference };
+  const media = stored.photo
+    ? new Api.InputMediaPhoto({ id: new Api.InputPhoto(id) })
+    : new Api.InputMediaDocument({ id: new Api.InputDocument(id) });
+  mediaCache.set(attachment.buffer, media);
+  logger.info('Broadcast attachment uploaded', { type: attachment.type, size: attachment.buffer.length });
+  return media;
+}
+
 /**
- * Sends a message with optional media attachment
+ * Sends one album (or a single file) with a caption per item. A stale file reference
+ * drops the cached media of the group and sends it once more with fresh uploads.
+ * @param {Object} tg - Telegram client
+ * @param {Object} peer - Input peer
+ * @param {Array} group - Attachments from groupAttachments
+ * @param {Array<string>} captions - Formatted caption per attachment
+ * @param {Object} options - { parseMode, silent, mediaCache }
+ */
+export async function sendAttachmentGroup(tg, peer, group, captions, { parseMode, silent, mediaCache = null } = {}) {
+  const send = async () => {
+    const media = [];
+    for (const attachment of group) {
+      media.push(await getAttachmentMedia(tg, peer, attachment, mediaCache));
+    }
+    await tg.sendFile(peer, {
+      file: media.length > 1 ? media : media[0],
+      caption: media.length > 1 ? captions : captions[0],
+      parseMode,
+      silent
+    });
+  };
+
+  try {
+    await send();
+  } catch (e) {
+    if (!mediaCache || !isFileReferenceError(e)) throw e;
+    logger.warn('File reference expired, uploading broadcast attachments again', {
+      error: String(e?.errorMessage || e?.message || e)
+    });
+    for (const attachment of group) {
+      mediaCache.delete(attachment.buffer);
+    }
+    await send();
+  }
+}
+
+/**
+ * Sends a message with optional media attachments
  * @param {Object|String} peerId - Recipient peer (InputPeer, username, or ID)
  * @param {String} message - Message text
- * @param {Buffer|null} imageBuffer - Optional image buffer (decoded from base64)
+ * @param {Array} attachments - [{ type, buffer, fileName, mimeType, caption }], caption already formatted.
+ *   The message becomes the caption of the first attachment unless it has its own caption
+ *   or the message is too long, then the message is sent first as text.
+ * @param {Object} options - GramJS send options: parseMode ('html', 'md' or false for plain text),
+ *   linkPreview (text messages only), silent; mediaCache (a Map shared by all sends of one
+ *   broadcast) makes every attachment upload only once
  * @returns {Promise<Object>} - Send result
  */
-export async function sendMediaMessage(peerId, message, imageBuffer = null) {
+export async function sendMediaMessage(peerId, message, attachments = [], options = {}) {
   const tg = await ensureClient();
+  const { parseMode, linkPreview, silent, mediaCache = null } = options;
   
-  if (!imageBuffer) {
+  if (!attachments || attachments.length === 0) {
     // No media, just send text message
-    await tg.sendMessage(peerId, { message });
+    await tg.sendMessage(peerId, { message, parseMode, linkPreview, silent });
     return { ok: true };
   }
   
   try {
-    // Upload the image first
-    const uploadedFile = await tg.uploadFile({
-      file: imageBuffer,
-      workers: 1,
-    });
-    
-    // Send message with photo
-    await tg.sendMessage(peerId, {
-      message: message,
-      file: uploadedFile
-    });
+    const peer = await tg.getInputEntity(peerId);
+    const messageAsCaption = !attachments[0].caption && getVisibleLength(message, parseMode) <= MAX_CAPTION_LENGTH;
+    if (message && !messageAsCaption) {
+      await tg.sendMessage(peer, { message, parseMode, linkPreview, silent });
+    }
+
+    // Albums are sent as one message each, with a caption per item
+    let index = 0;
+    for (const group of groupAttachments(attachments)) {
+      const captions = group.map((attachment) => {
+        const caption = index === 0 && messageAsCaption ? message : attachment.caption || '';
+        index++;
+        return caption;
+      });
+      await sendAttachmentGroup(tg, peer, group, captions, { parseMode, silent, mediaCache });
+    }
     
     return { ok: true };
   } catch (e) {
@@ -1246,6 +1545,57 @@ export async function sendMediaMessage(peerId, message, imageBuffer = null) {
   }
 }
 
+// Telegram albums hold at most 10 items, so the rest of an album is within 9 IDs of any of its posts
+const ALBUM_ID_SPAN = 9;
+
+/**
+ * Loads a channel post to forward; a post that is part of an album brings all of its items
+ * @param {Object} tg - Telegram client
+ * @param {Object} source - { peer, messageId } from normalizeForwardSource
+ * @returns {Promise<Object>} { fromPeer, messageIds, text }
+ * @throws {Error} When the post does not exist or the channel forbids forwarding
+ */
+export async function loadForwardSource(tg, { peer, messageId }) {
+  const fromPeer = await tg.getInputEntity(/^-?\d+$/.test(peer) ? Number(peer) : peer);
+  const [message] = await tg.getMessages(fromPeer, { ids: [messageId] });
+  if (!message || message.className === 'MessageEmpty') {
+    throw new Error(`Message ${messageId} not found in ${peer}`);
+  }
+  if (message.noforwards) {
+    throw new Error(`Forwarding from ${peer} is restricted`);
+  }
+
+  let items = [message];
+  if (message.groupedId) {
+    const ids = [];
+    for (let id = Math.max(1, messageId - ALBUM_ID_SPAN); id <= messageId + ALBUM_ID_SPAN; id++) {
+      ids.push(id);
+    }
+    items = (await tg.getMessages(fromPeer, { ids }))
+      .filter((item) => item?.groupedId && String(item.groupedId) === String(message.groupedId))
+      .sort((a, b) => a.id - b.id);
+  }
+
+  return {
+    fromPeer,
+    messageIds: items.map((item) => item.id),
+    text: items.find((item) => item.message)?.message || ''
+  };
+}
+
+/**
+ * Forwards a loaded post with its media and formatting
+ * @param {Object|String} peerId - Recipient peer (InputPeer, username, or ID)
+ * @param {Object} source - Result of loadForwardSource
+ * @param {Object} options - { copy, silent }; copy drops the "Forwarded from" header
+ * @returns {Promise<Object>} - Send result
+ */
+export async function forwardPost(peerId, { fromPeer, messageIds }, { copy = false, silent = false } = {}) {
+  const tg = await ensureClient();
+  await tg.forwardMessages(peerId, { messages: messageIds, fromPeer, silent, dropAuthor: copy });
+  return { ok: true };
+}
+
 /**
  * Resolves peer from user object with fallback strategies
  * @param {Object} tg - Telegram client
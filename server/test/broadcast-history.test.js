@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+/**
+ * Broadcast history tests
+ * Covers status computation with skipped recipients, retry selection, cross-campaign frequency counting
+ * A/B variant assignment and results, reply attribution, attachment grouping and upload reuse, dry runs
+ * and forwarded posts
+ */
+
+import './testDataDir.js';
+import { strict as assert } from 'assert';
+import { removeJson } from '../lib/storage.js';
+import {
+  computeBroadcastStatus,
+  getRetryableDeliveries,
+  saveBroadcastHistory,
+  collectRecentDeliveries,
+  countRecentDeliveries,
+  summarizeVariants,
+  getBroadcastHistoryById,
+  deleteBroadcastHistory
+} from '../lib/broadcastHistory.js';
+import { normalizeVariants, assignVariant } from '../lib/broadcastVariants.js';
+import { trackBroadcastReply } from '../lib/broadcastReplies.js';
+import { normalizeAttachments, groupAttachments, describeAttachments } from '../lib/broadcastAttachments.js';
+import { sendAttachmentGroup, loadForwardSource } from '../services/telegramClient.js';
+import { normalizeForwardSource } from '../lib/forwardSource.js';
+
+const TEST_USER_ID = 'test_history_user';
+const TEST_HISTORY_IDS = ['broadcast_1_test_history_a', 'broadcast_2_test_history_b', 'broadcast_3_test_history_c', 'broadcast_4_test_history_d', 'broadcast_5_test_history_e'];
+
+function cleanupTestFiles() {
+  for (const id of TEST_HISTORY_IDS) {
+    for (const prefix of ['broadcast_results_', 'broadcast_replies_']) {
+      removeJson(`${prefix}${id}.json`);
+    }
+  }
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+async function runTests() {
+  console.log('🧪 Running broadcast history tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  cleanupTestFiles();
+
+  await test('Skipped recipients do not turn a broadcast partial', async () => {
+    assert.equal(computeBroadcastStatus({ total: 5, success: 3, failed: 0, suppressed: 1, capped: 1 }), 'success');
+    assert.equal(computeBroadcastStatus({ total: 5, success: 2, failed: 1, capped: 2 }), 'partial');
+    assert.equal(computeBroadcastStatus({ total: 2, success: 0, failed: 0, suppressed: 2 }), 'empty');
+  });
+
+  await test('Retry picks failed deliveries and honours excluded error classes', async () => {
+    const history = {
+      deliveryLog: [
+        { recipient: { id: '1' }, status: 'success' },
+        { recipient: { id: '2' }, status: 'failed', error: '400: USER_PRIVACY_RESTRICTED (caused by messages.SendMessage)' },
+        { recipient: { id: '3' }, status: 'failed', error: 'PEER_FLOOD' },
+        { recipient: { id: '4' }, status: 'suppressed', reason: 'USER_IS_BLOCKED' }
+      ]
+    };
+    assert.deepEqual(getRetryableDeliveries(history).map((e) => e.recipient.id), ['2', '3']);
+    assert.deepEqual(getRetryableDeliveries(history, ['user_privacy_restricted']).map((e) => e.recipient.id), ['3']);
+  });
+
+  await test('Recent DMs are counted across broadcasts of the same account', async () => {
+    saveBroadcastHistory({
+      id: TEST_HISTORY_IDS[0],
+      userId: TEST_USER_ID,
+      accountId: 'acc1',
+      mode: 'dm',
+      createdAt: daysAgo(2),
+      deliveryLog: [
+        { recipient: { id: '100', username: 'Alice' }, status: 'success', timestamp: daysAgo(2) },
+        { recipient: { id: '200', username: 'bob' }, status: 'failed', timestamp: daysAgo(2) },
+        { recipient: { id: '300' }, status: 'success', timestamp: daysAgo(10) }
+      ]
+    });
+    saveBroadcastHistory({
+      id: TEST_HISTORY_IDS[1],
+      userId: TEST_USER_ID,
+      accountId: 'acc2',
+      mode: 'dm',
+      createdAt: daysAgo(1),
+      deliveryLog: [{ recipient: { id: '200', username: 'bob' }, status: 'success', timestamp: daysAgo(1) }]
+    });
+    // Stored before the account was tracked: matched by app user
+    saveBroadcastHistory({
+      id: TEST_HISTORY_IDS[2],
+      userId: TEST_USER_ID,
+      mode: 'dm',
+      createdAt: daysAgo(1),
+      deliveryLog: [{ recipient: { id: '@alice', username: 'alice' }, status: 'success', timestamp: daysAgo(1) }]
+    });
+
+    const deliveries = collectRecentDeliveries({ accountId: 'acc1', userId: TEST_USER_ID, since: new Date(daysAgo(7)) });
+    assert.equal(countRecentDeliveries(deliveries, { id: '100', username: 'alice' }), 2, 'matched by ID and by username');
+    assert.equal(countRecentDeliveries(deliveries, { id: '200', username: 'bob' }), 0, 'failures and other accounts do not count');
+    assert.equal(countRecentDeliveries(deliveries, { id: '300' }), 0, 'outside the period');
+  });
+
+  await test('Dry runs are kept in history but never count as deliveries', async () => {
+    saveBroadcastHistory({
+      id: TEST_HISTORY_IDS[4],
+      userId: TEST_USER_ID,
+      accountId: 'acc3',
+      mode: 'dm',
+      dryRun: true,
+      status: 'dry_run',
+      createdAt: daysAgo(1),
+      summary: { total: 2, success: 0, resolved: 1, failed: 1 },
+      deliveryLog: [
+        { recipient: { id: '500', username: 'carol' }, status: 'resolved', timestamp: daysAgo(1) },
+        { recipient: { username: 'gone' }, status: 'failed', error: 'USERNAME_NOT_OCCUPIED', timestamp: daysAgo(1) }
+      ]
+    });
+
+    const history = getBroadcastHistoryById(TEST_HISTORY_IDS[4]);
+    assert.equal(history.dryRun, true);
+    assert.equal(history.status, 'dry_run');
+    assert.equal(history.summary.resolved, 1);
+    const deliveries = collectRecentDeliveries({ accountId: 'acc3', userId: TEST_USER_ID, since: new Date(daysAgo(7)) });
+    assert.equal(countRecentDeliveries(deliveries, { id: '500', username: 'carol' }), 0);
+  });
+
+  await test('A/B variants are validated and labelled in order', async () => {
+    assert.equal(normalizeVariants(undefined), null);
+    assert.deepEqual(normalizeVariants(['Hi {name}', { message: 'Hello', weight: 3 }]), [
+      { id: 'A', message: 'Hi {name}', weight: 1 },
+      { id: 'B', message: 'Hello', weight: 3 }
+    ]);
+    assert.throws(() => normalizeVariants(['only one']), /2 to 5/);
+    assert.throws(() => normalizeVariants(['a', { message: 'b', weight: 0 }]), /weight/);
+    assert.throws(() => normalizeVariants(['a', '{#if bio}b']), /variants\[1\]: Invalid message template/);
+  });
+
+  await test('Recipients are assigned to variants deterministically by weight', async () => {
+    const variants = normalizeVariants([{ message: 'a', weight: 1 }, { message: 'b', weight: 3 }]);
+    const counts = { A: 0, B: 0 };
+    for (let i = 0; i < 2000; i++) {
+      const variant = assignVariant(variants, 'broadcast_1', `user_${i}`);
+      assert.equal(assignVariant(variants, 'broadcast_1', `user_${i}`).id, variant.id, 'same recipient, same variant');
+      counts[variant.id]++;
+    }
+    assert.ok(counts.B / 2000 > 0.7 && counts.B / 2000 < 0.8, `weights respected: ${JSON.stringify(counts)}`);
+  });
+
+  await test('Variant results are counted from the delivery log', async () => {
+    const stats = summarizeVariants(normalizeVariants(['First text', 'Second text']), [
+      { status: 'success', variant: 'A' },
+      { status: 'failed', variant: 'A' },
+      { status: 'success', variant: 'B' },
+      { status: 'suppressed', variant: 'B' },
+      { status: 'success', variant: null }
+    ]);
+    assert.deepEqual(stats.map(({ id, total, success, failed, suppressed, successRate }) => ({ id, total, success, failed, suppressed, successRate })), [
+      { id: 'A', total: 2, success: 1, failed: 1, suppressed: 0, successRate: '50.00%' },
+      { id: 'B', total: 2, success: 1, failed: 0, suppressed: 1, successRate: '100.00%' }
+    ]);
+    assert.equal(stats[0].messagePreview, 'First text');
+  });
+
+  await test('Private messages are attributed to the latest broadcast that DMed the sender', async () => {
+    saveBroadcastHistory({
+      id: TEST_HISTORY_IDS[3],
+      userId: TEST_USER_ID,
+      accountId: 'acc_replies',
+      mode: 'dm',
+      createdAt: daysAgo(1),
+      summary: { total: 3, success: 2, failed: 1 },
+      variants: normalizeVariants(['First', 'Second']),
+      deliveryLog: [
+        { recipient: { id: '900', username: 'carol' }, status: 'success', variant: 'A', timestamp: daysAgo(1) },
+        { recipient: { id: '@dave', username: 'dave' }, status: 'success', variant: 'B', timestamp: daysAgo(1) },
+        { recipient: { id: '901' }, status: 'failed', variant: 'B', timestamp: daysAgo(1) }
+      ]
+    });
+
+    const reply = { accountId: 'acc_replies', senderId: '900', username: 'carol', text: 'Tell me more', messageId: 1, receivedAt: new Date().toISOString() };
+    assert.equal(trackBroadcastReply(reply)?.historyId, TEST_HISTORY_IDS[3]);
+    assert.equal(trackBroadcastReply(reply), null, 'the same message is stored once');
+    assert.equal(trackBroadcastReply({ ...reply, senderId: '555', username: 'Dave', messageId: 2 })?.historyId, TEST_HISTORY_IDS[3], 'matched by username');
+    assert.equal(trackBroadcastReply({ ...reply, senderId: '901', username: null, messageId: 3 }), null, 'failed deliveries get no replies');
+    assert.equal(trackBroadcastReply({ ...reply, accountId: 'other', messageId: 4 }), null, 'other accounts are ignored');
+    assert.equal(trackBroadcastReply({ ...reply, messageId: 5, receivedAt: daysAgo(2) }), null, 'messages sent before the DM are not replies');
+
+    const history = getBroadcastHistoryById(TEST_HISTORY_IDS[3]);
+    assert.equal(history.replies.length, 2);
+    assert.equal(history.summary.replied, 2);
+    assert.equal(history.summary.replyRate, '100.00%');
+    assert.ok(history.deliveryLog[0].repliedAt);
+    assert.deepEqual(history.variantStats.map((variant) => variant.replied), [1, 1]);
+  });
+
+  await test('Broadcasts saved or deleted after the first reply update the delivery index', async () => {
+    saveBroadcastHistory({
+      id: TEST_HISTORY_IDS[4],
+      userId: TEST_USER_ID,
+      accountId: 'acc_replies',
+      mode: 'dm',
+      createdAt: daysAgo(0.5),
+      deliveryLog: [{ recipient: { id: '900', username: 'carol' }, status: 'success', timestamp: daysAgo(0.5) }]
+    });
+
+    const reply = { accountId: 'acc_replies', senderId: '900', username: 'carol', text: 'Again', messageId: 10, receivedAt: new Date().toISOString() };
+    assert.equal(trackBroadcastReply(reply)?.historyId, TEST_HISTORY_IDS[4], 'the newer broadcast wins');
+
+    deleteBroadcastHistory(TEST_HISTORY_IDS[4]);
+    assert.equal(trackBroadcastReply({ ...reply, messageId: 11 })?.historyId, TEST_HISTORY_IDS[3], 'the previous broadcast is matched again');
+  });
+
+  await test('Attachments are validated and the legacy image becomes a photo', async () => {
+    const [photo] = normalizeAttachments(undefined, { imageBase64: 'data:image/png;base64,aGVsbG8=' });
+    assert.deepEqual(photo, { type: 'photo', data: 'aGVsbG8=', mediaId: null, fileName: 'photo.jpg', mimeType: 'image/png', caption: '' });
+    assert.equal(describeAttachments([photo])[0].size, 5);
+
+    assert.equal(normalizeAttachments([{ type: 'document', fileName: 'prices.pdf', caption: 'Hi {firstName}' }], { requireData: false })[0].mimeType, 'application/octet-stream');
+    assert.throws(() => normalizeAttachments([{ type: 'sticker', data: 'aA==' }]), /type must be one of/);
+    assert.throws(() => normalizeAttachments([{ type: 'photo' }]), /attachments\[0\]\.data or mediaId required/);
+    assert.throws(() => normalizeAttachments([{ type: 'photo', data: 'aA==', caption: '{#if bio}' }]), /Invalid caption template/);
+    assert.throws(() => normalizeAttachments(Array(11).fill({ type: 'photo', data: 'aA==' })), /No more than 10/);
+  });
+
+  await test('Attachments are grouped into albums the way Telegram allows', async () => {
+    const types = ['photo', 'video', 'photo', 'document', 'document', 'voice', 'voice', 'photo'];
+    const groups = groupAttachments(types.map((type) => ({ type })));
+    assert.deepEqual(groups.map((group) => group.map((attachment) => attachment.type)), [
+      ['photo', 'video', 'photo'],
+      ['document', 'document'],
+      ['voice'],
+      ['voice'],
+      ['photo']
+    ]);
+  });
+
+  await test('Attachments are uploaded once per broadcast and again when the file reference expires', async () => {
+    let uploads = 0;
+    let stale = false;
+    const sent = [];
+    // Shaped like the GramJS client calls used for attachments
+    const tg = {
+      uploadFile: async () => ({ upload: ++uploads }),
+      invoke: async () => ({ photo: { id: uploads, accessHash: 1, fileReference: Buffer.from([uploads]) } }),
+      sendFile: async (_peer, { file }) => {
+        if (stale) {
+          stale = false;
+          throw Object.assign(new Error('FILE_REFERENCE_EXPIRED'), { errorMessage: 'FILE_REFERENCE_EXPIRED' });
+        }
+        sent.push(file.id.id);
+      }
+    };
+    const photo = { type: 'photo', buffer: Buffer.from('image'), fileName: 'photo.jpg', mimeType: 'image/jpeg' };
+    const mediaCache = new Map();
+
+    for (let i = 0; i < 3; i++) {
+      await sendAttachmentGroup(tg, {}, [photo], ['Hi'], { mediaCache });
+    }
+    assert.equal(uploads, 1);
+
+    stale = true;
+    await sendAttachmentGroup(tg, {}, [photo], ['Hi'], { mediaCache });
+    assert.equal(uploads, 2, 'expired media is uploaded again');
+    assert.deepEqual(sent, [1, 1, 1, 2]);
+  });
+
+  await test('Posts to forward are referenced by t.me link or by peer and message ID', async () => {
+    assert.deepEqual(normalizeForwardSource('https://t.me/news_channel/42?single'), {
+      peer: 'news_channel', messageId: 42, mode: 'forward', link: 'https://t.me/news_channel/42'
+    });
+    assert.equal(normalizeForwardSource('t.me/c/1234567890/7', 'copy').peer, '-1001234567890');
+    assert.equal(normalizeForwardSource({ peer: '@news_channel', messageId: '5' }).link, 'https://t.me/news_channel/5');
+    assert.equal(normalizeForwardSource({ peer: '-1001234567890', messageId: 5 }).link, 'https://t.me/c/1234567890/5');
+    assert.throws(() => normalizeForwardSource('@news_channel'), /messageId/);
+    assert.throws(() => normalizeForwardSource('t.me/news_channel/1', 'quote'), /forwardMode/);
+    assert.throws(() => normalizeForwardSource({ peer: 'not a channel', messageId: 1 }), /forwardFrom.peer/);
+  });
+
+  await test('A forwarded album post brings all of its items', async () => {
+    // Posts 10-12 are one album, 13 is a separate post
+    const posts = new Map([10, 11, 12, 13].map((id) => [id, { id, groupedId: id < 13 ? 'album1' : null, message: id === 10 ? 'Caption' : '' }]));
+    const tg = {
+      getInputEntity: async (peer) => ({ peer }),
+      getMessages: async (_peer, { ids }) => ids.map((id) => posts.get(id))
+    };
+
+    assert.deepEqual(await loadForwardSource(tg, { peer: 'news_channel', messageId: 11 }), {
+      fromPeer: { peer: 'news_channel' }, messageIds: [10, 11, 12], text: 'Caption'
+    });
+    assert.deepEqual((await loadForwardSource(tg, { peer: '-1001', messageId: 13 })).messageIds, [13]);
+    await assert.rejects(loadForwardSource(tg, { peer: 'news_channel', messageId: 99 }), /not found/);
+  });
+
+  cleanupTestFiles();
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 TEST RESULTS: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All broadcast history tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some broadcast history tests failed.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('❌ Broadcast history test runner failed:', error);
+  process.exit(1);
+});
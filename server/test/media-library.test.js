@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Media library tests
+ * Covers storing uploads with thumbnails, per-user listing and file reads, deletion and media type detection
+ */
+
+import './testDataDir.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import sharp from 'sharp';
+import { removeJson } from '../lib/storage.js';
+import {
+  detectMediaType,
+  listMediaAssets,
+  getMediaFilePath,
+  addMediaAsset,
+  readMediaFile,
+  deleteMediaAsset
+} from '../lib/mediaLibrary.js';
+
+const TEST_USER_ID = 'test_media_user';
+const OTHER_USER_ID = 'test_media_other_user';
+
+function cleanupTestFiles() {
+  for (const userId of [TEST_USER_ID, OTHER_USER_ID]) {
+    for (const asset of listMediaAssets(userId)) {
+      deleteMediaAsset(userId, asset.id);
+    }
+    removeJson(`media_${userId}.json`);
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Running media library tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  cleanupTestFiles();
+
+  await test('Uploads are typed by MIME type', async () => {
+    assert.equal(detectMediaType('image/jpeg'), 'photo');
+    assert.equal(detectMediaType('video/mp4'), 'video');
+    assert.equal(detectMediaType('audio/ogg'), 'voice');
+    assert.equal(detectMediaType('audio/mpeg'), 'document');
+    assert.equal(detectMediaType('application/pdf'), 'document');
+    assert.equal(detectMediaType(undefined), 'document');
+  });
+
+  await test('Photos are stored with a thumbnail, other files without', async () => {
+    const image = await sharp({ create: { width: 800, height: 400, channels: 3, background: '#3366ff' } }).png().toBuffer();
+    const photo = await addMediaAsset(TEST_USER_ID, { buffer: image, fileName: 'banner.png', mimeType: 'image/png' });
+    assert.equal(photo.type, 'photo');
+    assert.equal(photo.thumbnail, true);
+    assert.deepEqual([photo.width, photo.height], [800, 400]);
+    const thumbnail = await sharp(getMediaFilePath(photo, { thumbnail: true })).metadata();
+    assert.deepEqual([thumbnail.width, thumbnail.height], [320, 160]);
+
+    const document = await addMediaAsset(TEST_USER_ID, { buffer: Buffer.from('%PDF-1.4'), fileName: '../prices.pdf', mimeType: 'application/pdf' });
+    assert.equal(document.fileName, 'prices.pdf');
+    assert.equal(document.thumbnail, false);
+    assert.equal(getMediaFilePath(document, { thumbnail: true }), null);
+  });
+
+  await test('Assets are listed and read only by their owner', async () => {
+    const [photo, document] = listMediaAssets(TEST_USER_ID);
+    assert.equal(listMediaAssets(OTHER_USER_ID).length, 0);
+    assert.equal(readMediaFile(TEST_USER_ID, document.id).toString(), '%PDF-1.4');
+    assert.throws(() => readMediaFile(OTHER_USER_ID, photo.id), /not found/);
+  });
+
+  await test('Deleting an asset removes its files', async () => {
+    const [photo] = listMediaAssets(TEST_USER_ID);
+    const files = [getMediaFilePath(photo), getMediaFilePath(photo, { thumbnail: true })];
+    assert.equal(deleteMediaAsset(OTHER_USER_ID, photo.id), false);
+    assert.equal(deleteMediaAsset(TEST_USER_ID, photo.id), true);
+    assert.ok(files.every((filePath) => !fs.existsSync(filePath)));
+    assert.equal(listMediaAssets(TEST_USER_ID).length, 1);
+  });
+
+  cleanupTestFiles();
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 TEST RESULTS: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All media library tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some media library tests failed.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('❌ Media library test runner failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Broadcast message template tests
+ * Covers variables with fallbacks, nested fields, spintax, conditional blocks, syntax errors
+ * and markdown/HTML formatting
+ */
+
+import { strict as assert } from 'assert';
+import {
+  buildTemplateContext,
+  compileTemplate,
+  parseTemplate,
+  renderTemplate
+} from '../lib/messageTemplate.js';
+import { escapeHtml, escapeMarkdown, formatMessage, getVisibleLength, markdownToHtml, parseFormattingOptions } from '../lib/messageFormat.js';
+
+const audienceUser = {
+  id: '101',
+  firstName: 'Anna',
+  lastName: '',
+  fullName: 'Anna',
+  username: 'anna',
+  bio: 'Frontend developer',
+  sourceChannel: { id: '555', title: 'JS Chat', username: 'js_chat' }
+};
+
+const manualUser = { id: '@bob', username: 'bob', firstName: '', lastName: '', fullName: '@bob' };
+
+async function runTests() {
+  console.log('🧪 Running message template tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  await test('Variables use the first non-empty value of their fallbacks', async () => {
+    const template = 'Hi {firstName|username|"friend"} from {sourceChannel.title|"our chat"}!';
+    assert.equal(renderTemplate(template, buildTemplateContext(audienceUser, 'dm')), 'Hi Anna from JS Chat!');
+    assert.equal(renderTemplate(template, buildTemplateContext(manualUser, 'dm')), 'Hi bob from our chat!');
+    assert.equal(renderTemplate('{firstName|"friend"}', buildTemplateContext({ id: '1' }, 'dm')), 'friend');
+    assert.equal(renderTemplate('[{lastName}]', buildTemplateContext(audienceUser, 'dm')), '[]');
+  });
+
+  await test('Legacy {name} token keeps working', async () => {
+    assert.equal(renderTemplate('Hello, {name}!', buildTemplateContext(audienceUser, 'dm')), 'Hello, Anna!');
+    assert.equal(renderTemplate('Hello, {name}!', buildTemplateContext({ id: '42' }, 'dm')), 'Hello, 42!');
+    assert.equal(renderTemplate('Hello, {name}!', buildTemplateContext({ id: '7', title: 'News' }, 'chat')), 'Hello, News!');
+  });
+
+  await test('Spintax picks one option per message', async () => {
+    const render = compileTemplate('{Hi|Hello|Hey} {firstName}');
+    const context = buildTemplateContext(audienceUser, 'dm');
+    assert.equal(render(context, { random: () => 0 }), 'Hi Anna');
+    assert.equal(render(context, { random: () => 0.5 }), 'Hello Anna');
+    assert.equal(render(context, { random: () => 0.99 }), 'Hey Anna');
+    assert.equal(renderTemplate('{Hi {firstName}|Yo}!', context, { random: () => 0 }), 'Hi Anna!');
+  });
+
+  await test('Conditional blocks depend on whether a field is filled', async () => {
+    const template = '{#if bio}I saw your bio: {bio}.{#else}Nice to meet you.{/if}{#if !username} (no username){/if}';
+    assert.equal(renderTemplate(template, buildTemplateContext(audienceUser, 'dm')), 'I saw your bio: Frontend developer.');
+    assert.equal(renderTemplate(template, buildTemplateContext({ id: '1' }, 'dm')), 'Nice to meet you. (no username)');
+  });
+
+  await test('Other braces and escapes are sent as written', async () => {
+    const context = buildTemplateContext(audienceUser, 'dm');
+    assert.equal(renderTemplate('{foo} {"a": 1} a|b } {', context), '{foo} {"a": 1} a|b } {');
+    assert.equal(renderTemplate('\\{name\\} \\{A\\|B\\}', context), '{name} {A|B}');
+  });
+
+  await test('Malformed conditional blocks are rejected', async () => {
+    assert.throws(() => parseTemplate('{#if bio}no end'), /Missing \{\/if\}/);
+    assert.throws(() => parseTemplate('text{/if}'), /Unexpected \{\/if\}/);
+    assert.throws(() => parseTemplate('{#if unknown}x{/if}'), /Invalid condition/);
+    assert.throws(() => parseTemplate('{'.repeat(100)), /nested deeper/);
+  });
+
+  await test('Markdown is converted to Telegram HTML', async () => {
+    assert.equal(
+      markdownToHtml('**Hi** __there__ ~~old~~ ||secret|| <tag> & `a**b**` [site](https://x.com/a__b__?q=1&r=2)'),
+      '<b>Hi</b> <i>there</i> <s>old</s> <spoiler>secret</spoiler> &lt;tag&gt; &amp; <code>a**b**</code> <a href="https://x.com/a__b__?q=1&amp;r=2">site</a>'
+    );
+    assert.equal(markdownToHtml('```js\nconst a = **1**;\n```'), '<pre>const a = **1**;\n</pre>');
+    assert.equal(markdownToHtml('[bad](javascript:alert(1))'), '[bad](javascript:alert(1))');
+    assert.equal(markdownToHtml('\\*\\*not bold\\*\\* a\\b'), '**not bold** a\\b', 'other backslashes stay');
+  });
+
+  await test('Recipient fields are sent as written in markdown messages', async () => {
+    const render = compileTemplate('**Hi {username}**, {firstName}');
+    const rendered = render({ username: '__init__', firstName: '||Ann|| [x](https://a.b)' }, { escape: escapeMarkdown });
+    assert.equal(markdownToHtml(rendered), '<b>Hi __init__</b>, ||Ann|| [x](https://a.b)');
+    assert.equal(escapeMarkdown('a\\*b'), 'a\\\\\\*b');
+    assert.equal(markdownToHtml(escapeMarkdown('a\\*b')), 'a\\*b');
+  });
+
+  await test('Caption length counts the visible text only', async () => {
+    const html = markdownToHtml(`**${'a'.repeat(1000)}** & [link](https://example.com/${'x'.repeat(100)})`);
+    assert.ok(html.length > 1024);
+    assert.equal(getVisibleLength(html, 'html'), 1000 + ' & link'.length);
+    assert.equal(getVisibleLength('<b>a</b>', false), '<b>a</b>'.length, 'plain text has no markup');
+  });
+
+  await test('Parse modes map to GramJS options and recipient fields are escaped in HTML', async () => {
+    assert.deepEqual(formatMessage('**a**', 'plain'), { message: '**a**', parseMode: false });
+    assert.deepEqual(formatMessage('<b>a</b>', 'html'), { message: '<b>a</b>', parseMode: 'html' });
+    assert.deepEqual(formatMessage('**a**'), { message: '<b>a</b>', parseMode: 'html' });
+
+    const render = compileTemplate('<b>{firstName|"<i>friend</i>"}</b>');
+    assert.equal(render({ firstName: 'Tom & <Jerry>' }, { escape: escapeHtml }), '<b>Tom &amp; &lt;Jerry&gt;</b>');
+    assert.equal(render({}, { escape: escapeHtml }), '<b><i>friend</i></b>', 'fallback literals are markup');
+
+    assert.deepEqual(parseFormattingOptions({}).formatting, { parseMode: 'markdown', linkPreview: true, silent: false });
+    assert.match(parseFormattingOptions({ parseMode: 'bbcode' }).error, /parseMode/);
+    assert.match(parseFormattingOptions({ silent: 'yes' }).error, /silent/);
+  });
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 TEST RESULTS: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All message template tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some message template tests failed.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('❌ Message template test runner failed:', error);
+  process.exit(1);
+});
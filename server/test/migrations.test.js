@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Schema migration tests
+ * Covers the version chain of parsing and audience records, the version guard of the readers and
+ * the in-place migration of the data directory (a temporary one) with its backup
+ */
+
+import { TEST_DATA_DIR } from './testDataDir.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { getRecord, saveRecord, deleteRecord } from '../lib/storage.js';
+import { SCHEMA_VERSIONS, migrateRecord, assertCurrentVersion, listOutdatedRecords, migrateDataDir } from '../lib/migrations.js';
+
+const TEST_USER_ID = 'test_migrations_user';
+const NOW = Date.parse('2026-06-01T00:00:00.000Z');
+const backupPath = path.join(TEST_DATA_DIR, 'backups', `migration_${NOW}`);
+
+const legacyParsing = {
+  id: 'test_migrations_parsing',
+  userId: TEST_USER_ID,
+  query: 'crypto',
+  minMembers: 500,
+  timestamp: '2025-11-08T18:05:00.323Z',
+  channels: [
+    { id: '101', title: 'Crypto news', username: 'cryptonews', membersCount: '1200', type: 'Megagroup', description: 'Daily' },
+    { id: '102', title: 'Private', membersCount: 40, peer: { id: '102', accessHash: '9' }, category: 'discussion' }
+  ]
+};
+const legacyAudience = {
+  id: 'test_migrations_audience',
+  userId: TEST_USER_ID,
+  chatId: 'somechat',
+  timestamp: '2025-11-09T16:42:57.574Z',
+  users: [{ id: 7, username: 'member', firstName: 'Ann', lastName: 'Lee' }]
+};
+const sessionAudience = {
+  ...legacyAudience,
+  id: 'test_migrations_session_audience',
+  version: '2.0',
+  sessionId: 'parsing_1',
+  count: 1
+};
+const testRecords = [['parsing', legacyParsing], ['audience', legacyAudience], ['audience', sessionAudience]];
+
+function cleanupTestFiles() {
+  for (const [kind, record] of testRecords) {
+    deleteRecord(kind, record.id);
+  }
+  fs.rmSync(backupPath, { recursive: true, force: true });
+}
+
+const mine = (items) => items.filter((item) => item.id.startsWith('test_migrations_')).map((item) => item.id).sort();
+
+async function runTests() {
+  console.log('🧪 Running schema migration tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  cleanupTestFiles();
+
+  await test('Unversioned parsing sessions are upgraded to the enriched schema', async () => {
+    const migrated = migrateRecord('parsing', legacyParsing);
+    assert.equal(migrated.version, SCHEMA_VERSIONS.parsing);
+    assert.equal(migrated.enriched, true);
+    assert.deepEqual(migrated.keywords, ['crypto']);
+    assert.equal(migrated.searchFilters.minMembers, 500);
+    assert.equal(migrated.count, 2);
+
+    const [legacy, partial] = migrated.channels;
+    assert.equal(legacy.membersCount, 1200);
+    assert.equal(legacy.address, '@cryptonews');
+    assert.equal(legacy.resolvedLink, 'https://t.me/cryptonews');
+    assert.equal(legacy.peer, null);
+    assert.equal(legacy.metadata.privacy, 'public');
+    assert.equal(legacy.category, 'Megagroup');
+    assert.deepEqual(partial.peer, { id: '102', accessHash: '9' }, 'enriched fields already present are kept');
+    assert.equal(partial.category, 'discussion');
+    assert.equal(partial.metadata.privacy, 'private');
+
+    assert.equal(migrateRecord('parsing', migrated), migrated, 'current records are returned as they are');
+    assert.equal(legacyParsing.version, undefined, 'the input is not modified');
+  });
+
+  await test('Audiences go through every step up to the peer metadata schema', async () => {
+    const fromLegacy = migrateRecord('audience', legacyAudience);
+    assert.equal(fromLegacy.version, SCHEMA_VERSIONS.audience);
+    assert.equal(fromLegacy.sessionId, null);
+    assert.equal(fromLegacy.count, 1);
+    assert.deepEqual(fromLegacy.users[0], {
+      id: '7', username: 'member', firstName: 'Ann', lastName: 'Lee', fullName: 'Ann Lee',
+      phone: null, bio: null, sourceChannel: null, peer: null
+    });
+
+    const fromSession = migrateRecord('audience', sessionAudience);
+    assert.equal(fromSession.version, SCHEMA_VERSIONS.audience);
+    assert.equal(fromSession.sessionId, 'parsing_1');
+
+    assert.throws(() => migrateRecord('audience', { ...legacyAudience, version: '9.0' }), /No migration for audience record .* from version 9\.0/);
+  });
+
+  await test('Readers reject records that were not migrated', async () => {
+    assert.throws(() => assertCurrentVersion('parsing', legacyParsing), /has schema version 1\.0, expected 2\.0; run npm run storage:migrate/);
+    assert.throws(() => assertCurrentVersion('audience', sessionAudience), /expected 3\.0/);
+    const current = migrateRecord('audience', legacyAudience);
+    assert.equal(assertCurrentVersion('audience', current), current);
+  });
+
+  await test('The data directory is backed up and migrated in place', async () => {
+    for (const [kind, record] of testRecords) {
+      saveRecord(kind, record);
+    }
+    const outdated = listOutdatedRecords();
+    assert.deepEqual(mine(outdated.parsing), [legacyParsing.id]);
+    assert.deepEqual(mine(outdated.audience), [legacyAudience.id, sessionAudience.id]);
+
+    const result = migrateDataDir({ now: NOW });
+    assert.equal(result.backupPath, backupPath);
+    assert.deepEqual(result.migrated, { parsing: 1, audience: 2 });
+
+    const backedUp = JSON.parse(fs.readFileSync(path.join(backupPath, `parsing_results_${legacyParsing.id}.json`), 'utf-8'));
+    assert.deepEqual(backedUp, legacyParsing, 'the backup holds the records as they were');
+    assert.equal(getRecord('parsing', legacyParsing.id).version, SCHEMA_VERSIONS.parsing);
+    assert.equal(getRecord('audience', sessionAudience.id).version, SCHEMA_VERSIONS.audience);
+
+    assert.deepEqual(mine(listOutdatedRecords().audience), []);
+    assert.deepEqual(migrateDataDir({ now: NOW + 1 }), { backupPath: null, migrated: { parsing: 0, audience: 0 } }, 'a second run has nothing to do');
+  });
+
+  cleanupTestFiles();
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 TEST RESULTS: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All schema migration tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some schema migration tests failed.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('❌ Schema migration test runner failed:', error);
+  process.exit(1);
+});
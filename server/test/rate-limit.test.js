@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Telegram rate limiter tests
+ * Covers FLOOD_WAIT parsing, retries, progress reporting, abort and adaptive per-method delays
+ */
+
+import { strict as assert } from 'assert';
+import {
+  callWithRateLimit,
+  getFloodWaitSeconds,
+  getMethodDelays,
+  withRateLimitContext
+} from '../services/telegramClient.js';
+
+// Shaped like GramJS FloodWaitError
+function floodWaitError(seconds) {
+  const error = new Error(`A wait of ${seconds} seconds is required (caused by messages.SendMessage)`);
+  error.seconds = seconds;
+  error.errorMessage = 'FLOOD';
+  return error;
+}
+
+async function runTests() {
+  console.log('🧪 Running rate limiter tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  await test('Wait seconds are parsed from flood errors only', async () => {
+    assert.equal(getFloodWaitSeconds(floodWaitError(42)), 42);
+    assert.equal(getFloodWaitSeconds(new Error('FLOOD_WAIT_17')), 17);
+    assert.equal(getFloodWaitSeconds(new Error('SLOWMODE_WAIT_5')), 5);
+    assert.equal(getFloodWaitSeconds(new Error('USER_IS_BLOCKED')), null);
+    assert.equal(getFloodWaitSeconds(null), null);
+  });
+
+  await test('Flood wait is slept out, reported and the call retried', async () => {
+    const waits = [];
+    let calls = 0;
+    const startedAt = Date.now();
+
+    const result = await withRateLimitContext({ onFloodWait: (wait) => waits.push(wait) }, () =>
+      callWithRateLimit('test.Retry', async () => {
+        calls++;
+        if (calls === 1) throw floodWaitError(0);
+        return 'sent';
+      })
+    );
+
+    assert.equal(result, 'sent');
+    assert.equal(calls, 2);
+    assert.deepEqual(waits, [{ seconds: 0, method: 'test.Retry' }]);
+    assert.ok(Date.now() - startedAt >= 900, 'waits before retrying');
+  });
+
+  await test('A method that hit a flood wait gets an inter-request delay', async () => {
+    assert.ok(getMethodDelays()['test.Retry'] >= 1000);
+    assert.equal(getMethodDelays()['test.Other'], undefined, 'other methods are not slowed down');
+  });
+
+  await test('Other errors and over-long waits are not retried', async () => {
+    let calls = 0;
+    await assert.rejects(
+      callWithRateLimit('test.Blocked', async () => {
+        calls++;
+        throw new Error('USER_IS_BLOCKED');
+      }),
+      /USER_IS_BLOCKED/
+    );
+    assert.equal(calls, 1);
+
+    await assert.rejects(
+      callWithRateLimit('test.Long', async () => {
+        throw floodWaitError(86400);
+      }),
+      /wait of 86400 seconds/
+    );
+  });
+
+  await test('Aborting the task cuts the flood wait short', async () => {
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(
+      withRateLimitContext({ signal: controller.signal }, () =>
+        callWithRateLimit('test.Abort', async () => {
+          throw floodWaitError(60);
+        })
+      ),
+      (error) => getFloodWaitSeconds(error) === 60
+    );
+    assert.ok(Date.now() - startedAt < 5000);
+  });
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 TEST RESULTS: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All rate limiter tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some rate limiter tests failed.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('❌ Rate limiter test runner failed:', error);
+  process.exit(1);
+});
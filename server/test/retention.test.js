@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Retention tests
+ * Covers the policy read from the environment, age and per-user count limits, records still used by
+ * unfinished tasks, dry runs and the actual cleanup of tasks, results, replies and avatars
+ */
+
+import './testDataDir.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { getDataPath, getRecord, saveRecord, deleteRecord, writeJson, readJson, removeJson, saveTasks } from '../lib/storage.js';
+import { addBroadcastReply, listBroadcastReplies } from '../lib/broadcastHistory.js';
+import { TaskManager } from '../lib/taskManager.js';
+import { getRetentionPolicy, planCleanup, runCleanup } from '../lib/retention.js';
+
+const TEST_USER_ID = 'test_retention_user';
+const TEST_TASKS_FILE = 'tasks_test_retention.json';
+const NOW = Date.parse('2026-06-01T00:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAgo = (days) => new Date(NOW - days * DAY_MS).toISOString();
+const avatarPath = path.join(getDataPath(), 'avatars', `${TEST_USER_ID}.jpg`);
+
+const POLICY = {
+  tasks: { maxAgeDays: 30, maxCount: 0 },
+  parsing: { maxAgeDays: 0, maxCount: 2 },
+  audience: { maxAgeDays: 90, maxCount: 0 },
+  broadcast: { maxAgeDays: 90, maxCount: 0 },
+  avatars: { maxAgeDays: 30, maxCount: 0 }
+};
+
+const RECORDS = [
+  ['parsing', { id: 'test_retention_parsing_1', userId: TEST_USER_ID, createdAt: daysAgo(1), channels: [] }],
+  ['parsing', { id: 'test_retention_parsing_2', userId: TEST_USER_ID, createdAt: daysAgo(2), channels: [] }],
+  ['parsing', { id: 'test_retention_parsing_3', userId: TEST_USER_ID, createdAt: daysAgo(3), channels: [] }],
+  ['audience', { id: 'test_retention_audience_old', userId: TEST_USER_ID, timestamp: daysAgo(200), users: [] }],
+  ['audience', { id: 'test_retention_audience_used', userId: TEST_USER_ID, timestamp: daysAgo(200), users: [] }],
+  ['broadcast', { id: 'test_retention_broadcast_old', taskId: 'old_history_task', userId: TEST_USER_ID, createdAt: daysAgo(120), deliveryLog: [] }],
+  ['broadcast', { id: 'test_retention_broadcast_new', taskId: 'old_retryable', userId: TEST_USER_ID, createdAt: daysAgo(10), deliveryLog: [] }]
+];
+
+function seed() {
+  for (const [kind, record] of RECORDS) {
+    saveRecord(kind, record);
+  }
+  addBroadcastReply('test_retention_broadcast_old', { recipient: { id: '1' }, messageId: 1, text: 'Hi', receivedAt: daysAgo(119) });
+
+  saveTasks(TEST_TASKS_FILE, {
+    old_done: { id: 'old_done', type: 'broadcast', userId: TEST_USER_ID, status: 'completed', createdAt: NOW - 60 * DAY_MS, updatedAt: NOW - 60 * DAY_MS },
+    new_done: { id: 'new_done', type: 'broadcast', userId: TEST_USER_ID, status: 'failed', createdAt: NOW - DAY_MS, updatedAt: NOW - DAY_MS },
+    old_retryable: { id: 'old_retryable', type: 'broadcast', userId: TEST_USER_ID, status: 'completed', createdAt: NOW - 60 * DAY_MS, updatedAt: NOW - 60 * DAY_MS },
+    old_history_task: { id: 'old_history_task', type: 'broadcast', userId: TEST_USER_ID, status: 'completed', createdAt: NOW - 60 * DAY_MS, updatedAt: NOW - 60 * DAY_MS },
+    old_dead: { id: 'old_dead', type: 'parsing', userId: TEST_USER_ID, status: 'interrupted', resumable: false, createdAt: NOW - 60 * DAY_MS, updatedAt: NOW - 60 * DAY_MS },
+    old_resumable: { id: 'old_resumable', type: 'broadcast', userId: TEST_USER_ID, status: 'interrupted', resumable: true, createdAt: NOW - 60 * DAY_MS, updatedAt: NOW - 60 * DAY_MS },
+    old_scheduled: {
+      id: 'old_scheduled',
+      type: 'broadcast',
+      userId: TEST_USER_ID,
+      status: 'scheduled',
+      payload: { userId: TEST_USER_ID, audienceId: 'test_retention_audience_used' },
+      createdAt: NOW - 60 * DAY_MS,
+      updatedAt: NOW - 60 * DAY_MS
+    },
+    other_user: { id: 'other_user', type: 'broadcast', userId: 'test_retention_other', status: 'completed', createdAt: NOW - 60 * DAY_MS, updatedAt: NOW - 60 * DAY_MS }
+  });
+
+  fs.mkdirSync(path.dirname(avatarPath), { recursive: true });
+  fs.writeFileSync(avatarPath, 'jpeg');
+  writeJson(`avatars/${TEST_USER_ID}.meta.json`, { userId: TEST_USER_ID, downloadedAt: daysAgo(45) });
+}
+
+function cleanupTestFiles() {
+  for (const [kind, record] of RECORDS) {
+    deleteRecord(kind, record.id);
+  }
+  removeJson('broadcast_replies_test_retention_broadcast_old.json');
+  saveTasks(TEST_TASKS_FILE, {});
+  fs.rmSync(path.join(getDataPath(), TEST_TASKS_FILE.replace(/\.json$/, '')), { recursive: true, force: true });
+  fs.rmSync(avatarPath, { force: true });
+  removeJson(`avatars/${TEST_USER_ID}.meta.json`);
+}
+
+const ids = (items) => items.map((item) => item.id).sort();
+
+async function runTests() {
+  console.log('🧪 Running retention tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  cleanupTestFiles();
+
+  await test('Policy comes from RETENTION_* variables with safe defaults', async () => {
+    const policy = getRetentionPolicy({ RETENTION_PARSING_DAYS: '60', RETENTION_TASKS_MAX_PER_USER: '10', RETENTION_AUDIENCE_DAYS: '-5' });
+    assert.deepEqual(policy.parsing, { maxAgeDays: 60, maxCount: 0 });
+    assert.deepEqual(policy.tasks, { maxAgeDays: 30, maxCount: 10 });
+    assert.deepEqual(policy.audience, { maxAgeDays: 0, maxCount: 0 }, 'invalid values fall back to the default');
+    assert.deepEqual(getRetentionPolicy({}).broadcast, { maxAgeDays: 0, maxCount: 0 }, 'results are kept unless configured');
+  });
+
+  await test('Dry run reports old and surplus items without removing anything', async () => {
+    seed();
+    const manager = new TaskManager(TEST_TASKS_FILE);
+    const report = runCleanup({ dryRun: true, userId: TEST_USER_ID, manager, policy: POLICY, now: NOW });
+
+    assert.equal(report.dryRun, true);
+    assert.deepEqual(ids(report.purge.tasks), ['old_dead', 'old_done', 'old_history_task'], 'tasks of broadcasts purged with them go too');
+    assert.deepEqual(ids(report.purge.parsing), ['test_retention_parsing_3']);
+    assert.equal(report.purge.parsing[0].reason, 'count');
+    assert.deepEqual(ids(report.purge.audience), ['test_retention_audience_old'], 'audiences of pending broadcasts are kept');
+    assert.deepEqual(ids(report.purge.broadcast), ['test_retention_broadcast_old']);
+    assert.equal(report.purge.broadcast[0].reason, 'age');
+    assert.deepEqual(ids(report.purge.avatars), [TEST_USER_ID]);
+    assert.deepEqual(report.counts, { tasks: 3, parsing: 1, audience: 1, broadcast: 1, avatars: 1 });
+    assert.deepEqual(report.deleted, { tasks: 0, parsing: 0, audience: 0, broadcast: 0, avatars: 0 });
+
+    assert.ok(getRecord('parsing', 'test_retention_parsing_3'));
+    assert.ok(manager.get('old_done'));
+    assert.ok(fs.existsSync(avatarPath));
+  });
+
+  await test('Cleanup removes what the report lists and nothing else', async () => {
+    const manager = new TaskManager(TEST_TASKS_FILE);
+    const result = runCleanup({ userId: TEST_USER_ID, manager, policy: POLICY, now: NOW });
+    assert.deepEqual(result.deleted, { tasks: 3, parsing: 1, audience: 1, broadcast: 1, avatars: 1 });
+
+    assert.equal(manager.get('old_done'), null);
+    assert.equal(new TaskManager(TEST_TASKS_FILE).get('old_done'), null, 'the task record is deleted');
+    assert.equal(manager.get('old_dead'), null, 'interrupted tasks that cannot be resumed are purged');
+    assert.ok(manager.get('old_resumable'), 'interrupted tasks that can be resumed are kept');
+    assert.ok(manager.get('old_retryable'), 'a broadcast still in history keeps its task for retries');
+    assert.ok(manager.get('new_done'));
+    assert.ok(manager.get('old_scheduled'));
+    assert.ok(manager.get('other_user'), 'other users are untouched');
+
+    assert.equal(getRecord('parsing', 'test_retention_parsing_3'), null);
+    assert.ok(getRecord('parsing', 'test_retention_parsing_2'));
+    assert.equal(getRecord('audience', 'test_retention_audience_old'), null);
+    assert.ok(getRecord('audience', 'test_retention_audience_used'));
+    assert.equal(getRecord('broadcast', 'test_retention_broadcast_old'), null);
+    assert.deepEqual(listBroadcastReplies('test_retention_broadcast_old'), []);
+    assert.ok(getRecord('broadcast', 'test_retention_broadcast_new'));
+
+    assert.equal(fs.existsSync(avatarPath), false);
+    assert.equal(readJson(`avatars/${TEST_USER_ID}.meta.json`, null), null);
+
+    const again = planCleanup({ userId: TEST_USER_ID, manager, policy: POLICY, now: NOW });
+    assert.deepEqual(again.counts, { tasks: 0, parsing: 0, audience: 0, broadcast: 0, avatars: 0 });
+  });
+
+  cleanupTestFiles();
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 TEST RESULTS: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All retention tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some retention tests failed.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('❌ Retention test runner failed:', error);
+  process.exit(1);
+});
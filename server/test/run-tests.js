@@ -16,7 +16,17 @@ console.log('🧪 Running parsing enrichment test suite...\n');
 
 const testFiles = [
   'parsing-enrichment.test.js',
-  'api-integration.test.js'
+  'api-integration.test.js',
+  'task-manager.test.js',
+  'rate-limit.test.js',
+  'suppression.test.js',
+  'broadcast-history.test.js',
+  'message-template.test.js',
+  'media-library.test.js',
+  'saved-templates.test.js',
+  'storage.test.js',
+  'retention.test.js',
+  'migrations.test.js'
 ];
 
 let totalPassed = 0;
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Saved message template tests
+ * Covers validation and defaults, versioning on content changes, per-user listing with tag filter and media checks
+ */
+
+import './testDataDir.js';
+import { strict as assert } from 'assert';
+import {
+  listSavedTemplates,
+  getSavedTemplate,
+  getSavedTemplateVersion,
+  createSavedTemplate,
+  updateSavedTemplate,
+  deleteSavedTemplate
+} from '../lib/savedTemplates.js';
+
+const TEST_USER_ID = 'test_templates_user';
+const OTHER_USER_ID = 'test_templates_other_user';
+
+function cleanupTestFiles() {
+  for (const userId of [TEST_USER_ID, OTHER_USER_ID]) {
+    for (const template of listSavedTemplates(userId)) {
+      deleteSavedTemplate(template.id);
+    }
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Running saved template tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  cleanupTestFiles();
+
+  await test('Templates are validated and get defaults', async () => {
+    const template = createSavedTemplate(TEST_USER_ID, { body: 'Spring sale\nHi {firstName|"friend"}', tags: ['promo', ' promo ', ''] });
+    assert.equal(template.title, 'Spring sale');
+    assert.equal(template.parseMode, 'markdown');
+    assert.deepEqual(template.tags, ['promo']);
+    assert.deepEqual(template.mediaIds, []);
+    assert.equal(template.version, 1);
+
+    assert.throws(() => createSavedTemplate(TEST_USER_ID, { body: '  ' }), /body required/);
+    assert.throws(() => createSavedTemplate(TEST_USER_ID, { body: '{#if bio}' }), /Invalid message template/);
+    assert.throws(() => createSavedTemplate(TEST_USER_ID, { body: 'Hi', parseMode: 'bbcode' }), /parseMode/);
+    assert.throws(() => createSavedTemplate(TEST_USER_ID, { body: 'Hi', mediaIds: ['media_missing'] }), /Media media_missing not found/);
+  });
+
+  await test('Content changes make a new version, tag changes do not', async () => {
+    const [template] = listSavedTemplates(TEST_USER_ID);
+    assert.equal(updateSavedTemplate(template.id, { tags: ['promo', 'spring'] }).version, 1);
+
+    const updated = updateSavedTemplate(template.id, { body: 'Hello {firstName}', parseMode: 'html' });
+    assert.equal(updated.version, 2);
+    assert.deepEqual(updated.tags, ['promo', 'spring']);
+    assert.equal(getSavedTemplateVersion(updated, 1).body, 'Spring sale\nHi {firstName|"friend"}');
+    assert.equal(getSavedTemplateVersion(updated, 2).parseMode, 'html');
+    assert.equal(getSavedTemplateVersion(updated, 3), null);
+    assert.equal(updateSavedTemplate('template_missing', { body: 'x' }), null);
+  });
+
+  await test('Templates are listed per user and filtered by tag', async () => {
+    createSavedTemplate(TEST_USER_ID, { title: 'Follow-up', body: 'Any news?' });
+    createSavedTemplate(OTHER_USER_ID, { body: 'Not yours', tags: ['promo'] });
+
+    assert.equal(listSavedTemplates(TEST_USER_ID).length, 2);
+    assert.deepEqual(listSavedTemplates(TEST_USER_ID, { tag: 'promo' }).map((template) => template.version), [2]);
+    assert.equal(listSavedTemplates(OTHER_USER_ID).length, 1);
+
+    const [followUp] = listSavedTemplates(TEST_USER_ID).filter((template) => template.title === 'Follow-up');
+    assert.equal(deleteSavedTemplate(followUp.id), true);
+    assert.equal(getSavedTemplate(followUp.id), null);
+  });
+
+  cleanupTestFiles();
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 TEST RESULTS: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All saved template tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some saved template tests failed.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('❌ Saved template test runner failed:', error);
+  process.exit(1);
+});
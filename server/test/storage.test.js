@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+/**
+ * Storage driver tests
+ * Runs the same record and task contract against the JSON and SQLite drivers, plus the JSON -> SQLite import
+ * and the crash-safe writes of data files
+ */
+
+import './testDataDir.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jsonStore, importJsonRecords, getDataPath, readJson, writeJson, removeJson } from '../lib/storage.js';
+import { createSqliteStore } from '../lib/sqliteStore.js';
+
+const TEST_USER_ID = 'test_storage_user';
+const OTHER_USER_ID = 'test_storage_other_user';
+const TASKS_FILE = 'test_storage_tasks.json';
+const WRITE_FILE = 'test_storage_write.json';
+const SQLITE_FILE = path.join(os.tmpdir(), `test_storage_${process.pid}.sqlite`);
+
+const parsingRecord = {
+  id: 'test_storage_parsing',
+  userId: TEST_USER_ID,
+  query: 'crypto',
+  createdAt: '2026-01-02T10:00:00.000Z',
+  channels: [{ id: '101', username: 'first' }, { id: '102', username: 'second' }]
+};
+const olderParsingRecord = {
+  id: 'test_storage_parsing_old',
+  userId: TEST_USER_ID,
+  query: 'news',
+  createdAt: '2026-01-01T10:00:00.000Z',
+  channels: []
+};
+const audienceRecord = {
+  id: 'test_storage_audience',
+  userId: OTHER_USER_ID,
+  timestamp: '2026-01-03T10:00:00.000Z',
+  users: [{ id: 7, username: 'member' }]
+};
+const broadcastRecord = {
+  id: 'test_storage_broadcast',
+  userId: TEST_USER_ID,
+  accountId: 'acc_1',
+  mode: 'dm',
+  status: 'completed',
+  createdAt: '2026-01-04T10:00:00.000Z',
+  deliveryLog: [
+    { recipient: { id: '1', username: 'ok' }, status: 'success', timestamp: '2026-01-04T10:00:05.000Z' },
+    { recipient: { id: '2', username: 'blocked' }, status: 'failed', timestamp: '2026-01-04T10:00:06.000Z' },
+    { recipient: { id: '3', username: 'early' }, status: 'success', timestamp: '2025-12-01T10:00:00.000Z' }
+  ]
+};
+const testRecords = [['parsing', parsingRecord], ['parsing', olderParsingRecord], ['audience', audienceRecord], ['broadcast', broadcastRecord]];
+
+function cleanupTestFiles() {
+  for (const [kind, record] of testRecords) {
+    jsonStore.deleteRecord(kind, record.id);
+  }
+  removeJson(TASKS_FILE);
+  fs.rmSync(path.join(getDataPath(), 'test_storage_tasks'), { recursive: true, force: true });
+  removeJson(WRITE_FILE);
+  for (const suffix of ['', '-wal', '-shm']) {
+    fs.rmSync(SQLITE_FILE + suffix, { force: true });
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Running storage driver tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  cleanupTestFiles();
+
+  const sqliteStore = createSqliteStore(SQLITE_FILE);
+  const drivers = [['json', jsonStore], ['sqlite', sqliteStore]];
+
+  for (const [driver, store] of drivers) {
+    await test(`[${driver}] Records round-trip with their rows`, async () => {
+      for (const [kind, record] of testRecords) {
+        store.saveRecord(kind, record);
+      }
+      assert.deepEqual(store.getRecord('parsing', parsingRecord.id), parsingRecord);
+      assert.deepEqual(store.getRecord('audience', audienceRecord.id).users, [{ id: 7, username: 'member' }]);
+      assert.equal(store.getRecord('broadcast', 'test_storage_missing'), null);
+
+      store.saveRecord('parsing', { ...parsingRecord, channels: [{ id: '103', username: 'third' }] });
+      assert.deepEqual(store.getRecord('parsing', parsingRecord.id).channels, [{ id: '103', username: 'third' }]);
+      store.saveRecord('parsing', parsingRecord);
+    });
+
+    await test(`[${driver}] Lists are per user, newest first and leave rows out unless asked`, async () => {
+      const ids = (records) => records.filter((record) => record.id.startsWith('test_storage_')).map((record) => record.id);
+
+      const summaries = store.listRecords('parsing', { userId: TEST_USER_ID });
+      assert.deepEqual(ids(summaries), [parsingRecord.id, olderParsingRecord.id]);
+      assert.equal(summaries[0].channels, undefined);
+      assert.equal(summaries[0].query, 'crypto');
+
+      const full = store.listRecords('parsing', { userId: TEST_USER_ID, withItems: true });
+      assert.equal(full[0].channels.length, 2);
+      assert.deepEqual(ids(store.listRecords('audience', { userId: TEST_USER_ID })), []);
+      assert.deepEqual(ids(store.listRecords('audience', { userId: OTHER_USER_ID })), [audienceRecord.id]);
+    });
+
+    await test(`[${driver}] Deliveries are filtered by mode, status and time`, async () => {
+      const mine = (filters) => store.listDeliveries(filters).filter((delivery) => delivery.historyId === broadcastRecord.id);
+
+      const recent = mine({ mode: 'dm', status: 'success', since: new Date('2026-01-01T00:00:00.000Z') });
+      assert.equal(recent.length, 1);
+      assert.equal(recent[0].entry.recipient.username, 'ok');
+      assert.equal(recent[0].userId, TEST_USER_ID);
+      assert.equal(recent[0].accountId, 'acc_1');
+
+      assert.equal(mine({ status: 'success' }).length, 2);
+      assert.equal(mine({}).length, 3);
+      assert.equal(mine({ mode: 'groups' }).length, 0);
+    });
+
+    await test(`[${driver}] Task queues are saved and loaded by name`, async () => {
+      const tasks = {
+        task_1: { id: 'task_1', type: 'parse_search', userId: TEST_USER_ID, status: 'running', updatedAt: 1 },
+        task_2: { id: 'task_2', type: 'broadcast', userId: TEST_USER_ID, status: 'queued', updatedAt: 2 }
+      };
+      store.saveTasks(TASKS_FILE, tasks);
+      assert.deepEqual(store.loadTasks(TASKS_FILE), tasks);
+
+      delete tasks.task_1;
+      store.saveTasks(TASKS_FILE, tasks);
+      assert.deepEqual(Object.keys(store.loadTasks(TASKS_FILE)), ['task_2']);
+    });
+
+    await test(`[${driver}] Single tasks are written and deleted without touching the others`, async () => {
+      store.saveTask(TASKS_FILE, { id: 'task_3', type: 'broadcast', userId: TEST_USER_ID, status: 'running', progress: 40 });
+      store.saveTask(TASKS_FILE, { id: 'task_3', type: 'broadcast', userId: TEST_USER_ID, status: 'running', progress: 60 });
+      const tasks = store.loadTasks(TASKS_FILE);
+      assert.deepEqual(Object.keys(tasks).sort(), ['task_2', 'task_3']);
+      assert.equal(tasks.task_3.progress, 60);
+
+      store.deleteTask(TASKS_FILE, 'task_3');
+      assert.deepEqual(Object.keys(store.loadTasks(TASKS_FILE)), ['task_2']);
+    });
+
+    await test(`[${driver}] Deleting a record removes it and its rows`, async () => {
+      assert.equal(store.deleteRecord('broadcast', broadcastRecord.id), true);
+      assert.equal(store.deleteRecord('broadcast', broadcastRecord.id), false);
+      assert.equal(store.getRecord('broadcast', broadcastRecord.id), null);
+      assert.equal(store.listDeliveries({}).filter((delivery) => delivery.historyId === broadcastRecord.id).length, 0);
+      store.saveRecord('broadcast', broadcastRecord);
+    });
+  }
+
+  await test('JSON records and task files are imported into SQLite', async () => {
+    for (const [kind, record] of testRecords) {
+      sqliteStore.deleteRecord(kind, record.id);
+    }
+    sqliteStore.saveTasks(TASKS_FILE, {});
+
+    const counts = importJsonRecords(sqliteStore, [TASKS_FILE]);
+    assert.ok(counts.parsing >= 2);
+    assert.ok(counts.audience >= 1);
+    assert.ok(counts.broadcast >= 1);
+    assert.equal(counts.tasks, 1);
+
+    assert.deepEqual(sqliteStore.getRecord('parsing', parsingRecord.id), parsingRecord);
+    assert.deepEqual(sqliteStore.getRecord('broadcast', broadcastRecord.id), broadcastRecord);
+    assert.deepEqual(Object.keys(sqliteStore.loadTasks(TASKS_FILE)), ['task_2']);
+  });
+
+  await test('A task queue saved as one file is split into a file per task', async () => {
+    jsonStore.saveTasks(TASKS_FILE, { task_2: { id: 'task_2', status: 'completed', progress: 100 } });
+    writeJson(TASKS_FILE, {
+      task_2: { id: 'task_2', status: 'running', progress: 10 },
+      task_4: { id: 'task_4', status: 'queued', progress: 0 }
+    });
+
+    assert.equal(Object.keys(jsonStore.loadTasks(TASKS_FILE)).length, 1, 'loading does not touch the legacy file');
+    assert.ok(fs.existsSync(path.join(getDataPath(), TASKS_FILE)));
+
+    assert.equal(jsonStore.splitLegacyTasks(TASKS_FILE), 2);
+    const tasks = jsonStore.loadTasks(TASKS_FILE);
+    assert.equal(tasks.task_2.status, 'completed', 'tasks already split are newer');
+    assert.equal(tasks.task_4.status, 'queued');
+    assert.equal(fs.existsSync(path.join(getDataPath(), TASKS_FILE)), false);
+    assert.ok(fs.existsSync(path.join(getDataPath(), 'test_storage_tasks', 'task_4.json')));
+    assert.deepEqual(Object.keys(jsonStore.loadTasks(TASKS_FILE)).sort(), ['task_2', 'task_4']);
+  });
+
+  await test('Importing reads a legacy task file without splitting it', async () => {
+    const legacyFile = path.join(getDataPath(), TASKS_FILE);
+    writeJson(TASKS_FILE, {
+      task_4: { id: 'task_4', status: 'running', progress: 10 },
+      task_5: { id: 'task_5', status: 'queued', progress: 0 }
+    });
+    const legacyContent = fs.readFileSync(legacyFile, 'utf-8');
+    sqliteStore.saveTasks(TASKS_FILE, {});
+
+    const counts = importJsonRecords(sqliteStore, [TASKS_FILE]);
+    assert.equal(counts.tasks, 3);
+    const imported = sqliteStore.loadTasks(TASKS_FILE);
+    assert.deepEqual(Object.keys(imported).sort(), ['task_2', 'task_4', 'task_5']);
+    assert.equal(imported.task_4.status, 'queued', 'tasks already split win over the legacy file');
+
+    assert.equal(fs.readFileSync(legacyFile, 'utf-8'), legacyContent, 'the legacy file is left as it was');
+    assert.deepEqual(Object.keys(jsonStore.loadTasks(TASKS_FILE)).sort(), ['task_2', 'task_4'], 'the JSON task dir is not changed');
+    removeJson(TASKS_FILE);
+  });
+
+  await test('Writes replace the file atomically and keep the previous version', async () => {
+    writeJson(WRITE_FILE, { version: 1 });
+    writeJson(WRITE_FILE, { version: 2 });
+
+    const filePath = path.join(getDataPath(), WRITE_FILE);
+    assert.deepEqual(readJson(WRITE_FILE, null), { version: 2 });
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${filePath}.bak`, 'utf-8')), { version: 1 });
+    assert.deepEqual(fs.readdirSync(getDataPath()).filter((file) => file.startsWith(WRITE_FILE) && file.endsWith('.tmp')), []);
+  });
+
+  await test('Corrupted data files fail loudly instead of reading as the default', async () => {
+    fs.writeFileSync(path.join(getDataPath(), WRITE_FILE), '{"version": 3', 'utf-8');
+
+    assert.throws(() => readJson(WRITE_FILE, {}), /Data file test_storage_write\.json is corrupted.*last good version is in .*\.bak/);
+    assert.deepEqual(readJson('test_storage_missing.json', { fallback: true }), { fallback: true });
+  });
+
+  await test('Removing a data file also removes its backup', async () => {
+    writeJson(WRITE_FILE, { version: 4 });
+    assert.equal(removeJson(WRITE_FILE), true);
+    assert.equal(fs.existsSync(path.join(getDataPath(), `${WRITE_FILE}.bak`)), false);
+    assert.equal(removeJson(WRITE_FILE), false);
+  });
+
+  sqliteStore.close();
+  cleanupTestFiles();
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 TEST RESULTS: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All storage driver tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some storage driver tests failed.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('❌ Storage driver test runner failed:', error);
+  process.exit(1);
+});
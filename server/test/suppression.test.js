@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Suppression list tests
+ * Covers manual entries, matching by user ID and username, auto-suppression from delivery errors and removal
+ */
+
+import './testDataDir.js';
+import { strict as assert } from 'assert';
+import { removeJson } from '../lib/storage.js';
+import {
+  listSuppressed,
+  addSuppressed,
+  removeSuppressed,
+  findSuppression,
+  suppressOnDeliveryError
+} from '../lib/suppression.js';
+
+const TEST_USER_ID = 'test_suppression_user';
+
+function cleanupTestFiles() {
+  removeJson(`suppression_${TEST_USER_ID}.json`);
+}
+
+async function runTests() {
+  console.log('🧪 Running suppression list tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  cleanupTestFiles();
+
+  await test('Manual entries are stored once with reason and date', async () => {
+    const added = addSuppressed(TEST_USER_ID, [
+      { id: '12345', reason: 'asked to stop' },
+      { username: '@OptedOut' },
+      { id: '12345', reason: 'duplicate' }
+    ]);
+
+    assert.equal(added.length, 2);
+    const entries = listSuppressed(TEST_USER_ID);
+    assert.deepEqual(entries.map((e) => e.key), ['12345', '@optedout']);
+    assert.equal(entries[0].reason, 'asked to stop');
+    assert.equal(entries[1].reason, 'opt_out');
+    assert.ok(entries[0].createdAt);
+  });
+
+  await test('Recipients match by user ID or username', async () => {
+    assert.equal(findSuppression(TEST_USER_ID, { id: '12345', username: 'someone' })?.key, '12345');
+    assert.equal(findSuppression(TEST_USER_ID, { id: '999', username: 'optedout' })?.key, '@optedout');
+    // Manual recipients typed as "@username" carry it in the id too
+    assert.equal(findSuppression(TEST_USER_ID, { id: '@OptedOut', username: 'OptedOut' })?.key, '@optedout');
+    assert.equal(findSuppression(TEST_USER_ID, { id: '777', username: 'welcome' }), null);
+  });
+
+  await test('Blocked and invalid peers are suppressed automatically', async () => {
+    const blocked = suppressOnDeliveryError(TEST_USER_ID, { id: '555', username: 'blocker' }, '400: USER_IS_BLOCKED (caused by messages.SendMessage)');
+    assert.equal(blocked.reason, 'USER_IS_BLOCKED');
+    assert.equal(blocked.source, 'auto');
+
+    const privacy = suppressOnDeliveryError(TEST_USER_ID, { id: '556' }, '403: USER_PRIVACY_RESTRICTED');
+    assert.equal(privacy, null, 'other errors are not suppressed');
+    assert.ok(findSuppression(TEST_USER_ID, { id: '555' }));
+  });
+
+  await test('Entries can be removed by key', async () => {
+    assert.equal(removeSuppressed(TEST_USER_ID, '@OptedOut'), true);
+    assert.equal(removeSuppressed(TEST_USER_ID, '@optedout'), false);
+    assert.equal(findSuppression(TEST_USER_ID, { username: 'optedout' }), null);
+  });
+
+  cleanupTestFiles();
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 TEST RESULTS: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All suppression list tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some suppression list tests failed.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('❌ Suppression list test runner failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,569 @@
+#!/usr/bin/env node
+
+/**
+ * Task manager tests
+ * Covers task lifecycle, cooperative cancellation, pause/resume, crash recovery, queueing, scheduling and throttled persistence
+ */
+
+import './testDataDir.js';
+import { strict as assert } from 'assert';
+import { TaskManager, PAUSE_REASON } from '../lib/taskManager.js';
+import fs from 'fs';
+import path from 'path';
+import { getDataPath, loadTasks, saveTasks } from '../lib/storage.js';
+import { sleep } from '../lib/logger.js';
+import { resolveScheduledAt, getNextCronRun } from '../lib/schedule.js';
+
+const TEST_TASKS_FILE = 'tasks_test_manager.json';
+
+function createManager(options = {}) {
+  return new TaskManager(TEST_TASKS_FILE, options);
+}
+
+// Pausable worker modelled on the broadcast worker: persists a cursor after every item
+function attachCountingWorker(manager, itemsCount, sent) {
+  manager.attachWorker('counting', async (task, taskManager, signal) => {
+    const startIndex = task.cursor?.nextIndex || 0;
+    for (let i = startIndex; i < itemsCount; i++) {
+      if (signal.aborted) break;
+      sent.push(i);
+      taskManager.setStatus(task.id, 'running', { cursor: { nextIndex: i + 1 } });
+      await sleep(5, signal);
+    }
+    if (signal.aborted && signal.reason === PAUSE_REASON) {
+      return { paused: true };
+    }
+    return { sent: sent.length, cancelled: signal.aborted };
+  }, { pausable: true });
+}
+
+function cleanupTestFiles() {
+  saveTasks(TEST_TASKS_FILE, {});
+  fs.rmSync(path.join(getDataPath(), TEST_TASKS_FILE.replace(/\.json$/, '')), { recursive: true, force: true });
+}
+
+// Stored tasks as a previous server process left them
+function seedTasks(tasks) {
+  cleanupTestFiles();
+  saveTasks(TEST_TASKS_FILE, tasks);
+}
+
+async function waitForStatus(manager, taskId, statuses, timeoutMs = 2000) {
+  const expected = Array.isArray(statuses) ? statuses : [statuses];
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    const task = manager.get(taskId);
+    if (task && expected.includes(task.status)) {
+      return task;
+    }
+    await sleep(10);
+  }
+  throw new Error(`Task ${taskId} did not reach ${expected.join('/')} (current: ${manager.get(taskId)?.status})`);
+}
+
+async function runTests() {
+  console.log('🧪 Running task manager tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  cleanupTestFiles();
+
+  await test('Completed task stores worker result', async () => {
+    const manager = createManager();
+    manager.attachWorker('echo', async (task) => ({ echoed: task.payload.value }));
+
+    const task = manager.enqueue('echo', { userId: 'u1', value: 42 });
+    const finished = await waitForStatus(manager, task.id, 'completed');
+
+    assert.equal(finished.progress, 100);
+    assert.deepEqual(finished.result, { echoed: 42 });
+  });
+
+  await test('Worker receives an abort signal', async () => {
+    const manager = createManager();
+    let receivedSignal = null;
+    manager.attachWorker('signal', async (_task, _manager, signal) => {
+      receivedSignal = signal;
+      return null;
+    });
+
+    const task = manager.enqueue('signal', { userId: 'u1' });
+    await waitForStatus(manager, task.id, 'completed');
+
+    assert.ok(receivedSignal instanceof AbortSignal);
+    assert.equal(receivedSignal.aborted, false);
+  });
+
+  await test('Cancelling a running task keeps partial result', async () => {
+    const manager = createManager();
+    manager.attachWorker('loop', async (task, _manager, signal) => {
+      let processed = 0;
+      for (let i = 0; i < 1000; i++) {
+        if (signal.aborted) break;
+        processed++;
+        await sleep(5, signal);
+      }
+      return { processed, cancelled: signal.aborted };
+    });
+
+    const task = manager.enqueue('loop', { userId: 'u1' });
+    await waitForStatus(manager, task.id, 'running');
+    await sleep(30);
+
+    manager.cancel(task.id);
+    const finished = await waitForStatus(manager, task.id, 'cancelled');
+
+    assert.equal(finished.result.cancelled, true);
+    assert.ok(finished.result.processed > 0 && finished.result.processed < 1000);
+    assert.equal(manager.controllers.has(task.id), false);
+  });
+
+  await test('Cancelling a queued task prevents it from running', async () => {
+    const manager = createManager();
+    let ran = false;
+    manager.attachWorker('never', async () => {
+      ran = true;
+    });
+
+    const task = manager.enqueue('never', { userId: 'u1' });
+    manager.cancel(task.id);
+    await sleep(20);
+
+    assert.equal(manager.get(task.id).status, 'cancelled');
+    assert.equal(ran, false);
+  });
+
+  await test('Worker throwing after abort finishes as cancelled', async () => {
+    const manager = createManager();
+    manager.attachWorker('throws', async (_task, _manager, signal) => {
+      await sleep(1000, signal);
+      throw new Error('aborted mid-request');
+    });
+
+    const task = manager.enqueue('throws', { userId: 'u1' });
+    await waitForStatus(manager, task.id, 'running');
+    manager.cancel(task.id);
+    const finished = await waitForStatus(manager, task.id, 'cancelled');
+
+    assert.equal(finished.error, null);
+  });
+
+  await test('Finished tasks are not cancelled again', async () => {
+    const manager = createManager();
+    manager.attachWorker('quick', async () => 'done');
+
+    const task = manager.enqueue('quick', { userId: 'u1' });
+    await waitForStatus(manager, task.id, 'completed');
+
+    manager.cancel(task.id);
+    assert.equal(manager.get(task.id).status, 'completed');
+    assert.equal(manager.isFinished(manager.get(task.id)), true);
+  });
+
+  await test('Pausing keeps the cursor and resuming continues from it', async () => {
+    const manager = createManager();
+    const sent = [];
+    attachCountingWorker(manager, 20, sent);
+
+    const task = manager.enqueue('counting', { userId: 'u1' });
+    await waitForStatus(manager, task.id, 'running');
+    await sleep(30);
+
+    manager.pause(task.id);
+    const paused = await waitForStatus(manager, task.id, 'paused');
+    const pausedAt = paused.cursor.nextIndex;
+    assert.ok(pausedAt > 0 && pausedAt < 20);
+    assert.equal(sent.length, pausedAt);
+
+    manager.resume(task.id);
+    const finished = await waitForStatus(manager, task.id, 'completed');
+
+    assert.deepEqual(sent, Array.from({ length: 20 }, (_, i) => i));
+    assert.equal(finished.result.sent, 20);
+    assert.equal(finished.cursor, null);
+  });
+
+  await test('Cancelling a paused task lets the worker save partial results', async () => {
+    const manager = createManager();
+    const sent = [];
+    attachCountingWorker(manager, 50, sent);
+
+    const task = manager.enqueue('counting', { userId: 'u1' });
+    await waitForStatus(manager, task.id, 'running');
+    await sleep(30);
+    manager.pause(task.id);
+    await waitForStatus(manager, task.id, 'paused');
+    const sentBeforeCancel = sent.length;
+
+    manager.cancel(task.id);
+    const finished = await waitForStatus(manager, task.id, 'cancelled');
+
+    assert.equal(sent.length, sentBeforeCancel);
+    assert.equal(finished.result.cancelled, true);
+  });
+
+  await test('Cancelling a task that is still pausing finishes it as cancelled', async () => {
+    const manager = createManager();
+    manager.attachWorker('slow-unit', async (_task, _manager, signal) => {
+      // The current unit of work runs to its end before the signal is checked
+      await sleep(100);
+      return { cancelled: signal.aborted };
+    }, { pausable: true });
+
+    const task = manager.enqueue('slow-unit', { userId: 'u1' });
+    await waitForStatus(manager, task.id, 'running');
+    manager.pause(task.id);
+    manager.cancel(task.id);
+    assert.equal(manager.get(task.id).status, 'running', 'the worker is still in flight');
+
+    const finished = await waitForStatus(manager, task.id, ['paused', 'cancelled']);
+    assert.equal(finished.status, 'cancelled');
+    assert.equal(finished.result.cancelled, true);
+    assert.equal(finished.cursor, null);
+  });
+
+  await test('Non-pausable tasks ignore pause requests', async () => {
+    const manager = createManager();
+    manager.attachWorker('plain', async (_task, _manager, signal) => {
+      await sleep(50, signal);
+      return 'done';
+    });
+
+    const task = manager.enqueue('plain', { userId: 'u1' });
+    await waitForStatus(manager, task.id, 'running');
+    manager.pause(task.id);
+    const finished = await waitForStatus(manager, task.id, 'completed');
+
+    assert.equal(manager.isPausable(task), false);
+    assert.equal(finished.result, 'done');
+  });
+
+  await test('Recovery marks running tasks as interrupted and requeues queued ones', async () => {
+    const now = Date.now();
+    seedTasks({
+      parse1: { id: 'parse1', type: 'restartable', userId: 'u1', status: 'running', progress: 40, createdAt: now },
+      send1: { id: 'send1', type: 'counting', userId: 'u1', status: 'running', progress: 30, cursor: { nextIndex: 3 }, createdAt: now },
+      send2: { id: 'send2', type: 'counting', userId: 'u1', status: 'running', progress: 0, createdAt: now },
+      send3: { id: 'send3', type: 'counting', userId: 'u1', status: 'queued', progress: 0, queueSeq: 7, createdAt: now },
+      done1: { id: 'done1', type: 'counting', userId: 'u1', status: 'completed', progress: 100, createdAt: now }
+    });
+
+    const manager = createManager();
+    manager.attachWorker('restartable', async () => 'again', { restartable: true });
+    attachCountingWorker(manager, 5, []);
+    const interrupted = manager.recover();
+
+    assert.deepEqual(interrupted.map((t) => t.id).sort(), ['parse1', 'send1', 'send2']);
+    assert.equal(manager.get('parse1').status, 'interrupted');
+    assert.equal(manager.get('parse1').resumable, true);
+    assert.equal(manager.get('send1').resumable, true);
+    assert.equal(manager.get('send2').resumable, false, 'running broadcast without progress is not resumable');
+    assert.equal(manager.get('done1').status, 'completed');
+
+    // Recovery state is persisted
+    const reloaded = createManager();
+    assert.equal(reloaded.get('send1').status, 'interrupted');
+
+    // Queued tasks never started and simply run
+    await waitForStatus(manager, 'send3', 'completed');
+  });
+
+  await test('Resuming an interrupted task continues from its cursor', async () => {
+    seedTasks({
+      send1: { id: 'send1', type: 'counting', userId: 'u1', status: 'running', progress: 60, cursor: { nextIndex: 3 }, createdAt: Date.now() }
+    });
+
+    const manager = createManager();
+    const sent = [];
+    attachCountingWorker(manager, 5, sent);
+    manager.recover();
+
+    assert.equal(manager.canResume(manager.get('send1')), true);
+    manager.resume('send1');
+    await waitForStatus(manager, 'send1', 'completed');
+
+    assert.deepEqual(sent, [3, 4]);
+  });
+
+  await test('Interrupted tasks without progress cannot be resumed', async () => {
+    seedTasks({
+      send2: { id: 'send2', type: 'counting', userId: 'u1', status: 'running', progress: 0, createdAt: Date.now() }
+    });
+
+    const manager = createManager();
+    attachCountingWorker(manager, 5, []);
+    manager.recover();
+    manager.resume('send2');
+    await sleep(20);
+
+    assert.equal(manager.get('send2').status, 'interrupted');
+  });
+
+  await test('Progress ticks are written together and finished tasks right away', async () => {
+    cleanupTestFiles();
+    const manager = createManager();
+    let release;
+    manager.attachWorker('ticking', async (task, taskManager) => {
+      for (let i = 1; i <= 50; i++) {
+        taskManager.setProgress(task.id, i * 2, { message: `Enriched ${i}/50` });
+      }
+      await new Promise((resolve) => { release = resolve; });
+      return 'done';
+    });
+
+    const task = manager.enqueue('ticking', { userId: 'u1' });
+    while (!release) await sleep(5);
+    assert.equal(manager.get(task.id).progress, 100);
+    assert.equal(loadTasks(TEST_TASKS_FILE)[task.id].status, 'running', 'the status change is written at once');
+    assert.equal(loadTasks(TEST_TASKS_FILE)[task.id].progress, 0, 'ticks wait for the next flush');
+
+    await sleep(1200);
+    assert.equal(loadTasks(TEST_TASKS_FILE)[task.id].message, 'Enriched 50/50');
+
+    release();
+    await waitForStatus(manager, task.id, 'completed');
+    assert.equal(loadTasks(TEST_TASKS_FILE)[task.id].status, 'completed');
+    assert.equal(loadTasks(TEST_TASKS_FILE)[task.id].result, 'done');
+  });
+
+  await test('Cursors are written right away so a crash never repeats a delivery', async () => {
+    cleanupTestFiles();
+    const manager = createManager();
+    const sent = [];
+    attachCountingWorker(manager, 1000, sent);
+
+    const task = manager.enqueue('counting', { userId: 'u1' });
+    await waitForStatus(manager, task.id, 'running');
+    await sleep(100);
+    assert.ok(sent.length > 1);
+    assert.deepEqual(loadTasks(TEST_TASKS_FILE)[task.id].cursor, { nextIndex: sent.length }, 'the stored cursor covers every item already sent');
+
+    manager.pause(task.id);
+    const paused = await waitForStatus(manager, task.id, 'paused');
+    assert.deepEqual(loadTasks(TEST_TASKS_FILE)[task.id].cursor, paused.cursor, 'pausing writes the latest cursor');
+    manager.cancel(task.id);
+    await waitForStatus(manager, task.id, 'cancelled');
+  });
+
+  await test('Global concurrency bounds running tasks and reports queue positions', async () => {
+    const manager = createManager({ concurrency: 1 });
+    const releases = [];
+    manager.attachWorker('blocking', async () => new Promise((resolve) => releases.push(resolve)));
+
+    const first = manager.enqueue('blocking', { userId: 'u1' });
+    const second = manager.enqueue('blocking', { userId: 'u2' });
+    const third = manager.enqueue('blocking', { userId: 'u2' });
+    await waitForStatus(manager, first.id, 'running');
+    await sleep(20);
+
+    assert.equal(manager.get(second.id).status, 'queued');
+    assert.equal(manager.getQueuePosition(first.id), null);
+    assert.equal(manager.getQueuePosition(second.id), 1);
+    assert.equal(manager.getQueuePosition(third.id), 2);
+
+    releases.shift()('one');
+    await waitForStatus(manager, second.id, 'running');
+    assert.equal(manager.getQueuePosition(third.id), 1);
+
+    releases.shift()('two');
+    await waitForStatus(manager, third.id, 'running');
+    releases.shift()('three');
+    await waitForStatus(manager, third.id, 'completed');
+  });
+
+  await test('Per-key concurrency lets other types pass a blocked task', async () => {
+    const manager = createManager({ concurrency: 3 });
+    const releases = [];
+    const started = [];
+    manager.attachWorker('send', async (task) => {
+      started.push(task.id);
+      return new Promise((resolve) => releases.push(resolve));
+    }, { concurrency: 1, concurrencyKey: () => 'account-1' });
+    manager.attachWorker('parse', async (task) => {
+      started.push(task.id);
+      return 'parsed';
+    });
+
+    const sendA = manager.enqueue('send', { userId: 'u1' });
+    const sendB = manager.enqueue('send', { userId: 'u2' });
+    const parse = manager.enqueue('parse', { userId: 'u3' });
+    await waitForStatus(manager, parse.id, 'completed');
+
+    assert.equal(manager.get(sendA.id).status, 'running');
+    assert.equal(manager.get(sendB.id).status, 'queued');
+    assert.deepEqual(started, [sendA.id, parse.id]);
+
+    releases.shift()('a');
+    await waitForStatus(manager, sendB.id, 'running');
+    releases.shift()('b');
+    await waitForStatus(manager, sendB.id, 'completed');
+  });
+
+  await test('Cancelling a paused task waits for its turn in the queue', async () => {
+    const manager = createManager({ concurrency: 3 });
+    const releases = [];
+    manager.attachWorker('send', async (task, _manager, signal) => {
+      if (task.payload.block) {
+        return new Promise((resolve) => releases.push(resolve));
+      }
+      await sleep(1000, signal);
+      return { cancelled: signal.aborted && signal.reason !== PAUSE_REASON };
+    }, { pausable: true, concurrency: 1, concurrencyKey: () => 'account-1' });
+
+    const paused = manager.enqueue('send', { userId: 'u1' });
+    await waitForStatus(manager, paused.id, 'running');
+    manager.pause(paused.id);
+    await waitForStatus(manager, paused.id, 'paused');
+
+    const blocking = manager.enqueue('send', { userId: 'u2', block: true });
+    await waitForStatus(manager, blocking.id, 'running');
+    manager.cancel(paused.id);
+    await sleep(30);
+
+    assert.equal(manager.get(paused.id).status, 'queued', 'the cancelled task does not run past the account limit');
+    assert.equal(manager.getQueuePosition(paused.id), 1);
+
+    releases.shift()('done');
+    const finished = await waitForStatus(manager, paused.id, 'cancelled');
+    assert.equal(finished.result.cancelled, true);
+  });
+
+  await test('Queued tasks keep FIFO order across restarts', async () => {
+    const now = Date.now();
+    seedTasks({
+      late: { id: 'late', type: 'ordered', userId: 'u1', status: 'queued', queueSeq: 12, createdAt: now - 5000 },
+      early: { id: 'early', type: 'ordered', userId: 'u1', status: 'queued', queueSeq: 3, createdAt: now },
+      middle: { id: 'middle', type: 'ordered', userId: 'u1', status: 'queued', queueSeq: 8, createdAt: now }
+    });
+
+    const manager = createManager({ concurrency: 1 });
+    const order = [];
+    manager.attachWorker('ordered', async (task) => {
+      order.push(task.id);
+    });
+    manager.recover();
+    await waitForStatus(manager, 'late', 'completed');
+
+    assert.deepEqual(order, ['early', 'middle', 'late']);
+
+    const next = manager.enqueue('ordered', { userId: 'u1' });
+    assert.ok(manager.get(next.id).queueSeq > 12, 'new tasks are sequenced after restored ones');
+    await waitForStatus(manager, next.id, 'completed');
+  });
+
+  await test('Scheduled tasks wait until due and then run', async () => {
+    const manager = createManager();
+    manager.attachWorker('echo', async (task) => ({ echoed: task.payload.value }));
+
+    const runAt = new Date(Date.now() + 60000);
+    const task = manager.schedule('echo', { userId: 'u1', value: 'later' }, runAt);
+    assert.equal(task.status, 'scheduled');
+    assert.equal(task.scheduledAt, runAt.toISOString());
+
+    assert.deepEqual(manager.promoteDueTasks(), []);
+    await sleep(20);
+    assert.equal(manager.get(task.id).status, 'scheduled');
+    assert.deepEqual(manager.listScheduled('echo', 'u1').map((t) => t.id), [task.id]);
+    assert.deepEqual(manager.listScheduled('echo', 'u2'), []);
+
+    manager.promoteDueTasks(runAt.getTime());
+    const done = await waitForStatus(manager, task.id, 'completed');
+    assert.deepEqual(done.result, { echoed: 'later' });
+  });
+
+  await test('Scheduled tasks can be edited and cancelled before they fire', async () => {
+    const manager = createManager();
+    const ran = [];
+    manager.attachWorker('echo', async (task) => ran.push(task.id));
+
+    const task = manager.schedule('echo', { userId: 'u1', value: 'a' }, new Date(Date.now() + 60000));
+    const newRunAt = new Date(Date.now() + 120000);
+    manager.reschedule(task.id, { payload: { value: 'b' }, runAt: newRunAt });
+    assert.equal(manager.get(task.id).payload.value, 'b');
+    assert.equal(manager.get(task.id).payload.userId, 'u1');
+    assert.equal(manager.get(task.id).scheduledAt, newRunAt.toISOString());
+
+    manager.cancel(task.id);
+    assert.equal(manager.get(task.id).status, 'cancelled');
+    assert.equal(manager.reschedule(task.id, { payload: { value: 'c' } }), null, 'cancelled tasks are not editable');
+
+    manager.promoteDueTasks(newRunAt.getTime());
+    await sleep(20);
+    assert.deepEqual(ran, []);
+  });
+
+  await test('Scheduled tasks survive restarts and overdue ones fire on startup', async () => {
+    const now = Date.now();
+    seedTasks({
+      overdue: { id: 'overdue', type: 'echo', userId: 'u1', payload: { value: 1 }, status: 'scheduled', scheduledAt: new Date(now - 1000).toISOString(), createdAt: now },
+      future: { id: 'future', type: 'echo', userId: 'u1', payload: { value: 2 }, status: 'scheduled', scheduledAt: new Date(now + 60000).toISOString(), createdAt: now }
+    });
+
+    const manager = createManager();
+    manager.attachWorker('echo', async (task) => task.payload.value);
+    assert.deepEqual(manager.recover(), [], 'scheduled tasks are not interrupted');
+    manager.startScheduler(50);
+    try {
+      await waitForStatus(manager, 'overdue', 'completed');
+      assert.equal(manager.get('future').status, 'scheduled');
+    } finally {
+      manager.stopScheduler();
+    }
+  });
+
+  await test('Wall-clock schedule times are resolved in the given timezone', async () => {
+    assert.equal(resolveScheduledAt('2025-01-15T10:00', 'Europe/Moscow').toISOString(), '2025-01-15T07:00:00.000Z');
+    // Summer time in New York is UTC-4, winter time UTC-5
+    assert.equal(resolveScheduledAt('2025-07-01 10:00', 'America/New_York').toISOString(), '2025-07-01T14:00:00.000Z');
+    assert.equal(resolveScheduledAt('2025-12-01T10:00', 'America/New_York').toISOString(), '2025-12-01T15:00:00.000Z');
+    // An explicit offset wins over the timezone
+    assert.equal(resolveScheduledAt('2025-07-01T10:00:00Z', 'Asia/Tokyo').toISOString(), '2025-07-01T10:00:00.000Z');
+    assert.throws(() => resolveScheduledAt('tomorrow'), /ISO date/);
+    assert.throws(() => resolveScheduledAt('2025-07-01T10:00', 'Mars/Olympus'), /Unknown timezone/);
+  });
+
+  await test('Cron expressions resolve to the next matching run', async () => {
+    const after = new Date('2025-01-15T12:34:56Z'); // Wednesday
+    assert.equal(getNextCronRun('*/15 * * * *', after).toISOString(), '2025-01-15T12:45:00.000Z');
+    assert.equal(getNextCronRun('0 10 * * 1', after, 'Europe/Moscow').toISOString(), '2025-01-20T07:00:00.000Z');
+    assert.equal(getNextCronRun('@weekly', after).toISOString(), '2025-01-19T00:00:00.000Z');
+    assert.equal(getNextCronRun('0 9 29 2 *', after).toISOString(), '2028-02-29T09:00:00.000Z');
+    // Restricted day-of-month and day-of-week match when either one does
+    assert.equal(getNextCronRun('0 0 1,15 * 5', after).toISOString(), '2025-01-17T00:00:00.000Z');
+    // Strictly after the reference moment
+    assert.equal(getNextCronRun('0 12 * * *', new Date('2025-01-15T12:00:00Z')).toISOString(), '2025-01-16T12:00:00.000Z');
+    assert.throws(() => getNextCronRun('* * *'), /5 fields/);
+    assert.throws(() => getNextCronRun('61 * * * *'), /Invalid cron minute/);
+  });
+
+  cleanupTestFiles();
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 TEST RESULTS: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('🎉 All task manager tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some task manager tests failed.');
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('❌ Task manager test runner failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,15 @@
+/**
+ * Points storage at a temporary data directory for the current test process, so tests never read or
+ * rewrite server/data. Import it before any module that uses storage; the directory is removed on exit
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const TEST_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tele-fluence-test-'));
+
+process.env.DATA_DIR = TEST_DATA_DIR;
+process.on('exit', () => {
+  fs.rmSync(TEST_DATA_DIR, { recursive: true, force: true });
+});
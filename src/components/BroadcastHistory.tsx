@@ -5,7 +5,8 @@ import { Badge } from "@/components/ui/badge";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
-import { Download, RefreshCw, Clock, CheckCircle2, XCircle, AlertCircle } from "lucide-react";
+import { Switch } from "@/components/ui/switch";
+import { Download, RefreshCw, Clock, CheckCircle2, XCircle, AlertCircle, RotateCcw, Loader2, MessageCircle, Trash2 } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import { useApi } from "@/lib/api";
 import { format } from "date-fns";
@@ -13,16 +14,47 @@ import { ru } from "date-fns/locale";
 
 interface BroadcastHistoryItem {
   id: string;
-  message: string;
-  createdAt: number;
-  status: 'completed' | 'failed' | 'partial';
+  messagePreview: string;
+  createdAt: string;
+  status: 'success' | 'failed' | 'partial' | 'cancelled' | 'empty' | 'dry_run';
+  dryRun?: boolean;
   audienceName: string;
   mode: string;
-  successCount: number;
-  failedCount: number;
-  totalCount: number;
+  success: number;
+  failed: number;
+  suppressed?: number;
+  capped?: number;
+  resolved?: number;
+  total: number;
+  retryOf: string | null;
+  retries: string[];
+  replied?: number;
+  replyRate?: string;
+  variants?: VariantStats[];
+  template?: { id: string; version: number; title: string } | null;
 }
 
+interface BroadcastReply {
+  recipient: { id: string; username?: string; name?: string };
+  text: string;
+  receivedAt: string;
+}
+
+interface VariantStats {
+  id: string;
+  weight: number;
+  messagePreview: string;
+  total: number;
+  success: number;
+  failed: number;
+  replied?: number;
+  successRate: string;
+  replyRate?: string;
+}
+
+// Error class skipped by default when retrying: these users will not accept the message anyway
+const PRIVACY_ERROR = "USER_PRIVACY_RESTRICTED";
+
 interface BroadcastHistoryProps {
   refreshTrigger?: number;
 }
@@ -37,12 +69,17 @@ export function BroadcastHistory({ refreshTrigger }: BroadcastHistoryProps) {
   const [dateFrom, setDateFrom] = useState<string>("");
   const [dateTo, setDateTo] = useState<string>("");
   const [audienceFilter, setAudienceFilter] = useState<string>("all");
+  const [skipPrivacyErrors, setSkipPrivacyErrors] = useState(true);
+  const [retryingId, setRetryingId] = useState<string | null>(null);
+  const [repliedOnly, setRepliedOnly] = useState(false);
+  const [openRepliesId, setOpenRepliesId] = useState<string | null>(null);
+  const [replies, setReplies] = useState<BroadcastReply[]>([]);
 
   const fetchHistory = async () => {
     setIsLoading(true);
     try {
-      const response = await api.get('/telegram/broadcast-history') as { history: BroadcastHistoryItem[] };
-      setHistory(response.history || []);
+      const response = await api.get('/telegram/broadcast-history') as { results: BroadcastHistoryItem[] };
+      setHistory(response.results || []);
     } catch (err) {
       toast({
         title: "Ошибка",
@@ -70,11 +107,11 @@ export function BroadcastHistory({ refreshTrigger }: BroadcastHistoryProps) {
     // Filter by date range
     if (dateFrom) {
       const fromTimestamp = new Date(dateFrom).getTime();
-      filtered = filtered.filter(item => item.createdAt >= fromTimestamp);
+      filtered = filtered.filter(item => new Date(item.createdAt).getTime() >= fromTimestamp);
     }
     if (dateTo) {
       const toTimestamp = new Date(dateTo).getTime() + 86400000; // Add 1 day to include the end date
-      filtered = filtered.filter(item => item.createdAt < toTimestamp);
+      filtered = filtered.filter(item => new Date(item.createdAt).getTime() < toTimestamp);
     }
 
     // Filter by audience
@@ -82,8 +119,30 @@ export function BroadcastHistory({ refreshTrigger }: BroadcastHistoryProps) {
       filtered = filtered.filter(item => item.audienceName === audienceFilter);
     }
 
+    if (repliedOnly) {
+      filtered = filtered.filter(item => (item.replied ?? 0) > 0);
+    }
+
     setFilteredHistory(filtered);
-  }, [history, statusFilter, dateFrom, dateTo, audienceFilter]);
+  }, [history, statusFilter, dateFrom, dateTo, audienceFilter, repliedOnly]);
+
+  const toggleReplies = async (id: string) => {
+    if (openRepliesId === id) {
+      setOpenRepliesId(null);
+      return;
+    }
+    try {
+      const response = await api.get(`/telegram/broadcast-history/${id}?replied=true`) as { replies: BroadcastReply[] };
+      setReplies(response.replies || []);
+      setOpenRepliesId(id);
+    } catch (err) {
+      toast({
+        title: "Ошибка",
+        description: "Не удалось загрузить ответы",
+        variant: "destructive",
+      });
+    }
+  };
 
   const handleDownload = async (id: string) => {
     try {
@@ -101,9 +160,65 @@ export function BroadcastHistory({ refreshTrigger }: BroadcastHistoryProps) {
     }
   };
 
+  const handleDelete = async (id: string) => {
+    if (!window.confirm("Удалить запись о рассылке вместе с ответами получателей?")) return;
+    try {
+      await api.delete(`/telegram/broadcast-history/${id}`);
+      setHistory((current) => current.filter((item) => item.id !== id));
+    } catch (err) {
+      toast({
+        title: "Ошибка",
+        description: "Не удалось удалить запись",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleRetry = async (id: string) => {
+    setRetryingId(id);
+    try {
+      const response = await api.post(`/telegram/broadcast-history/${id}/retry`, {
+        excludeErrors: skipPrivacyErrors ? [PRIVACY_ERROR] : [],
+      }) as { recipients: number };
+      toast({
+        title: "Повторная рассылка запущена",
+        description: `Получателей: ${response.recipients}. Результат появится в истории после завершения`,
+      });
+      fetchHistory();
+    } catch (err) {
+      toast({
+        title: "Ошибка",
+        description: err instanceof Error ? err.message : "Не удалось запустить повторную рассылку",
+        variant: "destructive",
+      });
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  // Original broadcast followed by its retries, in order
+  const getRetryChain = (item: BroadcastHistoryItem): BroadcastHistoryItem[] => {
+    const byId = new Map(history.map(entry => [entry.id, entry]));
+    let root = item;
+    while (root.retryOf && byId.has(root.retryOf)) {
+      root = byId.get(root.retryOf)!;
+    }
+    const chain: BroadcastHistoryItem[] = [];
+    const queue = [root];
+    while (queue.length > 0) {
+      const current = queue.shift()!;
+      chain.push(current);
+      for (const retryId of current.retries || []) {
+        const retry = byId.get(retryId);
+        if (retry) queue.push(retry);
+      }
+    }
+    return chain;
+  };
+
   const getStatusIcon = (status: string) => {
     switch (status) {
-      case 'completed':
+      case 'success':
         return <CheckCircle2 className="w-4 h-4 text-green-500" />;
       case 'failed':
         return <XCircle className="w-4 h-4 text-red-500" />;
@@ -116,12 +231,16 @@ export function BroadcastHistory({ refreshTrigger }: BroadcastHistoryProps) {
 
   const getStatusBadge = (status: string) => {
     switch (status) {
-      case 'completed':
+      case 'success':
         return <Badge variant="default" className="bg-green-500/20 text-green-500 border-green-500/30">Выполнено</Badge>;
       case 'failed':
         return <Badge variant="destructive">Ошибка</Badge>;
       case 'partial':
         return <Badge variant="secondary" className="bg-yellow-500/20 text-yellow-500 border-yellow-500/30">Частично</Badge>;
+      case 'cancelled':
+        return <Badge variant="outline">Остановлено</Badge>;
+      case 'dry_run':
+        return <Badge variant="outline" className="border-primary/40 text-primary">Пробный запуск</Badge>;
       default:
         return <Badge variant="outline">Неизвестно</Badge>;
     }
@@ -157,9 +276,11 @@ export function BroadcastHistory({ refreshTrigger }: BroadcastHistoryProps) {
               </SelectTrigger>
               <SelectContent className="glass-card glass-effect">
                 <SelectItem value="all">Все</SelectItem>
-                <SelectItem value="completed">Выполнено</SelectItem>
+                <SelectItem value="success">Выполнено</SelectItem>
                 <SelectItem value="partial">Частично</SelectItem>
                 <SelectItem value="failed">Ошибка</SelectItem>
+                <SelectItem value="cancelled">Остановлено</SelectItem>
+                <SelectItem value="dry_run">Пробный запуск</SelectItem>
               </SelectContent>
             </Select>
           </div>
@@ -199,6 +320,16 @@ export function BroadcastHistory({ refreshTrigger }: BroadcastHistoryProps) {
             </Select>
           </div>
         </div>
+        <div className="flex items-center gap-2">
+          <Switch checked={repliedOnly} onCheckedChange={setRepliedOnly} />
+          <Label className="text-xs">Только рассылки с ответами</Label>
+        </div>
+        <div className="flex items-center gap-2">
+          <Switch checked={skipPrivacyErrors} onCheckedChange={setSkipPrivacyErrors} />
+          <Label className="text-xs">
+            При повторе пропускать получателей с ограничениями приватности ({PRIVACY_ERROR})
+          </Label>
+        </div>
       </GlassCard>
 
       {/* History List */}
@@ -213,7 +344,9 @@ export function BroadcastHistory({ refreshTrigger }: BroadcastHistoryProps) {
         </GlassCard>
       ) : (
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-          {filteredHistory.map((item) => (
+          {filteredHistory.map((item) => {
+            const chain = getRetryChain(item);
+            return (
             <GlassCard key={item.id} hover className="space-y-3">
               <div className="flex items-start justify-between gap-3">
                 <div className="flex-1 min-w-0">
@@ -222,19 +355,44 @@ export function BroadcastHistory({ refreshTrigger }: BroadcastHistoryProps) {
                     {getStatusBadge(item.status)}
                   </div>
                   <p className="text-sm text-muted-foreground line-clamp-2 mb-2">
-                    {item.message.length > 50 
-                      ? `${item.message.substring(0, 50)}...` 
-                      : item.message}
+                    {item.messagePreview.length > 50 
+                      ? `${item.messagePreview.substring(0, 50)}...` 
+                      : item.messagePreview}
                   </p>
                 </div>
-                <Button
-                  onClick={() => handleDownload(item.id)}
-                  size="sm"
-                  variant="outline"
-                  className="glass-card border-white/20 flex-shrink-0"
-                >
-                  <Download className="w-4 h-4" />
-                </Button>
+                <div className="flex gap-2 flex-shrink-0">
+                  {item.failed > 0 && !item.dryRun && (
+                    <Button
+                      onClick={() => handleRetry(item.id)}
+                      disabled={retryingId === item.id}
+                      size="sm"
+                      variant="outline"
+                      className="glass-card border-white/20"
+                      title="Повторить для получателей с ошибкой"
+                    >
+                      {retryingId === item.id
+                        ? <Loader2 className="w-4 h-4 animate-spin" />
+                        : <RotateCcw className="w-4 h-4" />}
+                    </Button>
+                  )}
+                  <Button
+                    onClick={() => handleDownload(item.id)}
+                    size="sm"
+                    variant="outline"
+                    className="glass-card border-white/20"
+                  >
+                    <Download className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    onClick={() => handleDelete(item.id)}
+                    size="sm"
+                    variant="outline"
+                    className="glass-card border-white/20"
+                    title="Удалить"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
               </div>
 
               <div className="flex flex-wrap gap-2 text-xs text-muted-foreground">
@@ -245,16 +403,89 @@ export function BroadcastHistory({ refreshTrigger }: BroadcastHistoryProps) {
                 <span>•</span>
                 <span className="font-medium">{item.audienceName}</span>
                 <span>•</span>
-                <span className="text-green-500">✓ {item.successCount}</span>
-                {item.failedCount > 0 && (
+                {item.dryRun
+                  ? <span className="text-green-500" title="Найдены, сообщения не отправлялись">✓ {item.resolved ?? 0}</span>
+                  : <span className="text-green-500">✓ {item.success}</span>}
+                {item.failed > 0 && (
+                  <>
+                    <span>•</span>
+                    <span className="text-red-500">✗ {item.failed}</span>
+                  </>
+                )}
+                {(item.suppressed ?? 0) > 0 && (
+                  <>
+                    <span>•</span>
+                    <span title="Пропущено: в списке «не беспокоить»">⊘ {item.suppressed}</span>
+                  </>
+                )}
+                {(item.capped ?? 0) > 0 && (
+                  <>
+                    <span>•</span>
+                    <span title="Пропущено: превышен лимит частоты">⏱ {item.capped}</span>
+                  </>
+                )}
+                {(item.replied ?? 0) > 0 && (
                   <>
                     <span>•</span>
-                    <span className="text-red-500">✗ {item.failedCount}</span>
+                    <button
+                      onClick={() => toggleReplies(item.id)}
+                      className="flex items-center gap-1 text-primary hover:underline"
+                      title="Ответили на рассылку"
+                    >
+                      <MessageCircle className="w-3 h-3" />
+                      {item.replied} ({item.replyRate})
+                    </button>
                   </>
                 )}
               </div>
+
+              {openRepliesId === item.id && (
+                <div className="space-y-2">
+                  {replies.map((reply, index) => (
+                    <div key={index} className="p-2 rounded-lg border border-white/10 bg-white/5 text-xs">
+                      <p className="text-muted-foreground mb-1">
+                        {reply.recipient.name || (reply.recipient.username ? `@${reply.recipient.username}` : reply.recipient.id)}
+                        {" · "}
+                        {format(new Date(reply.receivedAt), "dd.MM HH:mm", { locale: ru })}
+                      </p>
+                      <p className="whitespace-pre-wrap">{reply.text}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {item.template && (
+                <Badge variant="outline" className="text-xs">
+                  Шаблон: {item.template.title} · v{item.template.version}
+                </Badge>
+              )}
+
+              {item.variants && item.variants.length > 0 && (
+                <div className="flex flex-wrap gap-2 text-xs text-muted-foreground">
+                  {item.variants.map((variant) => (
+                    <Badge key={variant.id} variant="outline" title={variant.messagePreview}>
+                      {variant.id}: ✓ {variant.success} ✗ {variant.failed} ({variant.successRate})
+                      {(variant.replied ?? 0) > 0 && ` · 💬 ${variant.replied} (${variant.replyRate})`}
+                    </Badge>
+                  ))}
+                </div>
+              )}
+
+              {chain.length > 1 && (
+                <div className="flex flex-wrap items-center gap-1 text-xs text-muted-foreground">
+                  <RotateCcw className="w-3 h-3" />
+                  {chain.map((entry, index) => (
+                    <span key={entry.id} className={entry.id === item.id ? "font-semibold text-foreground" : undefined}>
+                      {index === 0 ? "Исходная" : `Повтор ${index}`}{" "}
+                      ({format(new Date(entry.createdAt), "dd.MM HH:mm", { locale: ru })}, ✓ {entry.success}/{entry.total})
+                      {index < chain.length - 1 && " →"}
+                    </span>
+                  ))}
+                </div>
+              )}
             </GlassCard>
-          ))}
+            );
+          })}
         </div>
       )}
     </div>
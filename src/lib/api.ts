@@ -56,6 +56,33 @@ export async function apiFetch(path: string, options: RequestInit = {}, userId?:
   return res.json();
 }
 
+// Multipart upload; the browser sets the Content-Type boundary itself
+export async function apiUpload(path: string, formData: FormData, userId?: string): Promise<unknown> {
+  const url = path.startsWith('http') 
+    ? path 
+    : `${API_BASE_URL}${path.startsWith('/') ? '' : '/'}${path}`;
+
+  if (userId) {
+    formData.append('userId', userId);
+  }
+
+  const res = await fetch(url, { method: 'POST', body: formData });
+  if (!res.ok) {
+    await res.text();
+    throw new Error(`API error: ${res.status} ${res.statusText}`);
+  }
+
+  return res.json();
+}
+
+// URL for <img>/<video> tags, which cannot go through apiFetch
+export function apiUrl(path: string, userId?: string): string {
+  const url = `${API_BASE_URL}${path.startsWith('/') ? '' : '/'}${path}`;
+  if (!userId) return url;
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}userId=${encodeURIComponent(userId)}`;
+}
+
 export async function fetchUserPhoto(userId: string): Promise<UserPhotoResponse> {
   const response = await apiFetch(`/user/${encodeURIComponent(userId)}/photo`, { method: 'GET' });
   const data = typeof response === 'object' && response !== null
@@ -139,6 +166,15 @@ export function useApi() {
       apiFetch(path, { method: 'POST', body }, uid),
     get: (path: string): Promise<unknown> =>
       apiFetch(path, { method: 'GET' }, uid),
+    patch: (path: string, body: Record<string, unknown>): Promise<unknown> =>
+      apiFetch(path, { method: 'PATCH', body: body as unknown as BodyInit }, uid),
+    // userId goes in the query, DELETE requests have no body
+    delete: (path: string): Promise<unknown> =>
+      apiFetch(`${path}${path.includes('?') ? '&' : '?'}userId=${encodeURIComponent(uid ?? '')}`, { method: 'DELETE' }),
+    upload: (path: string, formData: FormData): Promise<unknown> =>
+      apiUpload(path, formData, uid),
+    url: (path: string): string =>
+      apiUrl(path, uid),
     download: (path: string): Promise<void> =>
       apiDownload(path, uid),
   };
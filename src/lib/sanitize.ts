@@ -18,3 +18,65 @@ export function sanitizeAvatarUrl(value: unknown): string {
 
   return '';
 }
+
+// Tags Telegram renders in HTML messages, mapped to what the preview uses
+const TELEGRAM_TAGS: Record<string, string> = {
+  b: 'strong',
+  strong: 'strong',
+  i: 'em',
+  em: 'em',
+  u: 'u',
+  s: 's',
+  del: 's',
+  code: 'code',
+  pre: 'pre',
+  blockquote: 'blockquote',
+  spoiler: 'span',
+  'tg-spoiler': 'span',
+  a: 'a',
+};
+
+/**
+ * Keeps only the formatting Telegram supports in a message preview; everything else becomes text
+ */
+export function sanitizeTelegramHtml(html: string): string {
+  const source = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html').body;
+  const output = document.createElement('div');
+
+  const copy = (from: Node, to: Node) => {
+    from.childNodes.forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        to.appendChild(document.createTextNode(node.textContent || ''));
+        return;
+      }
+      if (!(node instanceof Element)) return;
+
+      const tag = TELEGRAM_TAGS[node.tagName.toLowerCase()];
+      if (!tag) {
+        copy(node, to);
+        return;
+      }
+      const element = document.createElement(tag);
+      if (tag === 'a') {
+        const href = node.getAttribute('href') || '';
+        if (/^(https?:|tg:|mailto:)/i.test(href)) {
+          element.setAttribute('href', href);
+          element.setAttribute('target', '_blank');
+          element.setAttribute('rel', 'noopener noreferrer');
+        }
+        element.className = 'text-primary underline';
+      } else if (tag === 'span') {
+        element.className = 'bg-muted text-muted-foreground rounded px-1';
+      } else if (tag === 'code' || tag === 'pre') {
+        element.className = 'font-mono text-xs bg-white/10 rounded px-1';
+      } else if (tag === 'blockquote') {
+        element.className = 'border-l-2 border-primary pl-2';
+      }
+      copy(node, element);
+      to.appendChild(element);
+    });
+  };
+
+  copy(source, output);
+  return output.innerHTML;
+}
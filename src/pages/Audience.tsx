@@ -5,7 +5,7 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Switch } from "@/components/ui/switch";
 import { Progress } from "@/components/ui/progress";
-import { Users, TrendingUp, Download, Loader2, FileSpreadsheet } from "lucide-react";
+import { Users, TrendingUp, Download, Loader2, FileSpreadsheet, Square, Trash2 } from "lucide-react";
 import { useState, useEffect, useRef } from "react";
 import { useToast } from "@/hooks/use-toast";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
@@ -44,6 +44,8 @@ export default function Audience() {
   const api = useApi();
   const backgroundImage = sanitizeAvatarUrl(user?.photo_url ?? null) || undefined;
   const [isLoading, setIsLoading] = useState(false);
+  const [taskId, setTaskId] = useState<string | null>(null);
+  const [isCancelling, setIsCancelling] = useState(false);
   const [selectedSessionId, setSelectedSessionId] = useState<string>("");
   const [selectedSession, setSelectedSession] = useState<ParsingSession | null>(null);
   const [chatLink, setChatLink] = useState("");
@@ -211,6 +213,7 @@ export default function Audience() {
       }
       
       const response = await api.post('/telegram/parse', requestBody) as { taskId: string };
+      setTaskId(response.taskId);
 
       // Track task progress via SSE
       const API_BASE_URL = import.meta.env.PROD 
@@ -241,6 +244,7 @@ export default function Audience() {
           eventSource.close();
           eventSourceRef.current = null;
           setIsLoading(false);
+          setTaskId(null);
           
           const active = Number(data.result?.active) || 0;
           const totalFound = Number(data.result?.totalFound) || 0;
@@ -265,11 +269,27 @@ export default function Audience() {
             title: "Аудитория найдена",
             description: resultMessage,
           });
+        } else if (data.status === 'cancelled') {
+          console.log('[PROGRESS] Task cancelled');
+          eventSource.close();
+          eventSourceRef.current = null;
+          setIsLoading(false);
+          setTaskId(null);
+          setIsCancelling(false);
+          
+          // Partial audience is saved on cancellation
+          loadAudienceResults();
+          
+          toast({
+            title: "Поиск остановлен",
+            description: `Сохранено ${Number(data.result?.active) || 0} пользователей`,
+          });
         } else if (data.status === 'failed') {
           console.log('[PROGRESS] Task failed:', data.error);
           eventSource.close();
           eventSourceRef.current = null;
           setIsLoading(false);
+          setTaskId(null);
           toast({
             title: "Ошибка",
             description: data.error || "Не удалось найти активную аудиторию",
@@ -298,6 +318,7 @@ export default function Audience() {
         eventSource.close();
         eventSourceRef.current = null;
         setIsLoading(false);
+        setTaskId(null);
         toast({
           title: "Ошибка",
           description: "Не удалось подключиться к серверу",
@@ -315,6 +336,21 @@ export default function Audience() {
     }
   };
 
+  const handleCancel = async () => {
+    if (!taskId) return;
+    setIsCancelling(true);
+    try {
+      await api.post(`/tasks/${taskId}/cancel`, {});
+    } catch (e) {
+      setIsCancelling(false);
+      toast({
+        title: "Ошибка",
+        description: "Не удалось остановить поиск",
+        variant: "destructive",
+      });
+    }
+  };
+
   const handleDownload = async (resultsId: string) => {
     try {
       await apiDownload(`/telegram/audience-results/${resultsId}/download`, user?.id);
@@ -333,6 +369,20 @@ export default function Audience() {
     }
   };
 
+  const handleDelete = async (file: AudienceResult) => {
+    if (!window.confirm(`Удалить аудиторию «${file.name}»?`)) return;
+    try {
+      await api.delete(`/telegram/audience-results/${file.id}`);
+      setAudienceFiles((current) => current.filter((item) => item.id !== file.id));
+    } catch (e: unknown) {
+      toast({
+        title: "Ошибка удаления",
+        description: e instanceof Error ? e.message : 'Неизвестная ошибка',
+        variant: "destructive",
+      });
+    }
+  };
+
   const handleDownloadAll = async () => {
     try {
       await apiDownload(`/telegram/audience-results/download-all`, user?.id);
@@ -543,6 +593,18 @@ export default function Audience() {
               <p className="text-xs text-muted-foreground text-center">
                 Обработано {activeCount} пользователей
               </p>
+              {taskId && (
+                <Button
+                  onClick={handleCancel}
+                  disabled={isCancelling}
+                  variant="outline"
+                  size="sm"
+                  className="w-full glass-card border-white/20"
+                >
+                  <Square className="w-4 h-4 mr-2" />
+                  {isCancelling ? "Остановка..." : "Остановить и сохранить найденное"}
+                </Button>
+              )}
             </div>
           </GlassCard>
         )}
@@ -604,7 +666,7 @@ export default function Audience() {
                         {file.count} пользователей • {file.date}
                       </p>
                       {/* Additional metadata for enhanced results */}
-                      {file.version === '2.0' && (
+                      {Boolean(file.sessionId || file.participantsLimit || (file.channelsProcessed && file.totalChannels)) && (
                         <div className="flex items-center gap-2 mt-1">
                           {file.sessionId && (
                             <span className="text-xs bg-primary/10 text-primary px-2 py-0.5 rounded">
@@ -625,13 +687,23 @@ export default function Audience() {
                       )}
                     </div>
                   </div>
-                  <Button 
-                    size="sm" 
-                    variant="ghost"
-                    onClick={() => handleDownload(file.id)}
-                  >
-                    <Download className="w-4 h-4" />
-                  </Button>
+                  <div className="flex items-center gap-2">
+                    <Button 
+                      size="sm" 
+                      variant="ghost"
+                      onClick={() => handleDownload(file.id)}
+                    >
+                      <Download className="w-4 h-4" />
+                    </Button>
+                    <Button 
+                      size="sm" 
+                      variant="ghost"
+                      onClick={() => handleDelete(file)}
+                      title="Удалить"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
                 </div>
               </GlassCard>
             ))
@@ -7,12 +7,12 @@ import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Slider } from "@/components/ui/slider";
 import { Switch } from "@/components/ui/switch";
-import { Send, Loader2, CheckCircle2, AlertCircle, Upload, X, AlertTriangle } from "lucide-react";
+import { Send, Loader2, CheckCircle2, AlertCircle, Upload, X, AlertTriangle, Square, Pause, Play, CalendarClock, Eye, Plus, FileText, Mic, Images, Trash2, Save, BookOpen } from "lucide-react";
 import { useState, useEffect, useRef } from "react";
 import { useToast } from "@/hooks/use-toast";
 import { Progress } from "@/components/ui/progress";
 import { useAuth } from "@/context/AuthContext";
-import { sanitizeAvatarUrl } from "@/lib/sanitize";
+import { sanitizeAvatarUrl, sanitizeTelegramHtml } from "@/lib/sanitize";
 import { useApi } from "@/lib/api";
 import {
   Tooltip,
@@ -28,6 +28,68 @@ interface AudienceResult {
   count: number;
 }
 
+type AttachmentType = "photo" | "video" | "document" | "voice";
+
+// Files come from the media library; inline `data` is left only in older drafts
+interface Attachment {
+  type: AttachmentType;
+  mediaId?: string;
+  data?: string;
+  fileName: string;
+  mimeType: string;
+  caption: string;
+}
+
+interface MediaAsset {
+  id: string;
+  type: AttachmentType;
+  fileName: string;
+  mimeType: string;
+  size: number;
+  thumbnail: boolean;
+  createdAt: string;
+}
+
+interface MessagePreview {
+  recipient: { id: string; username: string | null; name: string };
+  message: string;
+  html: string;
+  attachments: { type: AttachmentType; fileName: string; caption: string; html: string }[];
+  suppressed: boolean;
+}
+
+// One Telegram album; photos and videos are grouped together, documents with documents
+const MAX_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_SIZE = 50 * 1024 * 1024;
+const ATTACHMENT_LABELS: Record<AttachmentType, string> = {
+  photo: "Фото",
+  video: "Видео",
+  document: "Документ",
+  voice: "Голосовое",
+};
+
+type ParseMode = "markdown" | "html" | "plain";
+
+interface SavedTemplate {
+  id: string;
+  title: string;
+  body: string;
+  parseMode: ParseMode;
+  mediaIds: string[];
+  tags: string[];
+  version: number;
+  updatedAt: number;
+}
+
+interface MessageVariant {
+  message: string;
+  weight: string;
+}
+
+// The main message is variant A, up to two more texts can be compared with it
+const MAX_EXTRA_VARIANTS = 2;
+const VARIANT_LABELS = ["A", "B", "C"];
+
 interface BroadcastDraft {
   mode: "dm" | "chat";
   audienceId: string;
@@ -35,7 +97,9 @@ interface BroadcastDraft {
   manualRecipients: string;
   maxRecipients: string;
   delaySeconds: number;
-  imageBase64: string;
+  attachments?: Attachment[];
+  // Drafts saved before attachments were introduced
+  imageBase64?: string;
 }
 
 const STORAGE_KEY = "broadcastDraft_v1";
@@ -57,11 +121,34 @@ export default function Broadcast() {
   const [manualRecipients, setManualRecipients] = useState("");
   const [maxRecipients, setMaxRecipients] = useState("");
   const [delaySeconds, setDelaySeconds] = useState([DEFAULT_DELAY]);
-  const [imageBase64, setImageBase64] = useState("");
-  const [imageThumbnail, setImageThumbnail] = useState("");
+  const [scheduledAt, setScheduledAt] = useState("");
+  const [capMaxMessages, setCapMaxMessages] = useState("");
+  const [capPeriodDays, setCapPeriodDays] = useState("7");
+  const [attachments, setAttachments] = useState<Attachment[]>([]);
+  const [mediaAssets, setMediaAssets] = useState<MediaAsset[]>([]);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [templates, setTemplates] = useState<SavedTemplate[]>([]);
+  const [loadedTemplate, setLoadedTemplate] = useState<SavedTemplate | null>(null);
+  const [templateTitle, setTemplateTitle] = useState("");
+  const [templateTags, setTemplateTags] = useState("");
+  const [isSavingTemplate, setIsSavingTemplate] = useState(false);
+  const [parseMode, setParseMode] = useState<ParseMode>("markdown");
+  const [linkPreview, setLinkPreview] = useState(true);
+  const [silent, setSilent] = useState(false);
+  const [dryRun, setDryRun] = useState(false);
+  const [forwardLink, setForwardLink] = useState("");
+  const [forwardMode, setForwardMode] = useState<"forward" | "copy">("forward");
+  const [mainWeight, setMainWeight] = useState("1");
+  const [extraVariants, setExtraVariants] = useState<MessageVariant[]>([]);
+  const [previews, setPreviews] = useState<MessagePreview[]>([]);
+  const [isPreviewLoading, setIsPreviewLoading] = useState(false);
 
   // Progress state
   const [isLoading, setIsLoading] = useState(false);
+  const [taskId, setTaskId] = useState<string | null>(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [progress, setProgress] = useState(0);
   const [progressStatus, setProgressStatus] = useState("");
   const [sentCount, setSentCount] = useState(0);
@@ -92,6 +179,40 @@ export default function Broadcast() {
     }
   }, [user?.id, api]);
 
+  // Load saved message templates
+  useEffect(() => {
+    const loadTemplates = async () => {
+      try {
+        const response = await api.get("/telegram/message-templates") as { templates: SavedTemplate[] };
+        setTemplates(response.templates || []);
+      } catch (e) {
+        console.error("Failed to load message templates", e);
+        setTemplates([]);
+      }
+    };
+
+    if (user?.id) {
+      loadTemplates();
+    }
+  }, [user?.id, api]);
+
+  // Load media library
+  useEffect(() => {
+    const loadMedia = async () => {
+      try {
+        const response = await api.get("/media") as { assets: MediaAsset[] };
+        setMediaAssets(response.assets || []);
+      } catch (e) {
+        console.error("Failed to load media library", e);
+        setMediaAssets([]);
+      }
+    };
+
+    if (user?.id) {
+      loadMedia();
+    }
+  }, [user?.id, api]);
+
   // Load draft from localStorage on mount
   useEffect(() => {
     const savedDraft = localStorage.getItem(STORAGE_KEY);
@@ -104,9 +225,10 @@ export default function Broadcast() {
         setManualRecipients(draft.manualRecipients || "");
         setMaxRecipients(draft.maxRecipients || "");
         setDelaySeconds([draft.delaySeconds || DEFAULT_DELAY]);
-        if (draft.imageBase64) {
-          setImageBase64(draft.imageBase64);
-          setImageThumbnail(draft.imageBase64);
+        if (draft.attachments) {
+          setAttachments(draft.attachments);
+        } else if (draft.imageBase64) {
+          setAttachments([{ type: "photo", data: draft.imageBase64, fileName: "photo.jpg", mimeType: "image/jpeg", caption: "" }]);
         }
       } catch (e) {
         console.error("Failed to load draft", e);
@@ -124,11 +246,16 @@ export default function Broadcast() {
         manualRecipients,
         maxRecipients,
         delaySeconds: delaySeconds[0],
-        imageBase64,
+        attachments,
       };
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(draft));
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(draft));
+      } catch {
+        // Large files exceed the storage quota, keep at least the text
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...draft, attachments: [] }));
+      }
     }
-  }, [mode, audienceId, message, manualRecipients, maxRecipients, delaySeconds, imageBase64, isLoading]);
+  }, [mode, audienceId, message, manualRecipients, maxRecipients, delaySeconds, attachments, isLoading]);
 
   // Cleanup EventSource on unmount
   useEffect(() => {
@@ -140,42 +267,162 @@ export default function Broadcast() {
     };
   }, []);
 
-  const handleImageUpload = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
+  const addAssetAttachment = (asset: MediaAsset) => {
+    setAttachments((current) => current.length >= MAX_ATTACHMENTS
+      ? current
+      : [...current, { type: asset.type, mediaId: asset.id, fileName: asset.fileName, mimeType: asset.mimeType, caption: "" }]);
+  };
+
+  // Files are uploaded to the media library and referenced by mediaId
+  const handleAttachmentUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (files.length === 0) return;
 
-    const validTypes = ["image/png", "image/jpeg"];
-    if (!validTypes.includes(file.type)) {
+    if (attachments.length + files.length > MAX_ATTACHMENTS) {
       toast({
         title: "Ошибка",
-        description: "Допускаются только PNG и JPG",
+        description: `Не больше ${MAX_ATTACHMENTS} вложений`,
         variant: "destructive",
       });
       return;
     }
 
-    const maxSize = 5 * 1024 * 1024; // 5MB
-    if (file.size > maxSize) {
+    const tooLarge = files.find((file) => file.size > MAX_ATTACHMENT_SIZE);
+    if (tooLarge) {
       toast({
         title: "Ошибка",
-        description: "Размер файла не должен превышать 5MB",
+        description: `${tooLarge.name}: размер файла не должен превышать 50MB`,
         variant: "destructive",
       });
       return;
     }
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      const base64 = event.target?.result as string;
-      setImageBase64(base64);
-      setImageThumbnail(base64);
-    };
-    reader.readAsDataURL(file);
+    setIsUploading(true);
+    try {
+      for (const file of files) {
+        const formData = new FormData();
+        formData.append("file", file);
+        const { asset } = await api.upload("/media", formData) as { asset: MediaAsset };
+        setMediaAssets((current) => [...current, asset]);
+        addAssetAttachment(asset);
+      }
+    } catch (e) {
+      toast({
+        title: "Ошибка загрузки",
+        description: e instanceof Error ? e.message : "Не удалось загрузить файл",
+        variant: "destructive",
+      });
+    } finally {
+      setIsUploading(false);
+    }
   };
 
-  const handleRemoveImage = () => {
-    setImageBase64("");
-    setImageThumbnail("");
+  const handleDeleteAsset = async (asset: MediaAsset) => {
+    try {
+      await api.delete(`/media/${asset.id}`);
+      setMediaAssets((current) => current.filter((item) => item.id !== asset.id));
+      setAttachments((current) => current.filter((attachment) => attachment.mediaId !== asset.id));
+    } catch (e) {
+      toast({
+        title: "Ошибка",
+        description: e instanceof Error && e.message.includes("409")
+          ? "Файл используется в запланированной или идущей рассылке"
+          : "Не удалось удалить файл",
+        variant: "destructive",
+      });
+    }
+  };
+
+  // Image or video source for an attachment thumbnail
+  const getAttachmentSrc = (attachment: Attachment, thumbnail = true): string | undefined => {
+    if (attachment.data) return attachment.data;
+    if (!attachment.mediaId) return undefined;
+    return api.url(`/media/${attachment.mediaId}/${thumbnail && attachment.type === "photo" ? "thumbnail" : "file"}`);
+  };
+
+  const updateAttachment = (index: number, changes: Partial<Attachment>) => {
+    setAttachments(attachments.map((attachment, i) => (i === index ? { ...attachment, ...changes } : attachment)));
+  };
+
+  const handleRemoveAttachment = (index: number) => {
+    setAttachments(attachments.filter((_, i) => i !== index));
+  };
+
+  const handleLoadTemplate = (templateId: string) => {
+    const template = templates.find((item) => item.id === templateId);
+    if (!template) return;
+
+    setLoadedTemplate(template);
+    setTemplateTitle(template.title);
+    setTemplateTags(template.tags.join(", "));
+    setMessage(template.body);
+    setParseMode(template.parseMode);
+    setAttachments(template.mediaIds.flatMap((mediaId) => {
+      const asset = mediaAssets.find((item) => item.id === mediaId);
+      return asset
+        ? [{ type: asset.type, mediaId, fileName: asset.fileName, mimeType: asset.mimeType, caption: "" }]
+        : [];
+    }));
+  };
+
+  // Saves the current text, parse mode and library files; `asNew` keeps the loaded template as it is
+  const handleSaveTemplate = async (asNew: boolean) => {
+    if (!message.trim()) {
+      toast({
+        title: "Ошибка",
+        description: "Введите текст сообщения",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setIsSavingTemplate(true);
+    try {
+      const body = {
+        title: templateTitle,
+        body: message,
+        parseMode,
+        mediaIds: attachments.flatMap((attachment) => (attachment.mediaId ? [attachment.mediaId] : [])),
+        tags: templateTags.split(",").map((tag) => tag.trim()).filter(Boolean),
+      };
+      const { template } = (loadedTemplate && !asNew
+        ? await api.patch(`/telegram/message-templates/${loadedTemplate.id}`, body)
+        : await api.post("/telegram/message-templates", body)) as { template: SavedTemplate };
+
+      setTemplates((current) => [template, ...current.filter((item) => item.id !== template.id)]);
+      setLoadedTemplate(template);
+      setTemplateTitle(template.title);
+      toast({
+        title: "Шаблон сохранён",
+        description: `${template.title} · версия ${template.version}`,
+      });
+    } catch (e) {
+      toast({
+        title: "Ошибка",
+        description: e instanceof Error ? e.message : "Не удалось сохранить шаблон",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSavingTemplate(false);
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    if (!loadedTemplate) return;
+    try {
+      await api.delete(`/telegram/message-templates/${loadedTemplate.id}`);
+      setTemplates((current) => current.filter((item) => item.id !== loadedTemplate.id));
+      setLoadedTemplate(null);
+      setTemplateTitle("");
+      setTemplateTags("");
+    } catch (e) {
+      toast({
+        title: "Ошибка",
+        description: e instanceof Error ? e.message : "Не удалось удалить шаблон",
+        variant: "destructive",
+      });
+    }
   };
 
   const parseManualRecipients = (): string[] => {
@@ -186,7 +433,7 @@ export default function Broadcast() {
   };
 
   const validateForm = (): boolean => {
-    if (!message.trim()) {
+    if (!message.trim() && !forwardLink.trim()) {
       toast({
         title: "Ошибка",
         description: "Введите текст сообщения",
@@ -195,6 +442,15 @@ export default function Broadcast() {
       return false;
     }
 
+    if (!forwardLink.trim() && extraVariants.some((variant) => !variant.message.trim())) {
+      toast({
+        title: "Ошибка",
+        description: "Заполните текст всех вариантов сообщения",
+        variant: "destructive",
+      });
+      return false;
+    }
+
     const hasAudience = !!audienceId;
     const manualList = parseManualRecipients();
     const hasManualRecipients = manualList.length > 0;
@@ -208,6 +464,15 @@ export default function Broadcast() {
       return false;
     }
 
+    if (scheduledAt && new Date(scheduledAt).getTime() <= Date.now()) {
+      toast({
+        title: "Ошибка",
+        description: "Время отложенной отправки должно быть в будущем",
+        variant: "destructive",
+      });
+      return false;
+    }
+
     if (delaySeconds[0] < MIN_DELAY) {
       toast({
         title: "Ошибка",
@@ -220,6 +485,39 @@ export default function Broadcast() {
     return true;
   };
 
+  const handlePreview = async () => {
+    if (!message.trim()) {
+      toast({
+        title: "Ошибка",
+        description: "Введите текст сообщения",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setIsPreviewLoading(true);
+    try {
+      const response = await api.post("/telegram/broadcast/preview", {
+        mode,
+        audienceId: audienceId || undefined,
+        manualRecipients: parseManualRecipients(),
+        message,
+        parseMode,
+        attachments: attachments.map(({ type, fileName, caption }) => ({ type, fileName, caption })),
+        limit: 5,
+      }) as { total: number; previews: MessagePreview[] };
+      setPreviews(response.previews);
+    } catch (e) {
+      toast({
+        title: "Ошибка предпросмотра",
+        description: e instanceof Error ? e.message : "Не удалось построить предпросмотр",
+        variant: "destructive",
+      });
+    } finally {
+      setIsPreviewLoading(false);
+    }
+  };
+
   const handleBroadcast = async () => {
     if (!validateForm()) return;
     if (!user?.id) {
@@ -240,22 +538,66 @@ export default function Broadcast() {
     setProgressStatus("Инициализация...");
 
     try {
+      const forwarding = forwardLink.trim() !== "";
       const payload = {
         mode,
         audienceId: audienceId || undefined,
         manualRecipients: parseManualRecipients(),
-        message,
-        imageBase64: imageBase64 || undefined,
+        // A forwarded post goes as it is, the composed message is not sent
+        message: forwarding ? undefined : message,
+        forwardFrom: forwarding ? forwardLink.trim() : undefined,
+        forwardMode: forwarding ? forwardMode : undefined,
+        parseMode,
+        linkPreview,
+        silent,
+        attachments: attachments.length > 0 && !forwarding
+          ? attachments.map(({ type, mediaId, data, fileName, mimeType, caption }) => (
+            mediaId ? { type, mediaId, caption } : { type, data, fileName, mimeType, caption }
+          ))
+          : undefined,
         maxRecipients: maxRecipients ? Number(maxRecipients) : undefined,
         delaySeconds: delaySeconds[0],
+        // History links to the template only when it is sent as saved
+        templateId: !forwarding && loadedTemplate && message === loadedTemplate.body && parseMode === loadedTemplate.parseMode
+          ? loadedTemplate.id
+          : undefined,
+        variants: extraVariants.length > 0 && !forwarding
+          ? [{ message, weight: mainWeight }, ...extraVariants].map((variant) => ({
+            message: variant.message,
+            weight: Number(variant.weight) || 1,
+          }))
+          : undefined,
+        frequencyCap: mode === "dm" && capMaxMessages
+          ? { maxMessages: Number(capMaxMessages), periodDays: Number(capPeriodDays) || 7 }
+          : undefined,
+        // datetime-local has no offset, the server reads it in the browser's timezone
+        scheduledAt: scheduledAt && !dryRun ? scheduledAt : undefined,
+        timezone: scheduledAt && !dryRun ? Intl.DateTimeFormat().resolvedOptions().timeZone : undefined,
+        dryRun: dryRun || undefined,
         userId: user.id,
       };
 
       const response = await api.post("/telegram/broadcast", payload) as {
         taskId: string;
         historyId: string;
+        status?: string;
+        scheduledAt?: string;
       };
 
+      if (response.status === "scheduled") {
+        setIsLoading(false);
+        setProgressStatus("");
+        setScheduledAt("");
+        localStorage.removeItem(STORAGE_KEY);
+        toast({
+          title: "Рассылка запланирована",
+          description: `Отправка начнётся ${new Date(response.scheduledAt || scheduledAt).toLocaleString("ru-RU")}`,
+        });
+        return;
+      }
+
+      setTaskId(response.taskId);
+
       // Open SSE stream
       const API_BASE_URL =
         import.meta.env.PROD
@@ -278,6 +620,8 @@ export default function Broadcast() {
           eventSource.close();
           eventSourceRef.current = null;
           setIsLoading(false);
+          setTaskId(null);
+          setIsPaused(false);
 
           const success = Number(data.result?.successCount) || 0;
           const failure = Number(data.result?.failureCount) || 0;
@@ -288,20 +632,45 @@ export default function Broadcast() {
           setTotalCount(total);
           setProgress(100);
 
-          // Clear localStorage on successful completion
-          localStorage.removeItem(STORAGE_KEY);
+          // Clear localStorage on successful completion; after a dry run the draft is still to be sent
+          if (!data.result?.dryRun) {
+            localStorage.removeItem(STORAGE_KEY);
+          }
 
           // Trigger history refresh
           setHistoryRefreshTrigger(prev => prev + 1);
 
+          toast(data.result?.dryRun
+            ? {
+              title: "Пробный запуск завершён",
+              description: `Найдено получателей: ${Number(data.result.resolved) || 0}, не найдено: ${Number(data.result.failed) || 0}. Сообщения не отправлялись`,
+            }
+            : {
+              title: "Рассылка завершена",
+              description: `Успешно: ${success}, Ошибок: ${failure}`,
+            });
+        } else if (data.status === "cancelled") {
+          eventSource.close();
+          eventSourceRef.current = null;
+          setIsLoading(false);
+          setIsCancelling(false);
+          setTaskId(null);
+          setIsPaused(false);
+          setProgressStatus("Остановлено");
+
+          // Partial results are saved to history
+          setHistoryRefreshTrigger(prev => prev + 1);
+
           toast({
-            title: "Рассылка завершена",
-            description: `Успешно: ${success}, Ошибок: ${failure}`,
+            title: "Рассылка остановлена",
+            description: `Успешно: ${Number(data.result?.success) || 0}, Ошибок: ${Number(data.result?.failed) || 0}`,
           });
         } else if (data.status === "failed") {
           eventSource.close();
           eventSourceRef.current = null;
           setIsLoading(false);
+          setTaskId(null);
+          setIsPaused(false);
           setProgressStatus("Ошибка");
 
           toast({
@@ -309,7 +678,11 @@ export default function Broadcast() {
             description: data.error || "Не удалось отправить рассылку",
             variant: "destructive",
           });
+        } else if (data.status === "paused") {
+          setIsPaused(true);
+          setProgressStatus("Пауза");
         } else if (data.status === "running") {
+          setIsPaused(false);
           const current = Number(data.current) || 0;
           const total = Number(data.total) || 0;
           const progressPercent = total > 0 ? Math.round((current / total) * 100) : 0;
@@ -330,6 +703,8 @@ export default function Broadcast() {
         eventSource.close();
         eventSourceRef.current = null;
         setIsLoading(false);
+        setTaskId(null);
+        setIsPaused(false);
         setProgressStatus("Ошибка соединения");
 
         toast({
@@ -350,6 +725,36 @@ export default function Broadcast() {
     }
   };
 
+  const handleCancel = async () => {
+    if (!taskId) return;
+    setIsCancelling(true);
+    try {
+      await api.post(`/tasks/${taskId}/cancel`, {});
+      setProgressStatus("Остановка...");
+    } catch (e) {
+      setIsCancelling(false);
+      toast({
+        title: "Ошибка",
+        description: "Не удалось остановить рассылку",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handlePauseToggle = async () => {
+    if (!taskId) return;
+    try {
+      await api.post(`/tasks/${taskId}/${isPaused ? "resume" : "pause"}`, {});
+      setProgressStatus(isPaused ? "Возобновление..." : "Приостановка...");
+    } catch (e) {
+      toast({
+        title: "Ошибка",
+        description: isPaused ? "Не удалось возобновить рассылку" : "Не удалось приостановить рассылку",
+        variant: "destructive",
+      });
+    }
+  };
+
   return (
     <Layout backgroundImage={backgroundImage}>
       <div className="space-y-6 max-w-6xl mx-auto animate-slide-up">
@@ -429,6 +834,105 @@ export default function Broadcast() {
               </p>
             </div>
 
+            {/* Saved Templates */}
+            <div className="space-y-2">
+              <Label>Шаблон сообщения</Label>
+              <Select
+                value={loadedTemplate?.id ?? ""}
+                onValueChange={handleLoadTemplate}
+                disabled={isLoading || templates.length === 0}
+              >
+                <SelectTrigger className="glass-card border-white/20">
+                  <SelectValue placeholder={templates.length > 0 ? "Загрузить сохранённый шаблон" : "Сохранённых шаблонов нет"} />
+                </SelectTrigger>
+                <SelectContent>
+                  {templates.map((template) => (
+                    <SelectItem key={template.id} value={template.id}>
+                      <BookOpen className="inline w-3 h-3 mr-1" />
+                      {template.title} · v{template.version}
+                      {template.tags.length > 0 ? ` · ${template.tags.map((tag) => `#${tag}`).join(" ")}` : ""}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <div className="flex flex-wrap items-center gap-2">
+                <Input
+                  placeholder="Название шаблона"
+                  className="glass-card border-white/20 flex-1 min-w-[160px]"
+                  value={templateTitle}
+                  onChange={(e) => setTemplateTitle(e.target.value)}
+                  disabled={isLoading}
+                />
+                <Input
+                  placeholder="Теги через запятую"
+                  className="glass-card border-white/20 flex-1 min-w-[160px]"
+                  value={templateTags}
+                  onChange={(e) => setTemplateTags(e.target.value)}
+                  disabled={isLoading}
+                />
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleSaveTemplate(false)}
+                  disabled={isLoading || isSavingTemplate}
+                >
+                  {isSavingTemplate ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Save className="w-4 h-4 mr-1" />}
+                  {loadedTemplate ? "Сохранить изменения" : "Сохранить как шаблон"}
+                </Button>
+                {loadedTemplate && (
+                  <>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleSaveTemplate(true)}
+                      disabled={isLoading || isSavingTemplate}
+                    >
+                      Сохранить как новый
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={handleDeleteTemplate}
+                      disabled={isLoading || isSavingTemplate}
+                    >
+                      <Trash2 className="w-4 h-4 mr-1" />
+                      Удалить
+                    </Button>
+                  </>
+                )}
+              </div>
+            </div>
+
+            {/* Forward Post */}
+            <div>
+              <Label>Переслать пост из канала (опционально)</Label>
+              <div className="flex gap-2 mt-1">
+                <Input
+                  placeholder="https://t.me/channel/123"
+                  className="glass-card border-white/20"
+                  value={forwardLink}
+                  onChange={(e) => setForwardLink(e.target.value)}
+                  disabled={isLoading}
+                />
+                <Select value={forwardMode} onValueChange={(value) => setForwardMode(value as "forward" | "copy")} disabled={isLoading}>
+                  <SelectTrigger className="glass-card border-white/20 w-48">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="glass-card glass-effect">
+                    <SelectItem value="forward">Переслать</SelectItem>
+                    <SelectItem value="copy">Копировать без автора</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              {forwardLink.trim() && (
+                <p className="text-xs text-muted-foreground mt-1">
+                  Пост отправляется целиком со всеми файлами и форматированием; текст, варианты и вложения ниже не используются
+                </p>
+              )}
+            </div>
+
             {/* Message */}
             <div>
               <Label>Текст сообщения</Label>
@@ -439,42 +943,304 @@ export default function Broadcast() {
                 onChange={(e) => setMessage(e.target.value)}
                 disabled={isLoading}
               />
-              <p className="text-xs text-muted-foreground mt-1">
-                {message.length} / 4096 символов
+              <div className="flex items-center justify-between mt-1">
+                <p className="text-xs text-muted-foreground">
+                  {message.length} / 4096 символов · {"{firstName|\"друг\"}"}, {"{Привет|Здравствуйте}"}, {"{#if bio}...{/if}"}
+                </p>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={handlePreview}
+                  disabled={isLoading || isPreviewLoading}
+                >
+                  {isPreviewLoading ? (
+                    <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                  ) : (
+                    <Eye className="w-4 h-4 mr-1" />
+                  )}
+                  Предпросмотр
+                </Button>
+              </div>
+              {previews.length > 0 && (
+                <div className="mt-2 space-y-2">
+                  {previews.map((preview) => (
+                    <div
+                      key={preview.recipient.id}
+                      className="p-3 rounded-lg border border-white/10 bg-white/5 text-sm"
+                    >
+                      <p className="text-xs text-muted-foreground mb-1">
+                        {preview.recipient.name}
+                        {preview.recipient.username ? ` · @${preview.recipient.username}` : ""}
+                        {preview.suppressed ? " · в списке исключений" : ""}
+                      </p>
+                      <p
+                        className="whitespace-pre-wrap"
+                        dangerouslySetInnerHTML={{ __html: sanitizeTelegramHtml(preview.html) }}
+                      />
+                      {preview.attachments.length > 0 && (
+                        <div className="mt-2 grid grid-cols-2 gap-2">
+                          {preview.attachments.map((attachment, index) => (
+                            <div key={index} className="rounded border border-white/10 p-2">
+                              {attachment.type === "photo" && attachments[index] ? (
+                                <img
+                                  src={getAttachmentSrc(attachments[index])}
+                                  alt={attachment.fileName}
+                                  className="h-20 w-auto rounded"
+                                />
+                              ) : (
+                                <p className="text-xs text-muted-foreground">
+                                  {ATTACHMENT_LABELS[attachment.type]} · {attachment.fileName}
+                                </p>
+                              )}
+                              {attachment.caption && (
+                                <p
+                                  className="mt-1 text-xs whitespace-pre-wrap"
+                                  dangerouslySetInnerHTML={{ __html: sanitizeTelegramHtml(attachment.html) }}
+                                />
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Formatting */}
+            <div className="space-y-2">
+              <div className="flex items-center gap-2">
+                <Label className="shrink-0">Форматирование</Label>
+                <Select value={parseMode} onValueChange={(value) => setParseMode(value as ParseMode)} disabled={isLoading}>
+                  <SelectTrigger className="glass-card border-white/20 w-48">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="glass-card glass-effect">
+                    <SelectItem value="markdown">Markdown</SelectItem>
+                    <SelectItem value="html">HTML</SelectItem>
+                    <SelectItem value="plain">Без форматирования</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <p className="text-xs text-muted-foreground">
+                {parseMode === "markdown" && "**жирный**, __курсив__, ~~зачёркнутый~~, ||спойлер||, `код`, [ссылка](https://...)"}
+                {parseMode === "html" && "<b>, <i>, <u>, <s>, <code>, <pre>, <a href>, <blockquote>, <spoiler>"}
+                {parseMode === "plain" && "Текст отправляется как есть"}
               </p>
+              <div className="flex items-center gap-2">
+                <Switch checked={linkPreview} onCheckedChange={setLinkPreview} disabled={isLoading} />
+                <Label className="text-sm">Превью ссылок</Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <Switch checked={silent} onCheckedChange={setSilent} disabled={isLoading} />
+                <Label className="text-sm">Без звука (получатели не услышат уведомление)</Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <Switch checked={dryRun} onCheckedChange={setDryRun} disabled={isLoading} />
+                <Label className="text-sm">Пробный запуск (только проверить, какие получатели доступны, без отправки)</Label>
+              </div>
             </div>
 
-            {/* Image Upload */}
+            {/* A/B Variants */}
             <div>
-              <Label>Изображение (опционально)</Label>
-              <div className="mt-1">
-                {imageThumbnail ? (
-                  <div className="relative inline-block">
-                    <img
-                      src={imageThumbnail}
-                      alt="Preview"
-                      className="h-32 w-auto rounded-lg border border-white/20"
+              <div className="flex items-center justify-between">
+                <Label>A/B тест</Label>
+                {extraVariants.length < MAX_EXTRA_VARIANTS && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setExtraVariants([...extraVariants, { message: "", weight: "1" }])}
+                    disabled={isLoading}
+                  >
+                    <Plus className="w-4 h-4 mr-1" />
+                    Добавить вариант
+                  </Button>
+                )}
+              </div>
+              {extraVariants.length > 0 && (
+                <div className="mt-1 space-y-3">
+                  <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                    <span>Вес варианта A (основной текст)</span>
+                    <Input
+                      type="number"
+                      className="glass-card border-white/20 w-20"
+                      value={mainWeight}
+                      onChange={(e) => setMainWeight(e.target.value)}
+                      disabled={isLoading}
+                      min="1"
                     />
+                  </div>
+                  {extraVariants.map((variant, index) => (
+                    <div key={index} className="space-y-1">
+                      <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                        <span>Вариант {VARIANT_LABELS[index + 1]}, вес</span>
+                        <Input
+                          type="number"
+                          className="glass-card border-white/20 w-20"
+                          value={variant.weight}
+                          onChange={(e) => setExtraVariants(extraVariants.map((v, i) =>
+                            i === index ? { ...v, weight: e.target.value } : v))}
+                          disabled={isLoading}
+                          min="1"
+                        />
+                        <button
+                          onClick={() => setExtraVariants(extraVariants.filter((_, i) => i !== index))}
+                          disabled={isLoading}
+                          className="ml-auto p-1 text-muted-foreground hover:text-destructive disabled:opacity-50"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      </div>
+                      <Textarea
+                        placeholder={`Текст варианта ${VARIANT_LABELS[index + 1]}...`}
+                        className="glass-card border-white/20 min-h-[100px] resize-none"
+                        value={variant.message}
+                        onChange={(e) => setExtraVariants(extraVariants.map((v, i) =>
+                          i === index ? { ...v, message: e.target.value } : v))}
+                        disabled={isLoading}
+                      />
+                    </div>
+                  ))}
+                  <p className="text-xs text-muted-foreground">
+                    Каждый получатель случайно, но стабильно закрепляется за одним вариантом пропорционально весам
+                  </p>
+                </div>
+              )}
+            </div>
+
+            {/* Attachments */}
+            <div>
+              <Label>Вложения (опционально)</Label>
+              <div className="mt-1 space-y-2">
+                {attachments.map((attachment, index) => (
+                  <div
+                    key={index}
+                    className="flex items-start gap-3 p-2 rounded-lg border border-white/20"
+                  >
+                    {attachment.type === "photo" && (
+                      <img
+                        src={getAttachmentSrc(attachment)}
+                        alt={attachment.fileName}
+                        className="h-16 w-16 object-cover rounded"
+                      />
+                    )}
+                    {attachment.type === "video" && (
+                      <video src={getAttachmentSrc(attachment, false)} className="h-16 w-16 object-cover rounded" muted />
+                    )}
+                    {attachment.type === "document" && (
+                      <div className="h-16 w-16 flex items-center justify-center rounded bg-white/5">
+                        <FileText className="w-6 h-6" />
+                      </div>
+                    )}
+                    {attachment.type === "voice" && (
+                      <div className="h-16 w-16 flex items-center justify-center rounded bg-white/5">
+                        <Mic className="w-6 h-6" />
+                      </div>
+                    )}
+                    <div className="flex-1 space-y-1">
+                      <div className="flex items-center gap-2">
+                        <Select
+                          value={attachment.type}
+                          onValueChange={(value) => updateAttachment(index, { type: value as AttachmentType })}
+                          disabled={isLoading}
+                        >
+                          <SelectTrigger className="glass-card border-white/20 h-8 w-36">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {(Object.keys(ATTACHMENT_LABELS) as AttachmentType[]).map((type) => (
+                              <SelectItem key={type} value={type}>{ATTACHMENT_LABELS[type]}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        <span className="text-xs text-muted-foreground truncate">{attachment.fileName}</span>
+                      </div>
+                      <Input
+                        placeholder="Подпись к вложению (опционально)"
+                        className="glass-card border-white/20 h-8"
+                        value={attachment.caption}
+                        onChange={(e) => updateAttachment(index, { caption: e.target.value })}
+                        disabled={isLoading}
+                      />
+                    </div>
                     <button
-                      onClick={handleRemoveImage}
+                      onClick={() => handleRemoveAttachment(index)}
                       disabled={isLoading}
-                      className="absolute top-1 right-1 p-1 bg-destructive/80 hover:bg-destructive rounded-full text-white disabled:opacity-50"
+                      className="p-1 bg-destructive/80 hover:bg-destructive rounded-full text-white disabled:opacity-50"
                     >
                       <X className="w-4 h-4" />
                     </button>
                   </div>
-                ) : (
-                  <label className="flex items-center justify-center gap-2 p-4 border-2 border-dashed border-white/20 rounded-lg cursor-pointer hover:border-white/40 transition-colors disabled:opacity-50">
-                    <Upload className="w-4 h-4" />
-                    <span className="text-sm">PNG или JPG (макс 5MB)</span>
-                    <input
-                      type="file"
-                      accept="image/png,image/jpeg"
-                      onChange={handleImageUpload}
-                      className="hidden"
+                ))}
+                {attachments.length < MAX_ATTACHMENTS && (
+                  <div className="flex gap-2">
+                    <label className="flex flex-1 items-center justify-center gap-2 p-4 border-2 border-dashed border-white/20 rounded-lg cursor-pointer hover:border-white/40 transition-colors disabled:opacity-50">
+                      {isUploading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+                      <span className="text-sm">Фото, видео, документы, голосовые OGG (до {MAX_ATTACHMENTS}, макс 50MB)</span>
+                      <input
+                        type="file"
+                        multiple
+                        onChange={handleAttachmentUpload}
+                        className="hidden"
+                        disabled={isLoading || isUploading}
+                      />
+                    </label>
+                    <Button
+                      variant="outline"
+                      className="h-auto"
+                      onClick={() => setShowLibrary(!showLibrary)}
                       disabled={isLoading}
-                    />
-                  </label>
+                    >
+                      <Images className="w-4 h-4 mr-1" />
+                      Медиатека ({mediaAssets.length})
+                    </Button>
+                  </div>
+                )}
+                {showLibrary && (
+                  <div className="grid grid-cols-3 sm:grid-cols-4 gap-2 p-2 rounded-lg border border-white/10">
+                    {mediaAssets.length === 0 && (
+                      <p className="col-span-full text-xs text-muted-foreground">
+                        В медиатеке пока нет файлов
+                      </p>
+                    )}
+                    {mediaAssets.map((asset) => (
+                      <div key={asset.id} className="relative">
+                        <button
+                          onClick={() => addAssetAttachment(asset)}
+                          disabled={isLoading || attachments.length >= MAX_ATTACHMENTS}
+                          className="w-full text-left disabled:opacity-50"
+                          title={asset.fileName}
+                        >
+                          {asset.thumbnail ? (
+                            <img
+                              src={api.url(`/media/${asset.id}/thumbnail`)}
+                              alt={asset.fileName}
+                              className="h-20 w-full object-cover rounded"
+                            />
+                          ) : (
+                            <div className="h-20 w-full flex flex-col items-center justify-center gap-1 rounded bg-white/5 text-xs">
+                              {asset.type === "voice" ? <Mic className="w-5 h-5" /> : <FileText className="w-5 h-5" />}
+                              {ATTACHMENT_LABELS[asset.type]}
+                            </div>
+                          )}
+                          <p className="mt-1 text-xs truncate">{asset.fileName}</p>
+                        </button>
+                        <button
+                          onClick={() => handleDeleteAsset(asset)}
+                          disabled={isLoading}
+                          className="absolute top-1 right-1 p-1 bg-destructive/80 hover:bg-destructive rounded-full text-white disabled:opacity-50"
+                        >
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {attachments.length > 0 && (
+                  <p className="text-xs text-muted-foreground">
+                    Фото и видео уходят одним альбомом, документы — отдельным; текст сообщения становится подписью первого вложения, если у него нет своей
+                  </p>
                 )}
               </div>
             </div>
@@ -493,6 +1259,35 @@ export default function Broadcast() {
               />
             </div>
 
+            {/* Frequency Cap */}
+            {mode === "dm" && (
+              <div>
+                <Label>Ограничение частоты (опционально)</Label>
+                <div className="mt-1 flex items-center gap-2 text-sm text-muted-foreground">
+                  <span>Не больше</span>
+                  <Input
+                    type="number"
+                    placeholder="—"
+                    className="glass-card border-white/20 w-20"
+                    value={capMaxMessages}
+                    onChange={(e) => setCapMaxMessages(e.target.value)}
+                    disabled={isLoading}
+                    min="1"
+                  />
+                  <span>сообщ. одному человеку за</span>
+                  <Input
+                    type="number"
+                    className="glass-card border-white/20 w-20"
+                    value={capPeriodDays}
+                    onChange={(e) => setCapPeriodDays(e.target.value)}
+                    disabled={isLoading}
+                    min="1"
+                  />
+                  <span>дн. по всем рассылкам</span>
+                </div>
+              </div>
+            )}
+
             {/* Delay Slider */}
             <div>
               <div className="flex items-center gap-2">
@@ -526,6 +1321,21 @@ export default function Broadcast() {
               </div>
             </div>
 
+            {/* Scheduled Send */}
+            <div>
+              <Label className="flex items-center gap-2">
+                <CalendarClock className="w-4 h-4" />
+                Отложенная отправка (опционально)
+              </Label>
+              <Input
+                type="datetime-local"
+                className="glass-card border-white/20 mt-1"
+                value={scheduledAt}
+                onChange={(e) => setScheduledAt(e.target.value)}
+                disabled={isLoading}
+              />
+            </div>
+
             {/* Telegram Limits Info Card */}
             <GlassCard className="bg-accent/5 border-accent/20">
               <h4 className="font-semibold text-sm mb-3 flex items-center gap-2">
@@ -576,6 +1386,39 @@ export default function Broadcast() {
                     <span>Ошибок: {failureCount}</span>
                   </div>
                 </div>
+                {taskId && (
+                  <div className="grid grid-cols-2 gap-2">
+                    <Button
+                      onClick={handlePauseToggle}
+                      disabled={isCancelling}
+                      variant="outline"
+                      size="sm"
+                      className="glass-card border-white/20"
+                    >
+                      {isPaused ? (
+                        <>
+                          <Play className="w-4 h-4 mr-2" />
+                          Продолжить
+                        </>
+                      ) : (
+                        <>
+                          <Pause className="w-4 h-4 mr-2" />
+                          Пауза
+                        </>
+                      )}
+                    </Button>
+                    <Button
+                      onClick={handleCancel}
+                      disabled={isCancelling}
+                      variant="outline"
+                      size="sm"
+                      className="glass-card border-white/20"
+                    >
+                      <Square className="w-4 h-4 mr-2" />
+                      {isCancelling ? "Остановка..." : "Остановить"}
+                    </Button>
+                  </div>
+                )}
               </div>
             )}
 
@@ -611,8 +1454,8 @@ export default function Broadcast() {
                 </>
               ) : (
                 <>
-                  <Send className="w-4 h-4 mr-2" />
-                  Начать рассылку
+                  {scheduledAt ? <CalendarClock className="w-4 h-4 mr-2" /> : <Send className="w-4 h-4 mr-2" />}
+                  {scheduledAt ? "Запланировать рассылку" : "Начать рассылку"}
                 </>
               )}
             </Button>
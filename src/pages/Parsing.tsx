@@ -5,7 +5,7 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Switch } from "@/components/ui/switch";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
-import { Search, Download, FileSpreadsheet, Loader2, Filter, X } from "lucide-react";
+import { Search, Download, FileSpreadsheet, Loader2, Filter, X, Trash2 } from "lucide-react";
 import { useState, useEffect, useMemo } from "react";
 import { useToast } from "@/hooks/use-toast";
 import { useApi, apiDownload } from "@/lib/api";
@@ -208,6 +208,21 @@ export default function Parsing() {
     }
   };
 
+  const handleDelete = async (file: ParsingResult) => {
+    if (!window.confirm(`Удалить результат «${file.name}»?`)) return;
+    try {
+      await api.delete(`/telegram/parsing-results/${file.id}`);
+      setFiles((current) => current.filter((item) => item.id !== file.id));
+      if (selectedResult?.id === file.id) setSelectedResult(null);
+    } catch (e: unknown) {
+      toast({
+        title: "Ошибка удаления",
+        description: e instanceof Error ? e.message : 'Неизвестная ошибка',
+        variant: "destructive",
+      });
+    }
+  };
+
   const handleViewResult = async (resultsId: string) => {
     if (selectedResult?.id === resultsId) {
       // Если уже открыт, закрываем
@@ -577,6 +592,17 @@ export default function Parsing() {
                     >
                       <Download className="w-4 h-4" />
                     </Button>
+                    <Button 
+                      size="sm" 
+                      variant="ghost"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDelete(file);
+                      }}
+                      title="Удалить"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
                   </div>
                 </div>
               </GlassCard>